@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+/**
+ * wayback-archiver command
+ * e.g. wayback-archiver archive urls.txt --concurrency 3 --freshness 30d --out results.jsonl
+ */
+import CommandLine from '../node/cli.js';
+
+const exitCode = await new CommandLine().run(process.argv.slice(2));
+
+// Let pending output flush instead of calling process.exit()
+process.exitCode = exitCode;
@@ -11,25 +11,91 @@ import URLProcessor from './modules/urlProcessor.js';
 import UIController from './modules/uiController.js';
 import FileHandler from './modules/fileHandler.js';
 import StatusTracker from './modules/statusTracker.js';
+import RequestScheduler from './modules/requestScheduler.js';
+import JobStore from './modules/jobStore.js';
+import DocumentRewriter from './modules/documentRewriter.js';
+import RuleSetStore from './modules/ruleSetStore.js';
+import ArchiveWorkflow from './modules/archiveWorkflow.js';
+import WatchListStore from './modules/watchListStore.js';
+import WatchScheduler from './modules/watchScheduler.js';
+import WatchSchedule from './modules/watchSchedule.js';
+
+// Results picked by the "Retry failed" and "Retry unverified" buttons
+const RETRY_FILTERS = {
+    failed: result => !result.success && !result.warning,
+    unverified: result => result.errorClass === 'unverified'
+};
 
 // Main application class
 class WaybackArchiver {
     constructor() {
         // Initialize all modules with improved options
+        // Every Wayback request goes through the scheduler so long runs respect the rate limits
+        this.requestScheduler = new RequestScheduler();
+        this.urlProcessor = new URLProcessor();
         this.waybackAPI = new WaybackAPI({
             timeout: 15000, // Increased timeout for better reliability
-            normalizeUrls: true // Enable URL normalization
+            normalizeUrls: true, // Enable URL normalization
+            canonicalizeUrl: url => this.urlProcessor.canonicalizeUrl(url), // Same canonical form as the job list
+            scheduler: this.requestScheduler
         });
-        this.urlProcessor = new URLProcessor();
         this.uiController = new UIController();
         this.fileHandler = new FileHandler(this.urlProcessor);
         this.statusTracker = new StatusTracker();
 
+        // Checks, archives and verifies the URLs of a job (shared with the command-line archiver)
+        this.archiveWorkflow = new ArchiveWorkflow({
+            waybackAPI: this.waybackAPI,
+            statusTracker: this.statusTracker,
+            fileHandler: this.fileHandler
+        });
+
+        // Metadata (title, folder, tags, CSV columns) of the last import
+        this.importedUrls = [];
+        this.importedMetadata = {};
+        this.importedTable = null;
+
+        // Document whose links are being protected against link rot
+        this.documentRewriter = new DocumentRewriter(this.urlProcessor);
+        this.protectedDocument = null;
+
+        // Jobs are saved as they run so they can be resumed after a reload or crash
+        this.jobStore = new JobStore();
+        this.currentJobId = null;
+        this.currentJobSettings = null;
+
+        // Named filter rule sets the user saved for reuse
+        this.ruleSetStore = new RuleSetStore();
+
+        // URL lists re-archived on a cadence while the page is open
+        this.watchListStore = new WatchListStore();
+        this.watchScheduler = new WatchScheduler({
+            store: this.watchListStore,
+            waybackAPI: this.waybackAPI,
+            fileHandler: this.fileHandler
+        });
+        this.shownWatchHistory = null;
+
         // Setup UI callbacks
         this.setupUICallbacks();
 
         // Setup status tracker callbacks
         this.setupStatusTrackerCallbacks();
+
+        // Follow the archiving workflow in the results table
+        this.setupWorkflowCallbacks();
+
+        // Offer to resume jobs left over from a previous session
+        this.offerUnfinishedJobs();
+
+        this.uiController.showRuleSets(this.ruleSetStore.list());
+
+        // Run the watch lists that are due, now and whenever they come due
+        this.setupWatchSchedulerCallbacks();
+        if (this.watchListStore.isAvailable()) {
+            this.refreshWatchLists();
+            this.watchScheduler.start();
+        }
     }
 
     /**
@@ -37,8 +103,8 @@ class WaybackArchiver {
      */
     setupUICallbacks() {
         // Handle start button click
-        this.uiController.setStartCallback((urlText, apiKey) => {
-            this.startArchiving(urlText, apiKey);
+        this.uiController.setStartCallback((urlText, apiKey, settings) => {
+            this.startArchiving(urlText, apiKey, settings);
         });
 
         // Handle stop button click
@@ -46,33 +112,172 @@ class WaybackArchiver {
             this.stopArchiving();
         });
 
+        // Handle pause and resume button clicks
+        this.uiController.setPauseCallback(() => {
+            this.statusTracker.pause('user');
+        });
+        this.uiController.setRunResumeCallback(() => {
+            this.statusTracker.resume();
+        });
+
+        // Requeue failed, unverified or ticked URLs into the finished job
+        this.uiController.setRetryCallback((filter, urls) => {
+            this.retryUrls(filter, urls);
+        });
+
         // Handle file upload
         this.uiController.setFileUploadCallback((file) => {
             this.handleFileUpload(file);
         });
+
+        // Handle sitemap/feed import by URL
+        this.uiController.setFeedImportCallback((feedUrl) => {
+            this.handleFeedImport(feedUrl);
+        });
+
+        // Narrow imported bookmarks down to one folder
+        this.uiController.setFolderFilterCallback((folder) => {
+            this.filterImportedFolder(folder);
+        });
+
+        // Link-rot protection: take the links of a document and write a copy pointing at the archives
+        this.uiController.setDocumentUploadCallback((file) => {
+            this.handleDocumentUpload(file);
+        });
+        this.uiController.setDocumentRewriteCallback((mode) => {
+            this.downloadProtectedDocument(mode);
+        });
+
+        // One-click fixes from the parse report
+        this.uiController.setParseFixCallback((fixes) => {
+            this.applyParseFixes(fixes);
+        });
+
+        // Live counts for the filter rules, and saved rule sets
+        this.uiController.setFilterRulesCallback((rulesText, urlText) => {
+            this.updateFilterSummary(rulesText, urlText);
+        });
+        this.uiController.setRuleSetSaveCallback((name, rulesText) => {
+            this.saveRuleSet(name, rulesText);
+        });
+        this.uiController.setRuleSetLoadCallback((name) => {
+            this.loadRuleSet(name);
+        });
+        this.uiController.setRuleSetDeleteCallback((name) => {
+            this.deleteRuleSet(name);
+        });
+
+        // Watch lists re-archived on a cadence
+        this.uiController.setWatchListSaveCallback((form, urlText, settings) => {
+            this.saveWatchList(form, urlText, settings);
+        });
+        this.uiController.setWatchListActionCallback((action, name) => {
+            this.handleWatchListAction(action, name);
+        });
+
+        // Show how the URL list will be canonicalized before archiving
+        this.uiController.setCanonicalPreviewCallback((urlText, rules) => {
+            this.previewCanonicalization(urlText, rules);
+        });
+
+        // Re-read an imported CSV file when the user picks another URL column
+        this.uiController.setColumnMappingCallback((urlColumn, hasHeader) => {
+            this.applyColumnMapping(urlColumn, hasHeader);
+        });
+
+        // Handle resuming or discarding a saved job
+        this.uiController.setResumeCallback((jobId) => {
+            this.resumeJob(jobId);
+        });
+        this.uiController.setDiscardCallback((jobId) => {
+            this.discardJob(jobId);
+        });
+
+        // Load the capture timeline when a details row asks for it
+        this.uiController.setHistoryCallback((url) => this.checkArchiveHistory(url));
     }
 
     /**
-     * Sets up status tracker callbacks for progress and ETA updates
+     * Sets up status tracker and request scheduler listeners for progress, ETA, phase and throttling updates
+     * The status tracker keeps its listeners when a job is initialized, so this runs once
      */
     setupStatusTrackerCallbacks() {
-        // Update progress bar when progress changes
-        this.statusTracker.setProgressCallback((progress, processedCount, totalCount) => {
+        // Update progress bar and statistics when progress changes
+        this.statusTracker.on('progress', ({ progress, processed, total }) => {
             // Pass the exact percentage to ensure accuracy
             this.uiController.updateProgress(progress);
+            this.uiController.updateStats(this.statusTracker.getStats());
 
-            console.log(`Progress update: ${processedCount}/${totalCount} (${progress}%)`);
+            console.log(`Progress update: ${processed}/${total} (${progress}%)`);
         });
 
         // Update ETA display when ETA changes
-        this.statusTracker.setEtaCallback((estimatedTimeRemaining, remainingUrls) => {
-            this.uiController.updateEta(estimatedTimeRemaining);
+        this.statusTracker.on('eta', ({ remaining }) => {
+            this.uiController.updateEta(remaining);
+        });
+
+        // Show whether each URL in progress is being checked, saved or verified
+        this.statusTracker.on('phase-changed', ({ url, phase }) => {
+            this.uiController.markRowPhase(url, phase);
+        });
+
+        // Swap the Pause and Resume buttons; the rows and the progress stay as they are
+        this.statusTracker.on('job-paused', ({ reason }) => {
+            this.uiController.showPausedState(true, reason);
+        });
+        this.statusTracker.on('job-resumed', () => {
+            this.uiController.showPausedState(false);
+        });
+
+        // Hold the queue while the browser is offline and go on when it is back
+        window.addEventListener('offline', () => {
+            this.statusTracker.pause('offline');
+        });
+        window.addEventListener('online', () => {
+            if (this.statusTracker.pauseReason === 'offline') {
+                this.statusTracker.resume();
+            }
+        });
+
+        // Tell the user when the Wayback Machine asks us to slow down, and count the hold against the running job
+        this.requestScheduler.setThrottleCallback((throttleInfo) => {
+            this.uiController.showThrottleNotice(throttleInfo);
+
+            if (this.statusTracker.isRunning) {
+                this.statusTracker.recordThrottle(throttleInfo.until);
+            }
         });
 
         // Share the status tracker with UI controller for synchronized state
         this.uiController.initializeProgressTracking(this.statusTracker);
     }
 
+    /**
+     * Connects the archiving workflow to the results table and the job store
+     */
+    setupWorkflowCallbacks() {
+        // Highlight the row of each URL while a worker is on it, and save its state
+        this.archiveWorkflow.setUrlStartCallback(async (url) => {
+            this.uiController.markRowProcessing(url, true);
+            await this.persistUrlState(url, 'processing');
+        });
+
+        this.archiveWorkflow.setUrlDoneCallback(async (url, result) => {
+            this.uiController.markRowProcessing(url, false);
+
+            // Save the result so a resumed job can skip this URL
+            await this.persistUrlState(url, 'done', result);
+        });
+
+        this.archiveWorkflow.setLogEntryCallback((entry) => {
+            this.uiController.addLogEntry(entry);
+        });
+
+        this.archiveWorkflow.setResultCallback(() => {
+            this.showExportMenu();
+        });
+    }
+
     /**
      * Handles file upload and processes the file
      * @param {File} file - The uploaded file
@@ -86,47 +291,585 @@ class WaybackArchiver {
                 return;
             }
 
+            // Nested sitemaps are downloaded, so use the proxy from the form
+            this.fileHandler.setCorsProxy(this.uiController.getSettings().corsProxy);
+
             // Process the file and extract URLs
-            const urls = await this.fileHandler.processFile(file);
+            const importResult = await this.fileHandler.processFile(file, {
+                since: this.uiController.getImportSince()
+            });
 
-            if (urls.length === 0) {
-                this.uiController.showAlert('No valid URLs found in the file.');
-                return;
+            this.showImportResult(importResult, 'the file');
+        } catch (error) {
+            console.error('Error processing file:', error);
+            this.uiController.showAlert(`Error processing file: ${error.message}`);
+        }
+    }
+
+    /**
+     * Downloads a sitemap, sitemap index or feed and puts its URLs in the textarea
+     * @param {string} feedUrl - URL of the sitemap or feed
+     */
+    async handleFeedImport(feedUrl) {
+        try {
+            this.fileHandler.setCorsProxy(this.uiController.getSettings().corsProxy);
+
+            const importResult = await this.fileHandler.importFromUrl(feedUrl, {
+                since: this.uiController.getImportSince()
+            });
+
+            this.showImportResult(importResult, feedUrl);
+        } catch (error) {
+            console.error('Error importing feed:', error);
+            this.uiController.showAlert(`Error importing ${feedUrl}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Puts imported URLs in the textarea and reports how many came from each source
+     * @param {Object} importResult - { urls, sources, metadata, table } from FileHandler
+     * @param {string} origin - What was imported, for messages
+     */
+    showImportResult(importResult, origin) {
+        const { urls, sources } = importResult;
+        const rejected = importResult.rejected || [];
+
+        // Failed child sitemaps are logged but don't stop the import
+        for (const source of sources.filter(source => source.error)) {
+            console.warn(`Skipped ${source.source}: ${source.error}`);
+        }
+
+        if (urls.length === 0 && rejected.length === 0) {
+            this.uiController.showAlert(`No valid URLs found in ${origin}.`);
+
+            // Let the user pick another column if the guessed one had no URLs
+            this.importedTable = importResult.table || null;
+            this.uiController.showColumnMapping(this.importedTable);
+            return;
+        }
+
+        // Set the extracted URLs in the textarea, followed by the lines that need fixing
+        this.uiController.setUrlText([...urls, ...rejected].join('\n'));
+
+        // Remember the metadata so results can still say where each URL came from
+        this.importedUrls = urls;
+        this.importedMetadata = importResult.metadata || {};
+        this.importedTable = importResult.table || null;
+        this.uiController.showFolderFilter(this.getImportedFolders());
+        this.uiController.showColumnMapping(this.importedTable);
+
+        // Show success message with a count per source (file, feed or child sitemap)
+        const counts = sources.map(source => (source.error
+            ? `${source.source}: failed (${source.error})`
+            : `${source.source}: ${source.count}`));
+        const breakdown = sources.length > 1 ? ` (${counts.join('; ')})` : '';
+
+        this.uiController.showMessage(`Successfully extracted ${urls.length} URLs from ${origin}${breakdown}.`, 'success', 10000);
+
+        // Lines that look like URLs but can't be read as one stay in the list for the parse report
+        if (rejected.length) {
+            this.showParseReport(this.uiController.elements.urlListTextarea.value);
+        } else {
+            this.uiController.hideParseReport();
+        }
+    }
+
+    /**
+     * Loads a document for link-rot protection and puts its links in the textarea
+     * @param {File} file - Markdown, HTML or text document
+     */
+    async handleDocumentUpload(file) {
+        try {
+            const text = await this.fileHandler.readFile(file);
+            const type = this.documentRewriter.detectType(file.name, text);
+            const urls = this.documentRewriter.extractUrls(text, type);
+
+            this.showImportResult({
+                urls,
+                sources: [{ source: file.name, type: 'document', count: urls.length }],
+                metadata: {}
+            }, file.name);
+
+            if (urls.length === 0) return;
+
+            this.protectedDocument = { name: file.name, type, text };
+            this.uiController.showDocumentOptions({ name: file.name, type, linkCount: urls.length });
+        } catch (error) {
+            console.error('Error reading document:', error);
+            this.uiController.showAlert(`Error reading document: ${error.message}`);
+        }
+    }
+
+    /**
+     * Downloads a copy of the uploaded document with its links pointing at their archived copies
+     * Only links with a successful result in the status tracker are rewritten
+     * @param {string} mode - "append", "replace" or "attribute"
+     */
+    downloadProtectedDocument(mode) {
+        if (!this.protectedDocument) {
+            this.uiController.showAlert('Please upload a document first.');
+            return;
+        }
+
+        const archiveMap = this.documentRewriter.buildArchiveMap(this.statusTracker.getResults());
+        if (archiveMap.size === 0) {
+            this.uiController.showAlert('No archived links yet. Start archiving the document links first.');
+            return;
+        }
+
+        const { name, type, text } = this.protectedDocument;
+        const output = this.documentRewriter.rewrite(text, type, archiveMap, mode);
+        const mimeTypes = { html: 'text/html', markdown: 'text/markdown', text: 'text/plain' };
+
+        this.fileHandler.generateDownloadableFile(output.text, this.documentRewriter.getOutputName(name), mimeTypes[type]);
+
+        const missing = output.missing.length ? ` ${output.missing.length} links have no archived copy and were left unchanged.` : '';
+        this.uiController.showMessage(`Rewrote ${output.rewritten} links in ${name}.${missing}`, 'success', 10000);
+    }
+
+    /**
+     * Re-maps the imported CSV file with another URL column or header setting
+     * @param {number} urlColumn - Index of the column holding the URLs
+     * @param {boolean} hasHeader - Whether the first row holds column names
+     */
+    applyColumnMapping(urlColumn, hasHeader) {
+        if (!this.importedTable) return;
+
+        const importResult = this.fileHandler.mapCsvColumns({ ...this.importedTable, urlColumn, hasHeader });
+        this.showImportResult(importResult, this.importedTable.source);
+    }
+
+    /**
+     * Lists the folders of the imported URLs with the number of URLs in each
+     * @returns {Array} - Array of { folder, count }, sorted by folder path
+     */
+    getImportedFolders() {
+        const counts = {};
+
+        for (const url of this.importedUrls) {
+            const metadata = this.importedMetadata[url];
+            if (!metadata || !metadata.folder) continue;
+
+            // Count the URL for the folder and each of its parents, so "Research" includes "Research/Climate"
+            const parts = metadata.folder.split('/');
+            for (let i = 1; i <= parts.length; i++) {
+                const folder = parts.slice(0, i).join('/');
+                counts[folder] = (counts[folder] || 0) + 1;
             }
+        }
+
+        return Object.keys(counts)
+            .sort()
+            .map(folder => ({ folder, count: counts[folder] }));
+    }
+
+    /**
+     * Puts only the imported URLs of one folder (and its subfolders) in the textarea
+     * @param {string} folder - Folder path, or an empty string for all imported URLs
+     */
+    filterImportedFolder(folder) {
+        const urls = this.importedUrls.filter(url => {
+            if (!folder) return true;
 
-            // Set the extracted URLs in the textarea
-            this.uiController.setUrlText(urls.join('\n'));
+            const metadata = this.importedMetadata[url];
+            return Boolean(metadata) && (metadata.folder === folder || metadata.folder.startsWith(`${folder}/`));
+        });
+
+        this.uiController.setUrlText(urls.join('\n'));
+        this.uiController.showMessage(`${urls.length} URLs${folder ? ` in ${folder}` : ''}`, 'info', 3000);
+    }
+
+    /**
+     * Applies fixes from the parse report to the URL list and checks the list again
+     * @param {Array} fixes - Array of { line, lines } replacing lines of the URL list
+     */
+    applyParseFixes(fixes) {
+        const urlText = this.urlProcessor.applyLineFixes(this.uiController.elements.urlListTextarea.value, fixes);
+        this.uiController.setUrlText(urlText);
+        this.showParseReport(urlText);
+    }
+
+    /**
+     * Shows the parse report for a URL list, or hides it when every line is valid
+     * @param {string} urlText - Text containing URLs
+     */
+    showParseReport(urlText) {
+        const report = this.urlProcessor.parseTextWithReport(urlText);
+
+        if (report.rejected.length) {
+            this.uiController.showParseReport(report);
+        } else {
+            this.uiController.hideParseReport();
+            this.uiController.showMessage(`All ${report.entries.length} lines are valid URLs.`, 'success', 3000);
+        }
+    }
+
+    /**
+     * Counts how many URLs of the list each filter rule removes
+     * @param {string} rulesText - Filter rules
+     * @param {string} urlText - Text containing URLs
+     */
+    updateFilterSummary(rulesText, urlText) {
+        const { rules, errors } = this.urlProcessor.parseFilterRules(rulesText);
+
+        // Count on the canonical URLs, since those are what the rules are applied to on start
+        const canonicalRules = this.uiController.getCanonicalRules();
+        if (canonicalRules) {
+            this.urlProcessor.setCanonicalRules(canonicalRules);
+        }
+        const urls = this.urlProcessor.parseUrlsFromText(urlText).map(url => this.urlProcessor.canonicalizeUrl(url));
+        const filtered = this.urlProcessor.filterUrls(urls, rules);
+
+        this.uiController.showFilterSummary({
+            total: urls.length,
+            kept: filtered.urls.length,
+            ruleCounts: filtered.ruleCounts,
+            notIncluded: filtered.notIncluded,
+            errors
+        });
+    }
 
-            // Show success message
-            this.uiController.showAlert(`Successfully extracted ${urls.length} URLs from the file.`);
+    /**
+     * Saves the filter rules as a named rule set
+     * @param {string} name - Rule set name
+     * @param {string} rulesText - Filter rules
+     */
+    saveRuleSet(name, rulesText) {
+        try {
+            const ruleSet = this.ruleSetStore.save(name, rulesText);
+            this.uiController.showRuleSets(this.ruleSetStore.list(), ruleSet.name);
+            this.uiController.showMessage(`Saved rule set "${ruleSet.name}".`, 'success', 3000);
         } catch (error) {
-            console.error('Error processing file:', error);
-            this.uiController.showAlert(`Error processing file: ${error.message}`);
+            console.error('Error saving rule set:', error);
+            this.uiController.showAlert(`Could not save the rule set: ${error.message}`);
+        }
+    }
+
+    /**
+     * Puts a saved rule set in the filter rules box
+     * @param {string} name - Rule set name
+     */
+    loadRuleSet(name) {
+        const ruleSet = this.ruleSetStore.get(name);
+        if (!ruleSet) {
+            this.uiController.showAlert(`Rule set "${name}" was not found.`);
+            return;
+        }
+
+        this.uiController.setFilterRulesText(ruleSet.rules);
+    }
+
+    /**
+     * Deletes a saved rule set
+     * @param {string} name - Rule set name
+     */
+    deleteRuleSet(name) {
+        if (!this.uiController.showConfirm(`Delete the rule set "${name}"?`)) return;
+
+        try {
+            this.ruleSetStore.delete(name);
+        } catch (error) {
+            console.error('Error deleting rule set:', error);
+        }
+
+        this.uiController.showRuleSets(this.ruleSetStore.list());
+    }
+
+    /**
+     * Keeps the watch list table current while scheduled runs start and finish
+     */
+    setupWatchSchedulerCallbacks() {
+        this.watchScheduler.setRunStartCallback((watchList) => {
+            this.refreshWatchLists();
+            this.uiController.showMessage(`Running watch list "${watchList.name}" (${watchList.urls.length} URLs)...`, 'info', 5000);
+        });
+
+        this.watchScheduler.setRunCompleteCallback((watchList, run) => {
+            this.refreshWatchLists();
+            this.uiController.showMessage(`Watch list "${watchList.name}": ${run.summary.success} archived, ` +
+                `${run.summary.warning} unverified, ${run.summary.error} failed.`, run.summary.error ? 'error' : 'success', 8000);
+
+            // Keep an open history current
+            if (this.shownWatchHistory === watchList.name) {
+                this.uiController.showWatchHistory(watchList);
+            }
+        });
+    }
+
+    /**
+     * Shows the saved watch lists
+     */
+    refreshWatchLists() {
+        const watchLists = this.watchListStore.list().map(watchList => ({
+            ...watchList,
+            cadenceLabel: WatchSchedule.parse(watchList.cadence).describe()
+        }));
+
+        this.uiController.showWatchLists(watchLists, this.watchScheduler.activeList);
+    }
+
+    /**
+     * Saves the URL list as a watch list, canonicalized and filtered like a job
+     * @param {Object} form - { name, cadence, freshness } from the watch list form
+     * @param {string} urlText - Text containing URLs
+     * @param {Object} settings - Job settings from the UI (concurrency, detectChanges, skipUnchanged, captureOptions,
+     *                            canonicalRules, filterRules)
+     */
+    saveWatchList(form, urlText, settings) {
+        if (settings.canonicalRules) {
+            this.urlProcessor.setCanonicalRules(settings.canonicalRules);
+        }
+
+        const filterRules = this.urlProcessor.parseFilterRules(settings.filterRules);
+        if (filterRules.errors.length) {
+            this.uiController.showAlert(`Fix the filter rules first: line ${filterRules.errors[0].line}: ${filterRules.errors[0].message}`);
+            return;
+        }
+
+        const report = this.urlProcessor.parseTextWithReport(urlText);
+        const urlCaptureOptions = {};
+        const urls = report.entries.map((entry) => {
+            const url = this.urlProcessor.canonicalizeUrl(entry.url);
+            if (entry.captureOptions) {
+                urlCaptureOptions[url] = { ...urlCaptureOptions[url], ...entry.captureOptions };
+            }
+            return url;
+        });
+
+        const filtered = this.urlProcessor.filterUrls(urls, filterRules.rules);
+        const uniqueUrls = this.urlProcessor.findDuplicates(filtered.urls).uniqueUrls;
+
+        try {
+            const watchList = this.watchListStore.save({
+                ...form,
+                urls: uniqueUrls,
+                concurrency: settings.concurrency,
+                detectChanges: settings.detectChanges,
+                skipUnchanged: settings.skipUnchanged,
+                captureOptions: settings.captureOptions,
+                urlCaptureOptions
+            });
+
+            const skipped = report.rejected.length ? ` ${report.rejected.length} invalid line(s) were left out.` : '';
+            this.uiController.showMessage(`Saved watch list "${watchList.name}" with ${watchList.urls.length} URLs. ` +
+                `Next run: ${new Date(watchList.nextRunAt).toLocaleString()}.${skipped}`, 'success', 5000);
+        } catch (error) {
+            console.error('Error saving watch list:', error);
+            this.uiController.showAlert(`Could not save the watch list: ${error.message}`);
+            return;
+        }
+
+        this.refreshWatchLists();
+
+        // A new hourly, daily or weekly list is due right away
+        this.watchScheduler.runDueLists();
+    }
+
+    /**
+     * Handles the buttons of a watch list row
+     * @param {string} action - "run", "history", "toggle" or "delete"
+     * @param {string} name - Watch list name
+     */
+    async handleWatchListAction(action, name) {
+        const watchList = this.watchListStore.get(name);
+        if (!watchList) {
+            this.refreshWatchLists();
+            return;
         }
+
+        switch (action) {
+            case 'run':
+                if (this.watchScheduler.activeList) {
+                    this.uiController.showAlert(`Watch list "${this.watchScheduler.activeList}" is still running.`);
+                    return;
+                }
+                await this.watchScheduler.runList(name);
+                break;
+            case 'history':
+                this.shownWatchHistory = name;
+                this.uiController.showWatchHistory(watchList);
+                break;
+            case 'toggle':
+                this.watchListStore.update(name, { enabled: !watchList.enabled });
+                break;
+            case 'delete':
+                if (!this.uiController.showConfirm(`Delete the watch list "${name}" and its run history?`)) return;
+
+                this.watchListStore.delete(name);
+                if (this.shownWatchHistory === name) {
+                    this.shownWatchHistory = null;
+                    this.uiController.showWatchHistory(null);
+                }
+                break;
+        }
+
+        this.refreshWatchLists();
+    }
+
+    /**
+     * Shows each URL of the list next to the canonical form it will be archived under
+     * @param {string} urlText - Text containing URLs
+     * @param {Object} rules - Canonicalization rules from the UI
+     */
+    previewCanonicalization(urlText, rules) {
+        if (rules) {
+            this.urlProcessor.setCanonicalRules(rules);
+        }
+
+        const urls = this.urlProcessor.parseUrlsFromText(urlText);
+        this.uiController.showCanonicalPreview(this.urlProcessor.previewCanonicalization(urls));
     }
 
     /**
      * Starts the archiving process
      * @param {string} urlText - Text containing URLs to archive
      * @param {string} apiKey - Optional Wayback Machine API key
+     * @param {Object} settings - Optional job settings from the UI (corsProxy, concurrency, freshness)
+     *                            skipRejected starts even if some lines of the list were rejected
      */
-    async startArchiving(urlText, apiKey) {
+    async startArchiving(urlText, apiKey, settings = {}) {
+        // Parse URLs (and any per-URL capture options) from the text
+        const report = this.urlProcessor.parseTextWithReport(urlText);
+
+        // Let the user fix or drop the lines that can't be archived before anything starts
+        if (report.rejected.length && !settings.skipRejected) {
+            this.uiController.showParseReport(report);
+            return;
+        }
+
         // Always reset the UI completely when starting a new archiving process
         // This ensures any previous progress state is cleared
         this.uiController.completeReset();
 
-        // Parse URLs from the text
-        const urls = this.urlProcessor.parseUrlsFromText(urlText);
+        // Archive the URLs in their canonical form
+        if (settings.canonicalRules) {
+            this.urlProcessor.setCanonicalRules(settings.canonicalRules);
+        }
+        let entries = report.entries.map(entry => ({
+            ...entry,
+            originalUrl: entry.url,
+            url: this.urlProcessor.canonicalizeUrl(entry.url)
+        }));
 
-        if (urls.length === 0) {
+        if (entries.length === 0) {
             this.uiController.showAlert('No valid URLs found.');
             return;
         }
 
+        // Drop the URLs the filter rules exclude, so duplicates are only looked for among the rest
+        const filter = this.urlProcessor.parseFilterRules(settings.filterRules);
+        if (filter.errors.length) {
+            const error = filter.errors[0];
+            this.uiController.showAlert(`Filter rule on line ${error.line}: ${error.message}`);
+            return;
+        }
+
+        const filtered = this.urlProcessor.filterUrls(entries.map(entry => entry.url), filter.rules);
+        const keptUrls = new Set(filtered.urls);
+        entries = entries.filter(entry => keptUrls.has(entry.url));
+        const urls = entries.map(entry => entry.url);
+
+        if (urls.length === 0) {
+            this.uiController.showAlert('The filter rules removed every URL.');
+            return;
+        }
+
         // Check for duplicates
         const duplicateCheck = this.urlProcessor.findDuplicates(urls);
         const uniqueUrls = duplicateCheck.uniqueUrls;
 
+        this.applyConnectionSettings(apiKey, settings);
+
+        // Per-URL capture options override the global ones from the panel
+        const urlCaptureOptions = {};
+        for (const entry of entries) {
+            if (entry.captureOptions) {
+                urlCaptureOptions[entry.url] = { ...urlCaptureOptions[entry.url], ...entry.captureOptions };
+            }
+        }
+
+        // Keep the import metadata of the URLs in this job so it survives a resume
+        // (the import is keyed by the URLs as they were before canonicalization)
+        const originalUrls = {};
+        for (const entry of entries) {
+            if (!originalUrls[entry.url]) originalUrls[entry.url] = entry.originalUrl;
+        }
+
+        const urlMetadata = {};
+        for (const url of uniqueUrls) {
+            const metadata = this.importedMetadata[url] || this.importedMetadata[originalUrls[url]];
+            if (metadata) {
+                urlMetadata[url] = metadata;
+            }
+        }
+
+        settings = { ...settings, urlCaptureOptions, urlMetadata };
+
+        // Show message if duplicates were found or filter rules removed URLs
+        const notices = [];
+        if (filtered.removed.length) {
+            notices.push(`Filter rules removed ${filtered.removed.length} URL${filtered.removed.length > 1 ? 's' : ''}.`);
+        }
+        if (duplicateCheck.hasDuplicates) {
+            const duplicateCount = duplicateCheck.duplicates.length;
+            notices.push(`Found ${duplicateCount} duplicate URL${duplicateCount > 1 ? 's' : ''} that will be processed only once.`);
+        }
+        if (notices.length) {
+            const message = notices.join(' ');
+            console.log(message);
+            this.uiController.showMessage(message, 'info', 5000);
+        }
+
+        // Save the job before starting so it survives a reload or crash
+        const jobId = await this.createPersistedJob(uniqueUrls, settings);
+
+        await this.runJob(uniqueUrls, settings, jobId);
+    }
+
+    /**
+     * Resumes a saved job, skipping the URLs that already finished
+     * @param {string} jobId - ID of the saved job
+     */
+    async resumeJob(jobId) {
+        const job = await this.jobStore.getJob(jobId);
+
+        if (!job) {
+            this.uiController.showAlert('This job could not be found.');
+            return;
+        }
+
+        this.uiController.completeReset();
+        this.uiController.hideResumePrompt();
+
+        // The API key is never saved with the job, so use whatever is in the form now
+        this.applyConnectionSettings(this.uiController.elements.apiKeyInput.value.trim(), job.settings);
+
+        await this.jobStore.setJobStatus(job.id, 'running');
+        this.uiController.showMessage(`Resuming job: ${job.doneCount} of ${job.urls.length} URLs already done.`, 'info', 5000);
+
+        await this.runJob(job.urls, job.settings, job.id, job.results);
+    }
+
+    /**
+     * Deletes a saved job the user doesn't want to resume
+     * @param {string} jobId - ID of the saved job
+     */
+    async discardJob(jobId) {
+        try {
+            await this.jobStore.deleteJob(jobId);
+        } catch (error) {
+            console.error('Error deleting saved job:', error);
+        }
+
+        this.offerUnfinishedJobs();
+    }
+
+    /**
+     * Applies the API key and connection settings to the Wayback API client
+     * @param {string} apiKey - Optional Wayback Machine API key
+     * @param {Object} settings - Job settings (corsProxy)
+     */
+    applyConnectionSettings(apiKey, settings = {}) {
         // Set API key if provided
         if (apiKey) {
             this.waybackAPI.setApiKey(apiKey);
@@ -135,23 +878,90 @@ class WaybackArchiver {
             console.log('No API key provided, using public access (rate limits may apply)');
         }
 
-        // Initialize status tracker with URLs
-        this.statusTracker.initialize(uniqueUrls);
+        // Route CDX lookups through a proxy if one was configured
+        this.waybackAPI.setCorsProxy(settings.corsProxy);
+    }
+
+    /**
+     * Runs a job: processes every URL that doesn't have a result yet
+     * @param {Array} urls - All URLs of the job
+     * @param {Object} settings - Job settings
+     * @param {string|null} jobId - ID of the saved job (null if jobs can't be saved)
+     * @param {Array} previousResults - Results saved by an earlier session of the job
+     */
+    async runJob(urls, settings, jobId, previousResults = []) {
+        this.currentJobId = jobId;
+        this.currentJobSettings = settings;
+
+        try {
+            this.archiveWorkflow.configure(settings);
+        } catch (error) {
+            this.uiController.showAlert(error.message);
+            return;
+        }
+
+        // Look URLs up with the canonicalization rules the job was started with
+        if (settings.canonicalRules) {
+            this.urlProcessor.setCanonicalRules(settings.canonicalRules);
+        }
+
+        // Initialize status tracker with URLs (and what already finished)
+        this.statusTracker.initialize(urls, previousResults);
 
         // Important: Set UI to processing state and preload all URLs
-        this.uiController.setProcessingState(uniqueUrls);
+        this.uiController.setProcessingState(urls);
 
-        // Show message if duplicates were found
-        if (duplicateCheck.hasDuplicates) {
-            const duplicateCount = duplicateCheck.duplicates.length;
-            const message = `Found ${duplicateCount} duplicate URL${duplicateCount > 1 ? 's' : ''} that will be processed only once.`;
-            console.log(message);
-            this.uiController.showMessage(message, 'info', 5000);
+        // Show the rows that finished in an earlier session
+        for (const result of previousResults) {
+            this.uiController.restoreEntry(result);
+        }
+
+        if (previousResults.length) {
+            this.showExportMenu();
+        }
+
+        await this.processJob(urls, settings);
+    }
+
+    /**
+     * Requeues URLs of the finished job and runs them again in the same table
+     * Retried URLs keep their rows; their results record the earlier attempts
+     * @param {string} filter - "failed", "unverified" or "selected"
+     * @param {Array} selectedUrls - URLs of the ticked rows (for "selected")
+     */
+    async retryUrls(filter, selectedUrls = []) {
+        if (this.statusTracker.isRunning || !this.currentJobSettings) return;
+
+        const urls = filter === 'selected'
+            ? selectedUrls
+            : this.statusTracker.getResults().filter(RETRY_FILTERS[filter]).map(result => result.url);
+
+        const requeued = this.statusTracker.requeue(urls);
+        if (!requeued.length) {
+            this.uiController.showMessage(filter === 'selected' ? 'Tick the finished rows to retry first.' : 'There is nothing to retry.', 'info', 3000);
+            return;
+        }
+
+        this.uiController.setRetryState(requeued);
+        await this.updatePersistedJobStatus('running');
+
+        await this.processJob(requeued, this.currentJobSettings);
+    }
+
+    /**
+     * Processes the URLs of the current job that don't have a result yet, then records how the run ended
+     * @param {Array} urls - URLs to process
+     * @param {Object} settings - Job settings
+     */
+    async processJob(urls, settings) {
+        // Don't burn through the queue with requests that can't get out
+        if (navigator.onLine === false) {
+            this.statusTracker.pause('offline');
         }
 
         // Process each URL
         try {
-            await this.processUrls(uniqueUrls);
+            await this.archiveWorkflow.run(urls, settings.concurrency);
 
             if (this.statusTracker.shouldStop) {
                 this.uiController.showAlert('Process stopped by user.');
@@ -166,8 +976,22 @@ class WaybackArchiver {
         // Reset UI when done
         this.statusTracker.complete();
 
+        // A job is only complete when every URL has a result; otherwise it can be resumed
+        const summary = this.statusTracker.getStatusSummary();
+        await this.updatePersistedJobStatus(summary.isComplete ? 'completed' : 'stopped');
+
+        if (!summary.isComplete) {
+            this.offerUnfinishedJobs();
+        }
+
         // Only reset button states without hiding progress
         this.uiController.resetUI();
+
+        const results = this.statusTracker.getResults();
+        this.uiController.showRetryMenu({
+            failed: results.filter(RETRY_FILTERS.failed).length,
+            unverified: results.filter(RETRY_FILTERS.unverified).length
+        });
     }
 
     /**
@@ -182,209 +1006,76 @@ class WaybackArchiver {
     }
 
     /**
-     * Processes a list of URLs for archiving
-     * @param {Array} urls - Array of URLs to process
+     * Saves a new job, if jobs can be persisted in this browser
+     * @param {Array} urls - URLs of the job
+     * @param {Object} settings - Job settings
+     * @returns {Promise<string|null>} - The job ID, or null if the job couldn't be saved
      */
-    async processUrls(urls) {
-        // Get all existing rows
-        const tableBody = this.uiController.elements.statusTableBody;
-        const rows = tableBody.getElementsByTagName('tr');
+    async createPersistedJob(urls, settings) {
+        if (!this.jobStore.isAvailable()) return null;
 
-        for (let i = 0; i < urls.length; i++) {
-            if (this.statusTracker.shouldStop) break;
-
-            const url = urls[i];
+        try {
+            const job = await this.jobStore.createJob(urls, {
+                corsProxy: settings.corsProxy,
+                concurrency: settings.concurrency,
+                freshness: settings.freshness,
+                detectChanges: settings.detectChanges,
+                skipUnchanged: settings.skipUnchanged,
+                captureOptions: settings.captureOptions,
+                canonicalRules: settings.canonicalRules,
+                filterRules: settings.filterRules,
+                urlCaptureOptions: settings.urlCaptureOptions,
+                urlMetadata: settings.urlMetadata
+            });
+            return job.id;
+        } catch (error) {
+            // Persistence is a convenience - never block the run because of it
+            console.error('Error saving job:', error);
+            return null;
+        }
+    }
 
-            // Highlight the current URL being processed
-            for (let j = 0; j < rows.length; j++) {
-                if (rows[j].dataset && rows[j].dataset.url === url) {
-                    rows[j].classList.add('processing');
+    /**
+     * Saves the state of a URL of the current job
+     * @param {string} url - The URL
+     * @param {string} state - "processing" or "done"
+     * @param {Object} result - Result object for finished URLs
+     */
+    async persistUrlState(url, state, result = null) {
+        if (!this.currentJobId) return;
 
-                    // Update status to "Processing"
-                    const statusCell = rows[j].children[2];
-                    if (statusCell) {
-                        const statusLabel = document.createElement('span');
-                        statusLabel.className = 'status-label status-info';
-                        statusLabel.textContent = 'Processing';
-                        statusCell.innerHTML = '';
-                        statusCell.appendChild(statusLabel);
-                    }
+        try {
+            await this.jobStore.saveUrlState(this.currentJobId, url, state, result);
+        } catch (error) {
+            console.error('Error saving URL state:', error);
+        }
+    }
 
-                    break;
-                }
-            }
+    /**
+     * Updates the status of the current saved job
+     * @param {string} status - "running", "stopped" or "completed"
+     */
+    async updatePersistedJobStatus(status) {
+        if (!this.currentJobId) return;
 
-            try {
-                // First check if the URL is already archived
-                // The improved API will now try multiple methods to find archives
-                const archiveInfo = await this.waybackAPI.checkIfArchived(url);
-
-                if (archiveInfo.isArchived) {
-                    // URL is already archived
-                    const source = archiveInfo.source ? `via ${archiveInfo.source}` : '';
-                    this.uiController.addLogEntry({
-                        message: 'URL already archived',
-                        type: 'success',
-                        url: url,
-                        details: `Already archived on ${archiveInfo.formattedDate} ${source}\nView archive: ${archiveInfo.archiveUrl}`,
-                        archiveUrl: archiveInfo.archiveUrl
-                    });
-
-                    // Update progress
-                    this.statusTracker.updateProgress({
-                        url: url,
-                        success: true,
-                        archiveUrl: archiveInfo.archiveUrl,
-                        formattedDate: archiveInfo.formattedDate,
-                        message: 'Already archived'
-                    });
-                } else {
-                    // URL needs to be archived
-                    // Check if there was a specific error during the check
-                    if (archiveInfo.error) {
-                        console.warn(`Warning during archive check: ${archiveInfo.error}`);
-                    }
-
-                    // Add a "processing" entry to the table
-                    this.uiController.addLogEntry({
-                        message: 'Archive request sent',
-                        type: 'info',
-                        url: url,
-                        details: 'Processing...'
-                    });
-
-                    // Send archive request
-                    const archiveResult = await this.waybackAPI.archiveUrl(url);
-
-                    // Wait a bit longer before verifying (increased from 5000ms to 8000ms)
-                    // Recent archives may take slightly longer to become available in the APIs
-                    await new Promise(resolve => setTimeout(resolve, 8000));
-
-                    // Verify archiving with more attempts and longer delays
-                    // 5 attempts with 3 second delays = up to 15 seconds of waiting
-                    const verificationResult = await this.waybackAPI.verifyArchive(url, 5, 3000);
-
-                    if (verificationResult.success) {
-                        // Archive verified
-                        const source = verificationResult.archiveInfo.source
-                            ? `(found ${verificationResult.archiveInfo.source})`
-                            : '';
-
-                        this.uiController.addLogEntry({
-                            message: 'Successfully archived',
-                            type: 'success',
-                            url: url,
-                            details: `Archived on ${verificationResult.archiveInfo.formattedDate} ${source}\nView archive: ${verificationResult.archiveInfo.archiveUrl}`,
-                            archiveUrl: verificationResult.archiveInfo.archiveUrl
-                        });
-
-                        // Update progress
-                        this.statusTracker.updateProgress({
-                            url: url,
-                            success: true,
-                            archiveUrl: verificationResult.archiveInfo.archiveUrl,
-                            formattedDate: verificationResult.archiveInfo.formattedDate,
-                            message: 'Successfully archived'
-                        });
-                    } else {
-                        // If verification failed, try to fetch the recent history as a last resort
-                        try {
-                            const historyResult = await this.waybackAPI.getArchiveHistory(url);
-
-                            if (historyResult.success && historyResult.captureCount > 0) {
-                                // Found archives in history that weren't detected by verification
-                                const mostRecent = historyResult.captures[0];
-
-                                this.uiController.addLogEntry({
-                                    message: 'Found in archive history',
-                                    type: 'success',
-                                    url: url,
-                                    details: `Recently archived on ${mostRecent.formattedDate}\nView archive: ${mostRecent.archiveUrl}`,
-                                    archiveUrl: mostRecent.archiveUrl
-                                });
-
-                                // Update progress
-                                this.statusTracker.updateProgress({
-                                    url: url,
-                                    success: true,
-                                    archiveUrl: mostRecent.archiveUrl,
-                                    formattedDate: mostRecent.formattedDate,
-                                    message: 'Found in history'
-                                });
-                            } else {
-                                // Still no archives found, show verification failed
-                                this.uiController.addLogEntry({
-                                    message: 'Archive verification failed',
-                                    type: 'warning',
-                                    url: url,
-                                    details: `Archive request was sent but could not be verified.\nIt may still be processing - check manually later at: ${verificationResult.manualUrl}`,
-                                    manualUrl: verificationResult.manualUrl
-                                });
-
-                                // Update progress
-                                this.statusTracker.updateProgress({
-                                    url: url,
-                                    success: false,
-                                    warning: true,
-                                    manualUrl: verificationResult.manualUrl,
-                                    details: verificationResult.details,
-                                    message: 'Verification failed'
-                                });
-                            }
-                        } catch (historyError) {
-                            // History check failed, fall back to the original verification result
-                            console.error("Error checking archive history:", historyError);
-
-                            this.uiController.addLogEntry({
-                                message: 'Archive verification failed',
-                                type: 'warning',
-                                url: url,
-                                details: `Archive request was sent but could not be verified.\nIt may still be processing - check manually later at: ${verificationResult.manualUrl}`,
-                                manualUrl: verificationResult.manualUrl
-                            });
-
-                            // Update progress
-                            this.statusTracker.updateProgress({
-                                url: url,
-                                success: false,
-                                warning: true,
-                                manualUrl: verificationResult.manualUrl,
-                                details: verificationResult.details,
-                                message: 'Verification failed'
-                            });
-                        }
-                    }
-                }
-            } catch (error) {
-                // Error processing URL
-                this.uiController.addLogEntry({
-                    message: 'Error processing URL',
-                    type: 'error',
-                    url: url,
-                    details: `Error: ${error.message}\nTry archiving manually: https://web.archive.org/save/${encodeURIComponent(url)}`
-                });
-
-                // Update progress
-                this.statusTracker.updateProgress({
-                    url: url,
-                    success: false,
-                    error: true,
-                    message: 'Error',
-                    details: [error.message]
-                });
-            }
+        try {
+            await this.jobStore.setJobStatus(this.currentJobId, status);
+        } catch (error) {
+            console.error('Error updating job status:', error);
+        }
+    }
 
-            // Remove the 'processing' class from the current row
-            for (let j = 0; j < rows.length; j++) {
-                if (rows[j].dataset && rows[j].dataset.url === url) {
-                    rows[j].classList.remove('processing');
-                    break;
-                }
-            }
+    /**
+     * Shows the jobs that were interrupted or stopped in an earlier session
+     */
+    async offerUnfinishedJobs() {
+        if (!this.jobStore.isAvailable()) return;
 
-            // Add a small delay between requests to prevent overwhelming the API
-            // Increased from 1000ms to 1500ms for better reliability
-            await new Promise(resolve => setTimeout(resolve, 1500));
+        try {
+            const jobs = await this.jobStore.getUnfinishedJobs();
+            this.uiController.showResumePrompt(jobs);
+        } catch (error) {
+            console.error('Error loading saved jobs:', error);
         }
     }
 
@@ -397,28 +1088,48 @@ class WaybackArchiver {
     }
 
     /**
-     * Exports results to a CSV file
+     * Shows the export menu (once there is at least one result)
      */
-    exportResultsToCsv() {
-        const results = this.statusTracker.getResults();
+    showExportMenu() {
+        this.uiController.addExportButton((format, filter) => {
+            this.exportResults(format, filter);
+        });
+    }
+
+    /**
+     * Exports results to a file
+     * @param {string} format - "csv", "json", "jsonl", "markdown" or "html"
+     * @param {string} filter - "all", "succeeded" or "failed"
+     */
+    exportResults(format = 'csv', filter = 'all') {
+        const results = this.fileHandler.filterResults(this.statusTracker.getResults(), filter);
         if (results.length === 0) {
             this.uiController.showAlert('No results to export.');
             return;
         }
 
-        const csvContent = this.fileHandler.exportToCsv(results);
-        this.fileHandler.generateDownloadableFile(csvContent, 'wayback-archive-results.csv', 'text/csv');
+        const file = this.fileHandler.exportResults(results, format);
+        const suffix = filter === 'all' ? '' : `-${filter}`;
+        this.fileHandler.generateDownloadableFile(file.content, `wayback-archive-results${suffix}.${file.extension}`, file.mimeType);
+    }
+
+    /**
+     * Exports results to a CSV file
+     */
+    exportResultsToCsv() {
+        this.exportResults('csv', 'all');
     }
 
     /**
-     * Adds a feature to check all recent archives for a URL
+     * Adds a feature to check all archives for a URL
      * This can be useful when troubleshooting verification issues
      * @param {string} url - The URL to check history for
+     * @param {Object} options - Optional date bounds (from, to)
      * @returns {Promise<Object>} - Promise resolving to archive history
      */
-    async checkArchiveHistory(url) {
+    async checkArchiveHistory(url, options = {}) {
         try {
-            return await this.waybackAPI.getArchiveHistory(url);
+            return await this.waybackAPI.getArchiveHistory(url, options);
         } catch (error) {
             console.error("Error checking archive history:", error);
             return {
@@ -0,0 +1,666 @@
+/**
+ * ArchiveWorkflow module
+ * Checks, archives and verifies URLs with a pool of workers. It has no DOM dependencies,
+ * so the browser app and the command-line archiver share it; callers follow progress through callbacks.
+ */
+import FreshnessPolicy from './freshnessPolicy.js';
+
+// Upper bound for the number of URLs processed in parallel
+const MAX_WORKERS = 8;
+
+// New captures can take a while to reach the CDX index, so their digest is looked up a few times
+const CHANGE_LOOKUP_ATTEMPTS = 3;
+const CHANGE_LOOKUP_DELAY = 5000;
+
+// Captures are looked for VERIFY_ATTEMPTS times after a save; the delay between lookups doubles with every
+// retry of a URL (up to MAX_VERIFY_DELAY), since captures missed the first time are often just slow to be indexed
+const VERIFY_ATTEMPTS = 5;
+const VERIFY_DELAY = 3000;
+const MAX_VERIFY_DELAY = 12000;
+
+// Error classes meaning the Wayback Machine didn't answer, and how many URLs in a row may end with one
+// before the job is paused instead of failing the rest of the queue
+const UNREACHABLE_ERROR_CLASSES = /^(timeout|network|http-5\d\d)$/;
+const UNREACHABLE_PAUSE_AFTER = 3;
+
+export default class ArchiveWorkflow {
+    /**
+     * Constructor
+     * @param {Object} options - Workflow options
+     * @param {WaybackAPI} options.waybackAPI - Client used for lookups and save requests
+     * @param {StatusTracker} options.statusTracker - Tracker that receives every result
+     * @param {FileHandler} options.fileHandler - Used to format capture options in details
+     */
+    constructor(options = {}) {
+        this.waybackAPI = options.waybackAPI;
+        this.statusTracker = options.statusTracker;
+        this.fileHandler = options.fileHandler;
+
+        // Job settings (see configure)
+        this.freshnessPolicy = new FreshnessPolicy();
+        this.captureOptions = {};
+        this.urlCaptureOptions = {};
+        this.urlMetadata = {};
+        this.detectChanges = false;
+        this.skipUnchanged = '';
+        this.skipUnchangedFor = 0;
+
+        // URLs in a row that failed because the Wayback Machine didn't answer
+        this.unreachableStreak = 0;
+
+        // Progress callbacks; onUrlStart and onUrlDone may return promises, which are awaited
+        this.callbacks = {
+            onUrlStart: null,
+            onUrlDone: null,
+            onLogEntry: null,
+            onResult: null
+        };
+    }
+
+    /**
+     * Applies the settings of a job
+     * @param {Object} settings - Job settings
+     * @param {string} settings.freshness - Freshness rule in the text form of FreshnessPolicy.parse
+     * @param {Object} settings.captureOptions - SPN2 capture options for all URLs
+     * @param {Object} settings.urlCaptureOptions - Capture options by URL, overriding the global ones
+     * @param {Object} settings.urlMetadata - Import metadata by URL ({ title, folder, tags, ... })
+     * @param {boolean} settings.detectChanges - Compare each capture with the previous one by CDX digest
+     * @param {string} settings.skipUnchanged - Don't save URLs whose captures show no change for this long
+     *                                          (an age such as "30d"; implies detectChanges)
+     * @throws {Error} - If the freshness rule or the skipUnchanged age is invalid
+     */
+    configure(settings = {}) {
+        this.freshnessPolicy = FreshnessPolicy.parse(settings.freshness);
+        this.captureOptions = settings.captureOptions || {};
+        this.urlCaptureOptions = settings.urlCaptureOptions || {};
+        this.urlMetadata = settings.urlMetadata || {};
+
+        this.skipUnchanged = String(settings.skipUnchanged || '').trim().toLowerCase();
+        this.skipUnchangedFor = this.skipUnchanged ? FreshnessPolicy.parseAge(this.skipUnchanged) : 0;
+        if (this.skipUnchangedFor === null) {
+            throw new Error(`Invalid unchanged period "${settings.skipUnchanged}". Use an age like 30d or 12h.`);
+        }
+
+        this.detectChanges = Boolean(settings.detectChanges || this.skipUnchangedFor);
+    }
+
+    /**
+     * Sets a callback for when a worker starts on a URL
+     * @param {Function} callback - Function taking the URL (may be async)
+     */
+    setUrlStartCallback(callback) {
+        this.callbacks.onUrlStart = callback;
+    }
+
+    /**
+     * Sets a callback for when a URL is finished
+     * @param {Function} callback - Function taking the URL and its result (may be async)
+     */
+    setUrlDoneCallback(callback) {
+        this.callbacks.onUrlDone = callback;
+    }
+
+    /**
+     * Sets a callback for log entries (progress notes and outcomes of each URL)
+     * @param {Function} callback - Function taking { url, message, type, details, archiveUrl, manualUrl, saveUrl, change, attempts }
+     */
+    setLogEntryCallback(callback) {
+        this.callbacks.onLogEntry = callback;
+    }
+
+    /**
+     * Sets a callback for each result added to the status tracker
+     * @param {Function} callback - Function taking the result
+     */
+    setResultCallback(callback) {
+        this.callbacks.onResult = callback;
+    }
+
+    /**
+     * Processes URLs until all are done or the status tracker is stopped
+     * While the status tracker is paused, URLs in progress finish but no new URL is started
+     * The status tracker must already be initialized with the URLs
+     * @param {Array} urls - URLs to process, in order
+     * @param {number} concurrency - Number of URLs processed at the same time (1-8)
+     * @returns {Promise<void>}
+     */
+    async run(urls, concurrency = 1) {
+        await this.processUrls(urls, concurrency);
+    }
+
+    /**
+     * Processes a list of URLs for archiving with a bounded pool of workers
+     * Each worker takes the next pending URL, so the save, wait and verify phases
+     * of different URLs overlap while at most `concurrency` URLs are in flight
+     * @param {Array} urls - Array of URLs to process
+     * @param {number} concurrency - Number of URLs processed at the same time (1-8)
+     */
+    async processUrls(urls, concurrency = 1) {
+        const workerCount = Math.max(1, Math.min(MAX_WORKERS, concurrency, urls.length));
+        let nextIndex = 0;
+
+        this.statusTracker.setWorkerCount(workerCount);
+        this.unreachableStreak = 0;
+
+        const runWorker = async (workerIndex) => {
+            // Stagger worker start-up so the first requests don't all fire at once
+            await new Promise(resolve => setTimeout(resolve, workerIndex * 500));
+
+            while (!this.statusTracker.shouldStop && nextIndex < urls.length) {
+                // Hold the queue while the job is paused
+                await this.statusTracker.waitWhilePaused();
+                if (this.statusTracker.shouldStop || nextIndex >= urls.length) break;
+
+                const url = urls[nextIndex++];
+
+                // Skip URLs that finished before the job was resumed
+                if (this.statusTracker.hasResult(url)) continue;
+
+                // Request pacing is handled by the scheduler inside WaybackAPI
+                await this.processUrl(url);
+                this.trackReachability(this.statusTracker.getResult(url));
+            }
+        };
+
+        const workers = [];
+        for (let i = 0; i < workerCount; i++) {
+            workers.push(runWorker(i));
+        }
+
+        await Promise.all(workers);
+    }
+
+    /**
+     * Pauses the job when several URLs in a row failed because the Wayback Machine didn't answer
+     * The URLs that failed keep their results; the rest of the queue waits for a resume
+     * @param {Object|null} result - Result of the URL that just finished
+     */
+    trackReachability(result) {
+        if (!result || !UNREACHABLE_ERROR_CLASSES.test(result.errorClass || '')) {
+            this.unreachableStreak = 0;
+            return;
+        }
+
+        this.unreachableStreak++;
+        if (this.unreachableStreak >= UNREACHABLE_PAUSE_AFTER && this.statusTracker.pause('unreachable')) {
+            this.unreachableStreak = 0;
+        }
+    }
+
+    /**
+     * Checks, archives and verifies a single URL and records its result in the status tracker
+     * @param {string} url - The URL to process
+     */
+    async processUrl(url) {
+        this.statusTracker.startUrl(url);
+        await this._notify('onUrlStart', url);
+
+        this.statusTracker.setPhase(url, 'checking');
+
+        // Per-URL information that is added to whatever outcome gets recorded
+        const context = { previousCapture: null, captureOptions: null, change: null };
+
+        try {
+            // First check if the URL is already archived
+            // The improved API will now try multiple methods to find archives
+            const archiveInfo = await this.waybackAPI.checkIfArchived(url);
+
+            // Check if there was a specific error during the check
+            if (archiveInfo.error) {
+                console.warn(`Warning during archive check: ${archiveInfo.error}`);
+            }
+
+            // The freshness policy decides whether an existing capture is good enough
+            const decision = this.freshnessPolicy.evaluate(archiveInfo);
+
+            // Pages whose captures show no change over the configured period aren't saved again
+            const stability = decision.action === 'archive' && archiveInfo.isArchived && this.skipUnchangedFor
+                ? await this.checkUnchanged(url)
+                : null;
+
+            if (decision.action === 'skip') {
+                // URL is already archived recently enough
+                const source = archiveInfo.source ? `via ${archiveInfo.source}` : '';
+                await this.recordOutcome(url, {
+                    message: 'URL already archived',
+                    type: 'success',
+                    details: `Already archived on ${archiveInfo.formattedDate} ${source}\nView archive: ${archiveInfo.archiveUrl}`,
+                    archiveUrl: archiveInfo.archiveUrl
+                }, {
+                    success: true,
+                    archiveUrl: archiveInfo.archiveUrl,
+                    timestamp: archiveInfo.timestamp,
+                    formattedDate: archiveInfo.formattedDate,
+                    source: archiveInfo.source || null,
+                    message: 'Already archived'
+                }, context);
+            } else if (stability && stability.unchanged) {
+                context.change = {
+                    change: 'unchanged',
+                    digest: stability.digest,
+                    previousDigest: stability.digest,
+                    previousTimestamp: stability.baseline.timestamp
+                };
+
+                await this.recordOutcome(url, {
+                    message: 'URL unchanged',
+                    type: 'success',
+                    details: `Captures show no change for ${this.skipUnchanged}, so no new capture was requested\nView archive: ${archiveInfo.archiveUrl}`,
+                    archiveUrl: archiveInfo.archiveUrl
+                }, {
+                    success: true,
+                    archiveUrl: archiveInfo.archiveUrl,
+                    timestamp: archiveInfo.timestamp,
+                    formattedDate: archiveInfo.formattedDate,
+                    source: archiveInfo.source || null,
+                    message: 'Unchanged'
+                }, context);
+            } else if (decision.action === 'report') {
+                // Check-only mode: report the missing capture without saving
+                await this.recordOutcome(url, {
+                    message: 'Not archived',
+                    type: 'warning',
+                    details: `No capture found. Saving is disabled by the freshness rule (${this.freshnessPolicy.describe()}).\nCheck manually: ${this.waybackAPI.getCalendarUrl(url)}`,
+                    manualUrl: this.waybackAPI.getCalendarUrl(url)
+                }, {
+                    success: false,
+                    warning: true,
+                    manualUrl: this.waybackAPI.getCalendarUrl(url),
+                    source: archiveInfo.source || null,
+                    errorClass: 'not-archived',
+                    message: 'Not archived'
+                }, context);
+            } else {
+                // URL needs to be archived
+                if (decision.stale) {
+                    context.previousCapture = {
+                        timestamp: archiveInfo.timestamp,
+                        formattedDate: archiveInfo.formattedDate,
+                        archiveUrl: archiveInfo.archiveUrl
+                    };
+                }
+
+                // Report that the capture was requested
+                this._notify('onLogEntry', {
+                    message: 'Archive request sent',
+                    type: 'info',
+                    url: url,
+                    details: context.previousCapture
+                        ? `Newest capture (${archiveInfo.formattedDate}) is stale - requesting a new one...`
+                        : 'Processing...'
+                });
+
+                await this.archiveAndReport(url, context);
+            }
+        } catch (error) {
+            // Error processing URL
+            await this.recordOutcome(url, {
+                message: 'Error processing URL',
+                type: 'error',
+                details: `Error: ${error.message}\nTry archiving manually: ${this.waybackAPI.getManualSaveUrl(url)}`,
+                saveUrl: this.waybackAPI.getManualSaveUrl(url)
+            }, {
+                success: false,
+                error: true,
+                errorClass: this.classifyError(error),
+                message: 'Error',
+                details: [error.message]
+            }, context);
+        }
+
+        // Let the caller save the result, e.g. so a resumed job can skip this URL
+        await this._notify('onUrlDone', url, this.statusTracker.getResult(url));
+    }
+
+    /**
+     * Sends a Save Page Now request for a URL and reports the capture outcome
+     * @param {string} url - The URL to archive
+     * @param {Object} context - Per-URL context (see processUrl)
+     */
+    async archiveAndReport(url, context) {
+        // Options given for this URL override the global capture options
+        context.captureOptions = this.waybackAPI.normalizeCaptureOptions({
+            ...this.captureOptions,
+            ...(this.urlCaptureOptions[url] || {})
+        });
+
+        this.statusTracker.setPhase(url, 'saving');
+
+        // Let SPN2 skip the capture itself if a fresh one appeared in the meantime
+        const archiveResult = await this.waybackAPI.archiveUrl(url, {
+            ifNotArchivedWithin: this.freshnessPolicy.toIfNotArchivedWithin(),
+            captureOptions: context.captureOptions
+        });
+
+        if (!archiveResult.success) {
+            // The save request was refused or failed outright
+            await this.reportArchiveError(url, archiveResult, context);
+        } else if (archiveResult.jobId) {
+            // Follow the SPN2 capture job until it reports a result
+            const captureResult = await this.waybackAPI.waitForCapture(archiveResult.jobId);
+
+            if (captureResult.status === 'success') {
+                const screenshot = captureResult.screenshotUrl ? `\nScreenshot: ${captureResult.screenshotUrl}` : '';
+
+                await this.recordOutcome(url, {
+                    message: 'Successfully archived',
+                    type: 'success',
+                    details: `Archived on ${captureResult.formattedDate} (SPN job ${captureResult.jobId})\nView archive: ${captureResult.archiveUrl}${screenshot}`,
+                    archiveUrl: captureResult.archiveUrl
+                }, {
+                    success: true,
+                    archiveUrl: captureResult.archiveUrl,
+                    timestamp: captureResult.timestamp,
+                    formattedDate: captureResult.formattedDate,
+                    jobId: captureResult.jobId,
+                    screenshotUrl: captureResult.screenshotUrl,
+                    source: 'save_page_now',
+                    message: 'Successfully archived'
+                }, context);
+            } else if (captureResult.status === 'error') {
+                await this.reportArchiveError(url, {
+                    error: captureResult.message,
+                    statusExt: captureResult.statusExt,
+                    jobId: captureResult.jobId,
+                    manualUrl: archiveResult.manualUrl
+                }, context);
+            } else {
+                // Still pending - the capture may finish later, so look for it in the indexes
+                await this.verifyAndReport(url, captureResult.details, context);
+            }
+        } else {
+            // Without a job ID (opaque request) we can only wait and look for the capture
+            // Recent archives may take slightly longer to become available in the APIs
+            await new Promise(resolve => setTimeout(resolve, 8000));
+            await this.verifyAndReport(url, [], context);
+        }
+    }
+
+    /**
+     * Verifies a save request through the lookup APIs and reports the outcome
+     * Used when Save Page Now could not give us a definitive capture result
+     * @param {string} url - The URL that was submitted for archiving
+     * @param {Array} previousDetails - Optional details collected before verification
+     * @param {Object} context - Per-URL context (see processUrl)
+     */
+    async verifyAndReport(url, previousDetails = [], context = {}) {
+        this.statusTracker.setPhase(url, 'verifying');
+
+        const verificationResult = await this.waybackAPI.verifyArchive(url, VERIFY_ATTEMPTS, this.verifyDelay(url));
+
+        // A stale capture from before the request doesn't prove the new capture worked
+        const isNewCapture = (archiveInfo) => !context.previousCapture ||
+            archiveInfo.timestamp > context.previousCapture.timestamp;
+
+        if (verificationResult.success && isNewCapture(verificationResult.archiveInfo)) {
+            // Archive verified
+            const source = verificationResult.archiveInfo.source
+                ? `(found ${verificationResult.archiveInfo.source})`
+                : '';
+
+            await this.recordOutcome(url, {
+                message: 'Successfully archived',
+                type: 'success',
+                details: `Archived on ${verificationResult.archiveInfo.formattedDate} ${source}\nView archive: ${verificationResult.archiveInfo.archiveUrl}`,
+                archiveUrl: verificationResult.archiveInfo.archiveUrl
+            }, {
+                success: true,
+                archiveUrl: verificationResult.archiveInfo.archiveUrl,
+                timestamp: verificationResult.archiveInfo.timestamp,
+                formattedDate: verificationResult.archiveInfo.formattedDate,
+                source: verificationResult.archiveInfo.source || null,
+                message: 'Successfully archived'
+            }, context);
+            return;
+        }
+
+        const details = [...previousDetails, ...verificationResult.details];
+
+        // If verification failed, try to fetch the recent history as a last resort
+        try {
+            // Only recent captures matter here - anything older predates this save request
+            const historyResult = await this.waybackAPI.getArchiveHistory(url, {
+                from: new Date(Date.now() - 24 * 60 * 60 * 1000)
+            });
+
+            if (historyResult.success && historyResult.captureCount > 0 && isNewCapture(historyResult.captures[0])) {
+                // Found archives in history that weren't detected by verification
+                const mostRecent = historyResult.captures[0];
+
+                await this.recordOutcome(url, {
+                    message: 'Found in archive history',
+                    type: 'success',
+                    details: `Recently archived on ${mostRecent.formattedDate}\nView archive: ${mostRecent.archiveUrl}`,
+                    archiveUrl: mostRecent.archiveUrl
+                }, {
+                    success: true,
+                    archiveUrl: mostRecent.archiveUrl,
+                    timestamp: mostRecent.timestamp,
+                    formattedDate: mostRecent.formattedDate,
+                    source: 'cdx_api',
+                    message: 'Found in history'
+                }, context);
+                return;
+            }
+        } catch (historyError) {
+            // History check failed, fall back to the original verification result
+            console.error("Error checking archive history:", historyError);
+        }
+
+        // Still no archives found, show verification failed
+        await this.recordOutcome(url, {
+            message: 'Archive verification failed',
+            type: 'warning',
+            details: `Archive request was sent but could not be verified.\nIt may still be processing - check manually later at: ${verificationResult.manualUrl}`,
+            manualUrl: verificationResult.manualUrl,
+            saveUrl: this.waybackAPI.getManualSaveUrl(url)
+        }, {
+            success: false,
+            warning: true,
+            manualUrl: verificationResult.manualUrl,
+            errorClass: 'unverified',
+            details: details,
+            message: 'Verification failed'
+        }, context);
+    }
+
+    /**
+     * Reports a save request that Save Page Now refused or could not complete
+     * @param {string} url - The URL that was submitted for archiving
+     * @param {Object} failure - Failure info (error, statusExt, httpStatus, timeout, network, jobId, manualUrl)
+     * @param {Object} context - Per-URL context (see processUrl)
+     */
+    async reportArchiveError(url, failure, context = {}) {
+        const code = failure.statusExt ? ` [${failure.statusExt}]` : '';
+
+        // SPN2 status codes are the most specific class, then HTTP errors and timeouts
+        let errorClass = 'save-failed';
+        if (failure.statusExt) {
+            errorClass = failure.statusExt;
+        } else if (failure.timeout) {
+            errorClass = 'timeout';
+        } else if (failure.network) {
+            errorClass = 'network';
+        } else if (failure.httpStatus) {
+            errorClass = `http-${failure.httpStatus}`;
+        }
+
+        await this.recordOutcome(url, {
+            message: 'Archive request failed',
+            type: 'error',
+            details: `Error${code}: ${failure.error}\nTry archiving manually: ${failure.manualUrl || this.waybackAPI.getManualSaveUrl(url)}`,
+            manualUrl: failure.manualUrl,
+            saveUrl: this.waybackAPI.getManualSaveUrl(url)
+        }, {
+            success: false,
+            error: true,
+            statusExt: failure.statusExt || null,
+            jobId: failure.jobId || null,
+            source: 'save_page_now',
+            errorClass: errorClass,
+            message: 'Failed',
+            details: [failure.error]
+        }, context);
+    }
+
+    /**
+     * Gets the delay between verification lookups for the current attempt of a URL
+     * @param {string} url - The URL being verified
+     * @returns {number} - Delay in ms
+     */
+    verifyDelay(url) {
+        const attempt = this.statusTracker.getAttempt(url);
+        return Math.min(MAX_VERIFY_DELAY, VERIFY_DELAY * 2 ** (attempt - 1));
+    }
+
+    /**
+     * Checks whether the captures of a URL show no change over the skipUnchanged period
+     * @param {string} url - The URL to check
+     * @returns {Promise<Object|null>} - Result of WaybackAPI.checkUnchangedSince, or null if the lookup failed
+     */
+    async checkUnchanged(url) {
+        try {
+            return await this.waybackAPI.checkUnchangedSince(url, new Date(Date.now() - this.skipUnchangedFor));
+        } catch (error) {
+            // Without the history the URL is saved as usual
+            console.warn(`Could not check ${url} for changes: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Compares a capture with the capture before it, waiting a little for new captures to be indexed
+     * @param {string} url - The captured URL
+     * @param {string} timestamp - Timestamp of the capture
+     * @returns {Promise<Object>} - { change, digest, previousDigest, previousTimestamp } (see WaybackAPI.compareWithPreviousCapture)
+     */
+    async detectChange(url, timestamp) {
+        let comparison = { change: 'unknown', digest: null, previousDigest: null, previousTimestamp: null };
+
+        for (let attempt = 1; attempt <= CHANGE_LOOKUP_ATTEMPTS; attempt++) {
+            try {
+                comparison = await this.waybackAPI.compareWithPreviousCapture(url, timestamp);
+            } catch (error) {
+                console.warn(`Could not compare the capture of ${url} with the previous one: ${error.message}`);
+                break;
+            }
+
+            if (comparison.change !== 'unknown' || attempt === CHANGE_LOOKUP_ATTEMPTS || this.statusTracker.shouldStop) break;
+            await new Promise(resolve => setTimeout(resolve, CHANGE_LOOKUP_DELAY));
+        }
+
+        return comparison;
+    }
+
+    /**
+     * Describes the change state of a capture for the log details
+     * @param {string} url - The captured URL
+     * @param {Object} change - { change, digest, previousDigest, previousTimestamp }
+     * @returns {string} - One line of details
+     */
+    describeChange(url, change) {
+        const previousUrl = change.previousTimestamp ? this.waybackAPI.getReplayUrl(change.previousTimestamp, url) : '';
+
+        switch (change.change) {
+            case 'changed':
+                return `Content changed since the previous capture: ${previousUrl}`;
+            case 'unchanged':
+                return `Content unchanged since the capture ${previousUrl}`;
+            case 'first':
+                return 'First capture of this URL';
+            default:
+                return 'Change unknown: the capture is not in the CDX index yet';
+        }
+    }
+
+    /**
+     * Classifies an unexpected error for reports and exports
+     * @param {Error} error - The error thrown while processing a URL
+     * @returns {string} - "timeout", "network" or "exception"
+     */
+    classifyError(error) {
+        if (error && error.name === 'AbortError') return 'timeout';
+
+        // fetch() rejects with a TypeError when the request never got a response
+        if (error instanceof TypeError) return 'network';
+
+        return 'exception';
+    }
+
+    /**
+     * Records the outcome of a URL: reports its log entry and adds the result to the status tracker
+     * With change detection on, successful captures are first compared with the capture before them.
+     * The details of a retried URL list its earlier attempts.
+     * @param {string} url - The processed URL
+     * @param {Object} entry - Log entry data (message, type, details, archiveUrl, ...)
+     * @param {Object} result - Result data for the status tracker (success, archiveUrl, message, ...)
+     * @param {Object} context - Per-URL context (see processUrl)
+     */
+    async recordOutcome(url, entry, result, context = {}) {
+        let details = entry.details;
+
+        if (context.previousCapture) {
+            details += `\nPrevious capture from ${context.previousCapture.formattedDate} was stale, so a new capture was requested: ${context.previousCapture.archiveUrl}`;
+        }
+
+        let change = context.change;
+        if (!change && this.detectChanges && result.success && result.timestamp) {
+            change = await this.detectChange(url, result.timestamp);
+        }
+
+        if (change) {
+            details += `\n${this.describeChange(url, change)}`;
+        }
+
+        const captureOptions = context.captureOptions && Object.keys(context.captureOptions).length
+            ? context.captureOptions
+            : null;
+
+        if (captureOptions) {
+            details += `\nCapture options: ${this.fileHandler.formatCaptureOptions(captureOptions)}`;
+        }
+
+        const metadata = this.urlMetadata[url] || null;
+
+        if (metadata && metadata.folder) {
+            details += `\nFolder: ${metadata.folder}`;
+        }
+        if (metadata && (metadata.tags || []).length) {
+            details += `\nTags: ${metadata.tags.join(', ')}`;
+        }
+
+        const history = this.statusTracker.getAttemptHistory(url);
+        const attempts = history.length + 1;
+
+        if (history.length) {
+            const earlier = history.map((attempt, i) => `${i + 1}. ${attempt.message}${attempt.errorClass ? ` (${attempt.errorClass})` : ''}`);
+            details += `\nAttempt ${attempts}; earlier attempts: ${earlier.join(', ')}`;
+        }
+
+        this._notify('onLogEntry', { ...entry, url, details, change: change ? change.change : null, attempts });
+
+        // Update progress
+        this.statusTracker.updateProgress({
+            ...result,
+            ...(change || {}),
+            url: url,
+            previousCapture: context.previousCapture || null,
+            captureOptions: captureOptions,
+            metadata: metadata
+        });
+
+        this._notify('onResult', this.statusTracker.getResult(url));
+    }
+
+    /**
+     * Calls a callback if it is set
+     * @param {string} name - Callback name in this.callbacks
+     * @param {...*} args - Arguments for the callback
+     * @returns {*} - Whatever the callback returns (a promise for async callbacks)
+     * @private
+     */
+    _notify(name, ...args) {
+        const callback = this.callbacks[name];
+        return typeof callback === 'function' ? callback(...args) : undefined;
+    }
+}
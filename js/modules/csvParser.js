@@ -0,0 +1,150 @@
+/**
+ * CsvParser module
+ * Reads and writes CSV as described in RFC 4180 (quoted fields, escaped quotes, line breaks in fields)
+ */
+
+// Delimiters tried when the delimiter isn't given; spreadsheets in some locales export ";" or tabs
+const CANDIDATE_DELIMITERS = [',', ';', '\t'];
+
+export default class CsvParser {
+    /**
+     * Parses CSV text into rows of fields
+     * @param {string} text - CSV text
+     * @param {Object} options - Parser options
+     * @param {string} options.delimiter - Field delimiter (detected from the first line if not given)
+     * @returns {Array} - Array of rows, each an array of field strings (blank lines are skipped)
+     */
+    parse(text, options = {}) {
+        const input = String(text || '').replace(/^\uFEFF/, '');
+        const delimiter = options.delimiter || this.detectDelimiter(input);
+
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+
+            if (inQuotes) {
+                if (char === '"') {
+                    // A doubled quote is a literal quote, a single one ends the quoted section
+                    if (input[i + 1] === '"') {
+                        field += '"';
+                        i++;
+                    } else {
+                        inQuotes = false;
+                    }
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                // Treat CRLF as a single line break
+                if (char === '\r' && input[i + 1] === '\n') i++;
+
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        // Last line without a trailing line break
+        if (field !== '' || row.length) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows.filter(fields => fields.some(value => value.trim() !== ''));
+    }
+
+    /**
+     * Detects the delimiter from the first line of CSV text
+     * @param {string} text - CSV text
+     * @returns {string} - The candidate delimiter that occurs most often outside quotes (comma by default)
+     */
+    detectDelimiter(text) {
+        const firstLine = String(text || '').split(/\r?\n/)[0].replace(/"[^"]*"/g, '');
+
+        let best = ',';
+        let bestCount = 0;
+
+        for (const delimiter of CANDIDATE_DELIMITERS) {
+            const count = firstLine.split(delimiter).length - 1;
+            if (count > bestCount) {
+                best = delimiter;
+                bestCount = count;
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Finds the column that most likely holds the URLs
+     * @param {Array} rows - Parsed rows
+     * @returns {number} - Index of the column with the most http(s) URLs (0 if none has any)
+     */
+    guessUrlColumn(rows) {
+        const counts = [];
+
+        for (const row of rows) {
+            row.forEach((value, index) => {
+                if (/^https?:\/\//i.test(value.trim())) {
+                    counts[index] = (counts[index] || 0) + 1;
+                }
+            });
+        }
+
+        let best = 0;
+        counts.forEach((count, index) => {
+            if (count > (counts[best] || 0)) best = index;
+        });
+
+        return best;
+    }
+
+    /**
+     * Guesses whether the first row holds column names
+     * @param {Array} rows - Parsed rows
+     * @param {number} urlColumn - Index of the URL column
+     * @returns {boolean} - True if the first row has no URL where the other rows have one
+     */
+    hasHeaderRow(rows, urlColumn) {
+        if (rows.length < 2) return false;
+
+        const first = (rows[0][urlColumn] || '').trim();
+        return !/^https?:\/\//i.test(first);
+    }
+
+    /**
+     * Formats fields as one CSV line, quoting fields where needed
+     * @param {Array} fields - Field values (null/undefined become empty fields)
+     * @returns {string} - CSV line without a line break
+     */
+    formatRow(fields) {
+        return fields.map(value => this.escapeField(value)).join(',');
+    }
+
+    /**
+     * Quotes a field if it contains a delimiter, quote or line break
+     * @param {*} value - Field value
+     * @returns {string} - CSV-safe field
+     */
+    escapeField(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+
+        if (/[",\r\n]/.test(text)) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+
+        return text;
+    }
+}
@@ -0,0 +1,184 @@
+/**
+ * DocumentRewriter module
+ * Protects a document against link rot by pointing its links at their archived copies
+ */
+
+// Rewrite modes: add an "[archived]" link after each link, replace the link, or add data-archive attributes
+const REWRITE_MODES = ['append', 'replace', 'attribute'];
+
+export default class DocumentRewriter {
+    /**
+     * Constructor
+     * @param {URLProcessor} urlProcessor - Instance of URLProcessor class (finds the links of a document)
+     */
+    constructor(urlProcessor) {
+        this.urlProcessor = urlProcessor;
+    }
+
+    /**
+     * Detects the document type from its file name and content
+     * @param {string} fileName - Document file name
+     * @param {string} text - Document content
+     * @returns {string} - "html", "markdown" or "text"
+     */
+    detectType(fileName, text) {
+        const name = String(fileName || '').toLowerCase();
+
+        if (/\.(html?|xhtml)$/.test(name)) return 'html';
+        if (/\.(md|markdown|mdown|mkd)$/.test(name)) return 'markdown';
+        if (/^\s*(<!doctype html|<html[\s>])/i.test(text)) return 'html';
+
+        return 'text';
+    }
+
+    /**
+     * Lists the unique URLs linked from a document
+     * @param {string} text - Document content
+     * @param {string} type - "html", "markdown" or "text"
+     * @returns {Array} - Unique URLs in document order
+     */
+    extractUrls(text, type) {
+        return [...new Set(this.urlProcessor.findDocumentLinks(text, type).map(link => link.url))];
+    }
+
+    /**
+     * Builds the lookup of archived copies from archiving results
+     * Only successful results with an archive URL are used
+     * @param {Array} results - Results from StatusTracker
+     * @returns {Map} - Map of normalized URL to { archiveUrl, timestamp }
+     */
+    buildArchiveMap(results) {
+        const archiveMap = new Map();
+
+        for (const result of results) {
+            if (!result.success || !result.archiveUrl) continue;
+
+            archiveMap.set(this.urlProcessor.normalizeUrlForComparison(result.url), {
+                archiveUrl: result.archiveUrl,
+                timestamp: result.timestamp || null
+            });
+        }
+
+        return archiveMap;
+    }
+
+    /**
+     * Rewrites the links of a document, leaving everything else untouched
+     * @param {string} text - Document content
+     * @param {string} type - "html", "markdown" or "text"
+     * @param {Map} archiveMap - Archived copies from buildArchiveMap
+     * @param {string} mode - "append", "replace" or "attribute" (attribute only applies to HTML; other
+     *                        documents get appended links instead)
+     * @returns {Object} - { text, rewritten, missing } with the number of links rewritten and the URLs without an archived copy
+     */
+    rewrite(text, type, archiveMap, mode = 'append') {
+        if (!REWRITE_MODES.includes(mode)) {
+            throw new Error(`Unknown rewrite mode: ${mode}`);
+        }
+
+        const effectiveMode = mode === 'attribute' && type !== 'html' ? 'append' : mode;
+        const edits = [];
+        const missing = new Set();
+        let rewritten = 0;
+
+        for (const link of this.urlProcessor.findDocumentLinks(text, type)) {
+            const archive = archiveMap.get(this.urlProcessor.normalizeUrlForComparison(link.url));
+            if (!archive) {
+                missing.add(link.url);
+                continue;
+            }
+
+            edits.push(this._editForLink(text, link, type, archive, effectiveMode));
+            rewritten++;
+        }
+
+        // Apply from the end of the document so earlier positions stay valid
+        edits.sort((a, b) => b.start - a.start);
+
+        let output = text;
+        for (const edit of edits) {
+            output = output.slice(0, edit.start) + edit.text + output.slice(edit.end);
+        }
+
+        return { text: output, rewritten, missing: [...missing] };
+    }
+
+    /**
+     * Gets the file name for the rewritten copy of a document
+     * @param {string} fileName - Original file name
+     * @returns {string} - e.g. "article.archived.md"
+     */
+    getOutputName(fileName) {
+        const match = String(fileName || 'document.txt').match(/^(.*?)(\.[^.]+)?$/);
+        return `${match[1]}.archived${match[2] || '.txt'}`;
+    }
+
+    /**
+     * Builds the text edit for one link
+     * @param {string} text - Document content
+     * @param {Object} link - Link from URLProcessor.findDocumentLinks
+     * @param {string} type - Document type
+     * @param {Object} archive - { archiveUrl, timestamp }
+     * @param {string} mode - Rewrite mode
+     * @returns {Object} - Edit { start, end, text } replacing start..end with text
+     * @private
+     */
+    _editForLink(text, link, type, archive, mode) {
+        const archiveUrl = type === 'html' ? this._escapeHtml(archive.archiveUrl) : archive.archiveUrl;
+
+        if (mode === 'replace') {
+            return { start: link.start, end: link.end, text: archiveUrl };
+        }
+
+        if (mode === 'attribute') {
+            const date = archive.timestamp ? ` data-archive-date="${this._formatIsoDate(archive.timestamp)}"` : '';
+            return { start: link.attributeAt, end: link.attributeAt, text: ` data-archive="${archiveUrl}"${date}` };
+        }
+
+        if (link.kind === 'markdown-reference') {
+            // Nothing may follow a reference definition on its line, so note the archived copy on the next one
+            const lineEnd = text.indexOf('\n', link.insertAt);
+            const at = lineEnd === -1 ? text.length : lineEnd;
+            return { start: at, end: at, text: `\n<!-- archived: ${archiveUrl} -->` };
+        }
+
+        let suffix;
+        if (type === 'html') {
+            suffix = ` <a href="${archiveUrl}" class="archived-link">[archived]</a>`;
+        } else if (type === 'markdown') {
+            suffix = ` ([archived](${archiveUrl}))`;
+        } else {
+            suffix = ` [archived: ${archiveUrl}]`;
+        }
+
+        return { start: link.insertAt, end: link.insertAt, text: suffix };
+    }
+
+    /**
+     * Formats a capture timestamp as an ISO 8601 date
+     * @param {string} timestamp - Wayback timestamp (YYYYMMDDhhmmss); a shorter one such as "2024" or "202405"
+     *                             stands for the start of that year or month
+     * @returns {string} - e.g. "2024-05-01T12:30:00Z"
+     * @private
+     */
+    _formatIsoDate(timestamp) {
+        // Missing digits come from January 1st, 00:00:00, so the month and day never end up as "00"
+        const digits = String(timestamp);
+        const t = digits + '00000101000000'.slice(digits.length);
+        return `${t.slice(0, 4)}-${t.slice(4, 6)}-${t.slice(6, 8)}T${t.slice(8, 10)}:${t.slice(10, 12)}:${t.slice(12, 14)}Z`;
+    }
+
+    /**
+     * Escapes text for use in an HTML attribute
+     * @param {string} text - Text to escape
+     * @returns {string} - Escaped text
+     * @private
+     */
+    _escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+}
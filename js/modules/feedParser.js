@@ -0,0 +1,214 @@
+/**
+ * FeedParser module
+ * Extracts URLs from XML sitemaps, sitemap indexes and RSS/Atom feeds
+ */
+
+// Root element (local name) of each supported document type
+const ROOT_TYPES = {
+    urlset: 'sitemap',
+    sitemapindex: 'sitemapindex',
+    rss: 'rss',
+    RDF: 'rss',
+    feed: 'atom'
+};
+
+export default class FeedParser {
+    /**
+     * Constructor
+     * @param {Object} options - Parser options
+     * @param {Function} options.DOMParser - DOMParser implementation (defaults to the browser's)
+     */
+    constructor(options = {}) {
+        this.DOMParser = options.DOMParser || globalThis.DOMParser;
+    }
+
+    /**
+     * Checks whether text looks like an XML sitemap or feed
+     * @param {string} text - Document text
+     * @returns {boolean} - Whether the text should be parsed as XML
+     */
+    isFeed(text) {
+        const start = String(text || '').replace(/^\uFEFF/, '').trimStart().slice(0, 1000);
+        return /^<\?xml/i.test(start) || /<(urlset|sitemapindex|rss|feed|rdf:RDF)[\s>]/i.test(start);
+    }
+
+    /**
+     * Parses a sitemap, sitemap index or feed
+     * @param {string} xmlText - XML document text
+     * @returns {Object} - { type, entries: [{ url, lastmod }], sitemaps: [{ url, lastmod }] }
+     *                     `sitemaps` is only filled for sitemap indexes
+     */
+    parse(xmlText) {
+        if (!this.DOMParser) {
+            throw new Error('XML parsing is not available in this environment');
+        }
+
+        const doc = new this.DOMParser().parseFromString(xmlText, 'application/xml');
+        const root = doc.documentElement;
+
+        if (!root || this._localName(root) === 'parsererror' || doc.getElementsByTagName('parsererror').length) {
+            throw new Error('The file is not valid XML');
+        }
+
+        const type = ROOT_TYPES[this._localName(root)];
+        if (!type) {
+            throw new Error(`Unsupported XML document <${root.nodeName}>. Expected a sitemap, sitemap index, RSS or Atom feed.`);
+        }
+
+        switch (type) {
+            case 'sitemapindex':
+                return { type, entries: [], sitemaps: this._parseLocations(root, 'sitemap') };
+            case 'sitemap':
+                return { type, entries: this._parseLocations(root, 'url'), sitemaps: [] };
+            case 'rss':
+                return { type, entries: this._parseRssItems(root), sitemaps: [] };
+            case 'atom':
+            default:
+                return { type, entries: this._parseAtomEntries(root), sitemaps: [] };
+        }
+    }
+
+    /**
+     * Keeps entries modified on or after a date
+     * Entries without a date are kept, since we can't tell whether they changed
+     * @param {Array} entries - Entries with an optional `lastmod` (Date)
+     * @param {Date|null} since - Cut-off date (null keeps everything)
+     * @returns {Array} - Filtered entries
+     */
+    filterByDate(entries, since) {
+        if (!since) return entries;
+
+        return entries.filter(entry => !entry.lastmod || entry.lastmod >= since);
+    }
+
+    /**
+     * Reads <loc>/<lastmod> pairs from the <url> or <sitemap> children of a sitemap root
+     * @param {Element} root - <urlset> or <sitemapindex> element
+     * @param {string} itemName - "url" or "sitemap"
+     * @returns {Array} - Array of { url, lastmod }
+     * @private
+     */
+    _parseLocations(root, itemName) {
+        const entries = [];
+
+        for (const item of this._children(root, itemName)) {
+            const url = this._childText(item, 'loc');
+            if (!url) continue;
+
+            entries.push({ url, lastmod: this._parseDate(this._childText(item, 'lastmod')) });
+        }
+
+        return entries;
+    }
+
+    /**
+     * Reads the items of an RSS 2.0 or RSS 1.0 (RDF) feed
+     * @param {Element} root - <rss> or <rdf:RDF> element
+     * @returns {Array} - Array of { url, lastmod }
+     * @private
+     */
+    _parseRssItems(root) {
+        // RSS 2.0 nests items in <channel>, RSS 1.0 puts them next to it
+        const items = [...this._children(root, 'item')];
+        for (const channel of this._children(root, 'channel')) {
+            items.push(...this._children(channel, 'item'));
+        }
+
+        const entries = [];
+
+        for (const item of items) {
+            let url = this._childText(item, 'link');
+
+            // Fall back to the guid when it is a permalink
+            if (!url) {
+                const guid = this._children(item, 'guid')[0];
+                if (guid && guid.getAttribute('isPermaLink') !== 'false') {
+                    url = guid.textContent.trim();
+                }
+            }
+
+            if (!url) continue;
+
+            const date = this._childText(item, 'pubDate') || this._childText(item, 'date');
+            entries.push({ url, lastmod: this._parseDate(date) });
+        }
+
+        return entries;
+    }
+
+    /**
+     * Reads the entries of an Atom feed
+     * @param {Element} root - <feed> element
+     * @returns {Array} - Array of { url, lastmod }
+     * @private
+     */
+    _parseAtomEntries(root) {
+        const entries = [];
+
+        for (const entry of this._children(root, 'entry')) {
+            const links = this._children(entry, 'link');
+            const link = links.find(el => !el.getAttribute('rel') || el.getAttribute('rel') === 'alternate');
+
+            let url = link ? link.getAttribute('href') : '';
+
+            // Fall back to the id when it is a URL rather than a tag: URI
+            if (!url) {
+                const id = this._childText(entry, 'id');
+                if (/^https?:\/\//i.test(id)) url = id;
+            }
+
+            if (!url) continue;
+
+            const date = this._childText(entry, 'updated') || this._childText(entry, 'published');
+            entries.push({ url, lastmod: this._parseDate(date) });
+        }
+
+        return entries;
+    }
+
+    /**
+     * Gets the child elements with a given local name (ignoring namespace prefixes)
+     * @param {Element} element - Parent element
+     * @param {string} name - Local name to match
+     * @returns {Array} - Matching child elements
+     * @private
+     */
+    _children(element, name) {
+        return Array.from(element.childNodes).filter(node => node.nodeType === 1 && this._localName(node) === name);
+    }
+
+    /**
+     * Gets the trimmed text of the first child element with a given local name
+     * @param {Element} element - Parent element
+     * @param {string} name - Local name to match
+     * @returns {string} - Text content, or an empty string
+     * @private
+     */
+    _childText(element, name) {
+        const child = this._children(element, name)[0];
+        return child ? child.textContent.trim() : '';
+    }
+
+    /**
+     * Gets the local name of an element without its namespace prefix
+     * @param {Element} element - The element
+     * @returns {string} - Local name
+     * @private
+     */
+    _localName(element) {
+        return element.localName || element.nodeName.split(':').pop();
+    }
+
+    /**
+     * Parses a W3C datetime (sitemaps, Atom) or RFC 822 date (RSS)
+     * @param {string} text - Date text
+     * @returns {Date|null} - Parsed date, or null if missing or invalid
+     * @private
+     */
+    _parseDate(text) {
+        if (!text) return null;
+
+        const date = new Date(text);
+        return isNaN(date.getTime()) ? null : date;
+    }
+}
@@ -1,45 +1,249 @@
 /**
  * FileHandler module
- * Manages file uploads and processing
+ * Manages file uploads and processing, including XML sitemaps, RSS/Atom feeds,
+ * bookmark exports, OPML, HAR and JSON URL lists
  */
+import FeedParser from './feedParser.js';
+import ImportParser from './importParser.js';
+import CsvParser from './csvParser.js';
+
+// CSV column names that map onto the title/folder/tags metadata of other import formats
+const TITLE_COLUMN = /^(title|name)$/i;
+const FOLDER_COLUMN = /^folder$/i;
+const TAGS_COLUMN = /^tags?$/i;
+
+// Accepted upload types: plain URL lists, XML sitemaps and feeds, and the formats of ImportParser
+const VALID_TYPES = [
+    'text/plain', 'text/csv', 'application/vnd.ms-excel', 'application/csv',
+    'text/xml', 'application/xml', 'application/rss+xml', 'application/atom+xml',
+    'text/html', 'text/x-opml', 'application/json'
+];
+const VALID_EXTENSIONS = ['.txt', '.csv', '.xml', '.rss', '.atom', '.html', '.htm', '.opml', '.har', '.json'];
+const INVALID_TYPE_MESSAGE = 'Invalid file type. Please upload a TXT, CSV, XML (sitemap, RSS, Atom), bookmarks HTML, OPML, HAR or JSON file.';
+
+// Result export formats: file details and the method that writes them
+const EXPORT_FORMATS = {
+    csv: { method: 'exportToCsv', mimeType: 'text/csv', extension: 'csv' },
+    json: { method: 'exportToJson', mimeType: 'application/json', extension: 'json' },
+    jsonl: { method: 'exportToJsonl', mimeType: 'application/x-ndjson', extension: 'jsonl' },
+    markdown: { method: 'exportToMarkdown', mimeType: 'text/markdown', extension: 'md' },
+    html: { method: 'exportToHtml', mimeType: 'text/html', extension: 'html' }
+};
+
 export default class FileHandler {
     /**
      * Constructor
      * @param {URLProcessor} urlProcessor - Instance of URLProcessor class
+     * @param {Object} options - Import options
+     * @param {Function} options.fetch - fetch-compatible function used to download sitemaps and feeds
+     * @param {string} options.corsProxy - Optional CORS proxy prefix for downloads
+     * @param {number} options.maxSitemaps - Maximum number of documents to load when following sitemap indexes
+     * @param {number} options.maxDepth - Maximum sitemap index nesting depth
      */
-    constructor(urlProcessor) {
+    constructor(urlProcessor, options = {}) {
         this.urlProcessor = urlProcessor;
+        this.feedParser = options.feedParser || new FeedParser();
+        this.importParser = options.importParser || new ImportParser();
+        this.csvParser = options.csvParser || new CsvParser();
+        this.transport = options.fetch || ((resource, init) => fetch(resource, init));
+        this.corsProxy = options.corsProxy || '';
+        this.maxSitemaps = options.maxSitemaps || 100;
+        this.maxDepth = options.maxDepth || 3;
+    }
+
+    /**
+     * Sets the CORS proxy prefix used to download sitemaps and feeds
+     * @param {string} corsProxy - Proxy prefix (empty string to disable), "{url}" marks where the URL goes
+     */
+    setCorsProxy(corsProxy) {
+        this.corsProxy = corsProxy || '';
     }
     
     /**
      * Processes an uploaded file and extracts URLs
+     * TXT/CSV files are scanned for URLs, XML files are parsed as sitemaps or feeds
      * @param {File} file - The file object from a file input
-     * @returns {Promise<Array>} - Promise resolving to an array of URLs
+     * @param {Object} options - Import options
+     * @param {Date|null} options.since - Only keep sitemap/feed entries modified on or after this date
+     * @returns {Promise<Object>} - Promise resolving to { urls, sources: [{ source, type, count, error }], metadata }
+     *                             `metadata` maps URLs to { title, folder, tags } for formats that carry them,
+     *                             CSV files also return the parsed `table` for column mapping (see mapCsvColumns)
      */
-    async processFile(file) {
-        return new Promise((resolve, reject) => {
-            if (!file) {
-                reject(new Error('No file provided'));
-                return;
-            }
-            
-            // Only accept TXT or CSV files
-            const validTypes = ['text/plain', 'text/csv', 'application/vnd.ms-excel', 'application/csv'];
-            if (!validTypes.includes(file.type) && !file.name.endsWith('.txt') && !file.name.endsWith('.csv')) {
-                reject(new Error('Invalid file type. Please upload a TXT or CSV file.'));
-                return;
+    async processFile(file, options = {}) {
+        if (!file) {
+            throw new Error('No file provided');
+        }
+
+        if (!this._isValidType(file)) {
+            throw new Error(INVALID_TYPE_MESSAGE);
+        }
+
+        const content = await this.readFile(file);
+        return this.extractUrls(content, file.name, options);
+    }
+
+    /**
+     * Downloads a sitemap, sitemap index or feed and extracts its URLs
+     * @param {string} url - URL of the document
+     * @param {Object} options - Import options (see processFile)
+     * @returns {Promise<Object>} - Promise resolving to { urls, sources, metadata }
+     */
+    async importFromUrl(url, options = {}) {
+        if (!this.urlProcessor.isValidUrl(url)) {
+            throw new Error(`Invalid URL: ${url}`);
+        }
+
+        const content = await this.fetchText(url);
+        return this.extractUrls(content, url, options);
+    }
+
+    /**
+     * Extracts URLs from document text, following sitemap indexes
+     * @param {string} content - Document text
+     * @param {string} sourceName - File name or URL of the document
+     * @param {Object} options - Import options (see processFile)
+     * @returns {Promise<Object>} - Promise resolving to { urls, sources, metadata, rejected }
+     *                             `rejected` lists the lines of a text file, or the URLs of entries of any other
+     *                             format, that look like URLs but can't be read as one
+     */
+    async extractUrls(content, sourceName, options = {}) {
+        const sources = [];
+        const metadata = {};
+        const format = this.importParser.detectFormat(content, sourceName);
+
+        if (format) {
+            const allEntries = this.importParser.parse(content, format);
+            const entries = allEntries.filter(entry => this.urlProcessor.isValidUrl(entry.url));
+
+            // Keep where each URL came from; the first bookmark of a URL wins
+            for (const { url, title, folder, tags } of entries) {
+                if (!metadata[url] && (title || folder || tags.length)) {
+                    metadata[url] = { title, folder, tags };
+                }
             }
-            
+
+            const urls = entries.map(entry => entry.url);
+            const rejected = this._rejectedValues(allEntries.map(entry => entry.url));
+            sources.push({ source: sourceName, type: format, urls, rejected, count: urls.length });
+        } else if (/\.csv$/i.test(sourceName)) {
+            // Start with the most likely URL column; the user can pick another one afterwards
+            const rows = this.csvParser.parse(content);
+            const urlColumn = this.csvParser.guessUrlColumn(rows);
+
+            return this.mapCsvColumns({
+                source: sourceName,
+                rows,
+                urlColumn,
+                hasHeader: this.csvParser.hasHeaderRow(rows, urlColumn)
+            });
+        } else if (this.feedParser.isFeed(content)) {
+            const visited = new Set([sourceName]);
+            await this._collectFeedUrls(content, sourceName, options.since || null, sources, visited, 0);
+        } else {
+            const urls = this.urlProcessor.extractUrlsFromFile(content);
+
+            // Report URL-like lines without a usable URL (e.g. bare domains) instead of dropping them; prose is ignored
+            const rejected = this.urlProcessor.parseTextWithReport(content).rejected
+                .filter(line => line.reason !== 'not-a-url' && this.urlProcessor.extractUrlsFromFile(line.text).length === 0)
+                .map(line => line.text);
+
+            sources.push({ source: sourceName, type: 'text', urls, rejected, count: urls.length });
+        }
+
+        // Merge all sources, keeping the first occurrence of each URL
+        const urls = [...new Set(sources.flatMap(source => source.urls || []))];
+        const rejected = [...new Set(sources.flatMap(source => source.rejected || []))];
+
+        return {
+            urls,
+            sources: sources.map(({ urls: sourceUrls, rejected: sourceRejected, ...source }) => source),
+            metadata,
+            rejected
+        };
+    }
+
+    /**
+     * Takes the URLs from one column of a parsed CSV file and keeps the other columns as metadata
+     * @param {Object} table - { source, rows, urlColumn, hasHeader } as returned by extractUrls
+     * @returns {Object} - { urls, sources, metadata, table, rejected } where each metadata entry has
+     *                     { title, folder, tags, columns, urlColumn }; `columns` holds all values by column name
+     *                     and `rejected` lists the values of the URL column that look like URLs but can't be read as one
+     */
+    mapCsvColumns(table) {
+        const { source, rows, urlColumn, hasHeader } = table;
+        const columnCount = Math.max(0, ...rows.map(row => row.length));
+
+        // Name unnamed or duplicate columns so every value can be kept
+        const names = [];
+        for (let i = 0; i < columnCount; i++) {
+            let name = (hasHeader && rows[0][i] || '').trim() || `Column ${i + 1}`;
+            while (names.includes(name)) name += ' (2)';
+            names.push(name);
+        }
+
+        const urls = [];
+        const metadata = {};
+        const dataRows = hasHeader ? rows.slice(1) : rows;
+
+        for (const row of dataRows) {
+            const url = (row[urlColumn] || '').trim();
+            if (!this.urlProcessor.isValidUrl(url)) continue;
+
+            urls.push(url);
+            if (metadata[url]) continue;
+
+            const columns = {};
+            names.forEach((name, i) => {
+                columns[name] = row[i] || '';
+            });
+
+            const titleName = names.find(name => TITLE_COLUMN.test(name));
+            const folderName = names.find(name => FOLDER_COLUMN.test(name));
+            const tagsName = names.find(name => TAGS_COLUMN.test(name));
+
+            metadata[url] = {
+                title: titleName ? columns[titleName] : '',
+                folder: folderName ? columns[folderName] : '',
+                tags: tagsName ? columns[tagsName].split(/[,;]/).map(tag => tag.trim()).filter(Boolean) : [],
+                columns,
+                urlColumn: names[urlColumn]
+            };
+        }
+
+        return {
+            urls: [...new Set(urls)],
+            sources: [{ source, type: 'csv', count: urls.length }],
+            metadata,
+            table: { ...table, columns: names },
+            rejected: [...new Set(this._rejectedValues(dataRows.map(row => row[urlColumn])))]
+        };
+    }
+
+    /**
+     * Picks the imported values that look like URLs but can't be archived as they are (e.g. "example.com")
+     * Other schemes such as "javascript:" bookmarklets and values that aren't URLs at all are left out
+     * @param {Array} values - Imported URL values
+     * @returns {Array} - Trimmed values that should be reported as skipped
+     * @private
+     */
+    _rejectedValues(values) {
+        return values
+            .map(value => String(value || '').trim())
+            .filter(value => value && !this.urlProcessor.isValidUrl(value))
+            .filter(value => !['unsupported-scheme', 'not-a-url'].includes(this.urlProcessor.diagnoseLine(value).reason));
+    }
+
+    /**
+     * Reads a file as text
+     * @param {File} file - The file to read
+     * @returns {Promise<string>} - Promise resolving to the file content
+     */
+    readFile(file) {
+        return new Promise((resolve, reject) => {
             const reader = new FileReader();
             
             reader.onload = (e) => {
-                try {
-                    const content = e.target.result;
-                    const extractedUrls = this.urlProcessor.extractUrlsFromFile(content);
-                    resolve(extractedUrls);
-                } catch (error) {
-                    reject(new Error(`Error processing file: ${error.message}`));
-                }
+                resolve(e.target.result);
             };
             
             reader.onerror = () => {
@@ -49,6 +253,95 @@ export default class FileHandler {
             reader.readAsText(file);
         });
     }
+
+    /**
+     * Downloads a document as text, through the CORS proxy if one is set
+     * @param {string} url - Document URL
+     * @returns {Promise<string>} - Promise resolving to the response body
+     */
+    async fetchText(url) {
+        let requestUrl = url;
+        if (this.corsProxy) {
+            requestUrl = this.corsProxy.includes('{url}')
+                ? this.corsProxy.replace('{url}', encodeURIComponent(url))
+                : `${this.corsProxy}${url}`;
+        }
+
+        let response;
+        try {
+            response = await this.transport(requestUrl, { method: 'GET' });
+        } catch (error) {
+            // Most sites don't send CORS headers, which the browser reports as a network error
+            throw new Error(`Could not download ${url} (${error.message}). If your browser blocks it, set a CORS proxy.`);
+        }
+
+        if (!response.ok) {
+            throw new Error(`Could not download ${url}: HTTP ${response.status}`);
+        }
+
+        return response.text();
+    }
+
+    /**
+     * Parses a sitemap or feed and adds its URLs to the sources list, recursing into sitemap indexes
+     * @param {string} content - XML text
+     * @param {string} sourceName - File name or URL of the document
+     * @param {Date|null} since - Date filter
+     * @param {Array} sources - Collected sources (mutated)
+     * @param {Set} visited - Documents already loaded, to avoid loops
+     * @param {number} depth - Current sitemap index nesting depth
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _collectFeedUrls(content, sourceName, since, sources, visited, depth) {
+        const parsed = this.feedParser.parse(content);
+
+        if (parsed.type !== 'sitemapindex') {
+            const entryUrls = this.feedParser.filterByDate(parsed.entries, since).map(entry => entry.url);
+            const urls = entryUrls.filter(url => this.urlProcessor.isValidUrl(url));
+            const rejected = this._rejectedValues(entryUrls);
+
+            sources.push({ source: sourceName, type: parsed.type, urls, rejected, count: urls.length });
+            return;
+        }
+
+        if (depth >= this.maxDepth) {
+            sources.push({ source: sourceName, type: parsed.type, count: 0, error: 'Sitemap indexes are nested too deeply' });
+            return;
+        }
+
+        // A child sitemap that hasn't changed since the cut-off date can't contain newer entries
+        for (const sitemap of this.feedParser.filterByDate(parsed.sitemaps, since)) {
+            if (visited.has(sitemap.url)) continue;
+
+            if (visited.size >= this.maxSitemaps) {
+                sources.push({ source: sitemap.url, type: 'sitemap', count: 0, error: `Stopped after ${this.maxSitemaps} sitemaps` });
+                break;
+            }
+
+            visited.add(sitemap.url);
+
+            // One broken child sitemap shouldn't lose the URLs of the others
+            try {
+                const childContent = await this.fetchText(sitemap.url);
+                await this._collectFeedUrls(childContent, sitemap.url, since, sources, visited, depth + 1);
+            } catch (error) {
+                console.warn(`Error loading sitemap ${sitemap.url}:`, error);
+                sources.push({ source: sitemap.url, type: 'sitemap', count: 0, error: error.message });
+            }
+        }
+    }
+
+    /**
+     * Checks whether a file has an accepted MIME type or extension
+     * @param {File} file - The file to check
+     * @returns {boolean} - Whether the file can be imported
+     * @private
+     */
+    _isValidType(file) {
+        const name = file.name.toLowerCase();
+        return VALID_TYPES.includes(file.type) || VALID_EXTENSIONS.some(extension => name.endsWith(extension));
+    }
     
     /**
      * Validates a file based on size and type
@@ -73,11 +366,10 @@ export default class FileHandler {
         }
         
         // Check file type
-        const validTypes = ['text/plain', 'text/csv', 'application/vnd.ms-excel', 'application/csv'];
-        if (!validTypes.includes(file.type) && !file.name.endsWith('.txt') && !file.name.endsWith('.csv')) {
+        if (!this._isValidType(file)) {
             return {
                 valid: false,
-                error: 'Invalid file type. Please upload a TXT or CSV file.'
+                error: INVALID_TYPE_MESSAGE
             };
         }
         
@@ -86,8 +378,48 @@ export default class FileHandler {
         };
     }
     
+    /**
+     * Keeps the results matching an export filter
+     * @param {Array} results - Array of archiving results
+     * @param {string} filter - "all", "succeeded" or "failed" (failed includes warnings such as unverified saves)
+     * @returns {Array} - Filtered results
+     */
+    filterResults(results, filter = 'all') {
+        switch (filter) {
+            case 'succeeded':
+                return results.filter(result => result.success);
+            case 'failed':
+                return results.filter(result => !result.success);
+            case 'all':
+            default:
+                return results;
+        }
+    }
+
+    /**
+     * Exports results in one of the EXPORT_FORMATS
+     * @param {Array} results - Array of archiving results
+     * @param {string} format - "csv", "json", "jsonl", "markdown" or "html"
+     * @returns {Object} - { content, mimeType, extension }
+     */
+    exportResults(results, format = 'csv') {
+        const exportFormat = EXPORT_FORMATS[format];
+        if (!exportFormat) {
+            throw new Error(`Unknown export format: ${format}`);
+        }
+
+        return {
+            content: this[exportFormat.method](results),
+            mimeType: exportFormat.mimeType,
+            extension: exportFormat.extension
+        };
+    }
+
     /**
      * Exports results to a CSV file
+     * Results imported from a CSV file get their original columns back, followed by the archive columns,
+     * so the spreadsheet can be round-tripped. The archive columns of such an export all start with "Archive",
+     * so they never replace a column of the spreadsheet.
      * @param {Array} results - Array of archiving results
      * @returns {string} - CSV content as a string
      */
@@ -95,25 +427,280 @@ export default class FileHandler {
         if (!results || !results.length) {
             return '';
         }
-        
+
+        const archiveColumns = ['Canonical URL', 'Archive URL', 'Archive Date', 'Timestamp', 'Status', 'Source API', 'Error Class', 'Attempts', 'Change', 'Digest', 'Details', 'Capture Options'];
+        const roundTripName = name => (/^(Archive|Canonical) /.test(name) ? name : `Archive ${name}`);
+        const roundTripColumns = archiveColumns.map(roundTripName);
+        const sourceColumns = [];
+        let urlColumn = null;
+
+        for (const result of results) {
+            const metadata = result.metadata;
+            if (!metadata || !metadata.columns) continue;
+
+            urlColumn = urlColumn || metadata.urlColumn;
+
+            // Archive columns of a re-imported round-trip export are replaced by the new values
+            for (const name of Object.keys(metadata.columns)) {
+                if (!sourceColumns.includes(name) && !roundTripColumns.includes(name)) sourceColumns.push(name);
+            }
+        }
+
+        const columnNames = sourceColumns.length
+            ? [...sourceColumns, ...roundTripColumns]
+            : ['URL', 'Status', 'Archive URL', 'Archive Date', 'Timestamp', 'Source API', 'Error Class', 'Attempts', 'Change', 'Digest', 'Details', 'Capture Options', 'Folder', 'Tags'];
+
         // CSV Header
-        const csvRows = ['URL,Status,Archive URL,Archive Date,Details'];
-        
+        const csvRows = [this.csvParser.formatRow(columnNames)];
+
         // Add each result as a row
         for (const result of results) {
-            const status = result.success ? 'Success' : 'Failed';
-            const archiveUrl = result.archiveUrl || '';
-            const archiveDate = result.formattedDate || '';
-            const details = result.details ? result.details.join(' ').replace(/,/g, ';') : '';
-            
-            // Escape fields that might contain commas
-            const escapedUrl = `"${result.url.replace(/"/g, '""')}"`;
-            const escapedDetails = `"${details.replace(/"/g, '""')}"`;
-            
-            csvRows.push(`${escapedUrl},${status},${archiveUrl},${archiveDate},${escapedDetails}`);
+            const record = this._toExportRecord(result);
+            const metadata = result.metadata || {};
+
+            const archiveValues = {
+                'Canonical URL': result.url,
+                'Status': this._statusLabel(record.status),
+                'Archive URL': record.archiveUrl,
+                'Archive Date': record.archiveDate,
+                'Timestamp': record.timestamp,
+                'Source API': record.source,
+                'Error Class': record.errorClass,
+                'Attempts': record.attempts,
+                'Change': this._changeLabel(record.change),
+                'Digest': record.digest,
+                'Details': record.details.join(' '),
+                'Capture Options': this.formatCaptureOptions(record.captureOptions)
+            };
+
+            let values;
+            if (sourceColumns.length) {
+                values = { ...(metadata.columns || {}) };
+                for (const name of archiveColumns) {
+                    values[roundTripName(name)] = archiveValues[name];
+                }
+
+                // The URL column keeps the URL as imported; the canonical form looked up is in "Canonical URL"
+                if (values[urlColumn] === undefined) {
+                    values[urlColumn] = result.url;
+                }
+            } else {
+                values = {
+                    ...archiveValues,
+                    'URL': result.url,
+                    'Folder': metadata.folder || '',
+                    'Tags': (metadata.tags || []).join('; ')
+                };
+            }
+
+            csvRows.push(this.csvParser.formatRow(columnNames.map(name => values[name])));
         }
-        
-        return csvRows.join('\n');
+
+        // RFC 4180: every record, the last one included, ends with CRLF
+        return `${csvRows.join('\r\n')}\r\n`;
+    }
+
+    /**
+     * Exports results as a pretty-printed JSON array
+     * @param {Array} results - Array of archiving results
+     * @returns {string} - JSON content
+     */
+    exportToJson(results) {
+        return JSON.stringify(results.map(result => this._toExportRecord(result)), null, 2);
+    }
+
+    /**
+     * Exports results as JSON Lines (one record per line)
+     * @param {Array} results - Array of archiving results
+     * @returns {string} - JSONL content
+     */
+    exportToJsonl(results) {
+        return results.map(result => JSON.stringify(this._toExportRecord(result))).join('\n');
+    }
+
+    /**
+     * Exports results as a Markdown table
+     * @param {Array} results - Array of archiving results
+     * @returns {string} - Markdown content
+     */
+    exportToMarkdown(results) {
+        const cell = (value) => String(value || '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+        // Wayback URLs embed the original URL, so its ")" or spaces must not end the link and its "|" not the row
+        const linkTarget = (url) => `<${String(url).replace(/[<>\s]/g, encodeURIComponent).replace(/\|/g, '\\|')}>`;
+
+        const lines = [
+            '# Wayback Machine archive results',
+            '',
+            this._summaryLine(results),
+            '',
+            '| # | URL | Status | Archive | Date | Change | Error |',
+            '| --- | --- | --- | --- | --- | --- | --- |'
+        ];
+
+        results.forEach((result, i) => {
+            const record = this._toExportRecord(result);
+            const archive = record.archiveUrl ? `[View archive](${linkTarget(record.archiveUrl)})` : '';
+
+            lines.push(`| ${i + 1} | ${cell(record.url)} | ${this._statusLabel(record.status)}${this._attemptsNote(record)} | ${archive} | ${cell(record.archiveDate)} | ${this._changeLabel(record.change)} | ${cell(record.errorClass)} |`);
+        });
+
+        return `${lines.join('\n')}\n`;
+    }
+
+    /**
+     * Exports results as a standalone HTML report
+     * @param {Array} results - Array of archiving results
+     * @returns {string} - HTML document
+     */
+    exportToHtml(results) {
+        const escape = (value) => String(value || '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+
+        const rows = results.map((result, i) => {
+            const record = this._toExportRecord(result);
+            const archive = record.archiveUrl
+                ? `<a href="${escape(record.archiveUrl)}">View archive</a>`
+                : '';
+
+            return `<tr class="${record.status}">
+<td>${i + 1}</td>
+<td><a href="${escape(record.url)}">${escape(record.url)}</a></td>
+<td>${this._statusLabel(record.status)}${this._attemptsNote(record)}</td>
+<td>${archive}</td>
+<td>${escape(record.archiveDate)}</td>
+<td title="${escape(record.digest)}">${this._changeLabel(record.change)}</td>
+<td>${escape(record.errorClass)}</td>
+<td>${escape(record.details.join(' '))}</td>
+</tr>`;
+        });
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Wayback Machine archive results</title>
+<style>
+body { font-family: Arial, sans-serif; margin: 20px; color: #333; }
+table { border-collapse: collapse; width: 100%; }
+th, td { border: 1px solid #ddd; padding: 6px 8px; text-align: left; vertical-align: top; font-size: 0.9em; }
+th { background-color: #f2f2f2; }
+td { word-break: break-all; }
+tr.success td:nth-child(3) { color: #4CAF50; }
+tr.warning td:nth-child(3) { color: #ff9800; }
+tr.error td:nth-child(3) { color: #f44336; }
+</style>
+</head>
+<body>
+<h1>Wayback Machine archive results</h1>
+<p>${escape(this._summaryLine(results))}</p>
+<table>
+<thead>
+<tr><th>#</th><th>URL</th><th>Status</th><th>Archive</th><th>Date</th><th>Change</th><th>Error</th><th>Details</th></tr>
+</thead>
+<tbody>
+${rows.join('\n')}
+</tbody>
+</table>
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Converts a result into the flat record used by all export formats
+     * @param {Object} result - Archiving result
+     * @returns {Object} - Export record
+     * @private
+     */
+    _toExportRecord(result) {
+        let status = 'error';
+        if (result.success) {
+            status = 'success';
+        } else if (result.warning) {
+            status = 'warning';
+        }
+
+        return {
+            url: result.url,
+            status,
+            message: result.message || '',
+            archiveUrl: result.archiveUrl || '',
+            archiveDate: result.formattedDate || '',
+            timestamp: result.timestamp || '',
+            source: result.source || '',
+            errorClass: result.errorClass || '',
+            statusExt: result.statusExt || '',
+            jobId: result.jobId || '',
+            screenshotUrl: result.screenshotUrl || '',
+            change: result.change || '',
+            digest: result.digest || '',
+            previousDigest: result.previousDigest || '',
+            attempts: result.attempts || 1,
+            attemptHistory: result.history || [],
+            details: result.details ? [].concat(result.details) : [],
+            captureOptions: result.captureOptions || null,
+            previousCapture: result.previousCapture || null,
+            metadata: result.metadata || null
+        };
+    }
+
+    /**
+     * Gets the label of a result status
+     * @param {string} status - "success", "warning" or "error"
+     * @returns {string} - Label used in exports
+     * @private
+     */
+    _statusLabel(status) {
+        return { success: 'Success', warning: 'Warning', error: 'Failed' }[status];
+    }
+
+    /**
+     * Gets the note added to the status of a URL that needed more than one attempt
+     * @param {Object} record - Export record
+     * @returns {string} - e.g. " (3 attempts)", or empty for a first attempt
+     * @private
+     */
+    _attemptsNote(record) {
+        return record.attempts > 1 ? ` (${record.attempts} attempts)` : '';
+    }
+
+    /**
+     * Gets the label of a change state
+     * @param {string} change - "changed", "unchanged", "first", "unknown" or empty if changes weren't detected
+     * @returns {string} - Label used in exports (empty if changes weren't detected)
+     * @private
+     */
+    _changeLabel(change) {
+        return { changed: 'Changed', unchanged: 'Unchanged', first: 'First capture', unknown: 'Unknown' }[change] || '';
+    }
+
+    /**
+     * Summarizes results for report headers
+     * @param {Array} results - Array of archiving results
+     * @returns {string} - e.g. "12 URLs: 10 succeeded, 2 failed. Exported 2026-01-01 12:00:00 UTC"
+     * @private
+     */
+    _summaryLine(results) {
+        const succeeded = results.filter(result => result.success).length;
+        const exported = new Date().toISOString().replace('T', ' ').replace(/\.\d+Z$/, ' UTC');
+
+        return `${results.length} URLs: ${succeeded} succeeded, ${results.length - succeeded} failed or unverified. Exported ${exported}`;
+    }
+
+    /**
+     * Formats SPN2 capture options for display and export
+     * @param {Object} captureOptions - Capture options keyed by their API names
+     * @returns {string} - e.g. "capture_all; js_behavior_timeout=10" (empty if none)
+     */
+    formatCaptureOptions(captureOptions) {
+        if (!captureOptions) return '';
+
+        return Object.entries(captureOptions)
+            .map(([name, value]) => (value === true ? name : `${name}=${value}`))
+            .join('; ');
     }
     
     /**
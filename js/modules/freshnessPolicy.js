@@ -0,0 +1,151 @@
+/**
+ * FreshnessPolicy module
+ * Decides whether an existing capture is recent enough to skip saving a URL
+ */
+
+// Milliseconds per unit accepted in max-age rules such as "30d" or "12h"
+const UNIT_MS = {
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000
+};
+
+export default class FreshnessPolicy {
+    /**
+     * Constructor
+     * @param {Object} options - Policy options
+     * @param {string} options.mode - "max-age" (re-archive stale captures), "any" (skip if archived at all),
+     *                                "always" (always archive) or "check-only" (never archive)
+     * @param {number} options.maxAge - Maximum capture age in ms for "max-age" mode
+     */
+    constructor(options = {}) {
+        this.mode = options.mode || 'any';
+        this.maxAge = options.maxAge || 0;
+    }
+
+    /**
+     * Creates a policy from its text form
+     * @param {string} text - "always", "any", "check-only" or a max age such as "30d", "12h", "2w" or "45m"
+     * @returns {FreshnessPolicy} - The parsed policy
+     */
+    static parse(text) {
+        const value = String(text || 'any').trim().toLowerCase();
+
+        if (['always', 'any', 'check-only'].includes(value)) {
+            return new FreshnessPolicy({ mode: value });
+        }
+
+        const maxAge = FreshnessPolicy.parseAge(value);
+        if (maxAge === null) {
+            throw new Error(`Invalid freshness rule "${text}". Use always, any, check-only or a max age like 30d or 12h.`);
+        }
+
+        return new FreshnessPolicy({ mode: 'max-age', maxAge });
+    }
+
+    /**
+     * Parses an age such as "30d", "12h", "2w" or "45m"
+     * @param {string} text - The age
+     * @returns {number|null} - Age in ms, or null if the text isn't an age
+     */
+    static parseAge(text) {
+        const match = String(text || '').trim().toLowerCase().match(/^(\d+)\s*([mhdw])$/);
+        if (!match) return null;
+
+        return parseInt(match[1], 10) * UNIT_MS[match[2]];
+    }
+
+    /**
+     * Decides what to do with a URL given the result of WaybackAPI.checkIfArchived
+     * @param {Object} archiveInfo - Archive status info
+     * @param {number} now - Current time in ms (for testing)
+     * @returns {Object} - { action: 'skip'|'archive'|'report', stale, age }
+     *                     "report" means the URL is only reported (check-only mode)
+     */
+    evaluate(archiveInfo, now = Date.now()) {
+        const isArchived = Boolean(archiveInfo && archiveInfo.isArchived);
+        const age = isArchived ? this.getCaptureAge(archiveInfo.timestamp, now) : null;
+
+        switch (this.mode) {
+            case 'always':
+                return { action: 'archive', stale: false, age };
+            case 'check-only':
+                return { action: isArchived ? 'skip' : 'report', stale: false, age };
+            case 'max-age':
+                if (!isArchived) {
+                    return { action: 'archive', stale: false, age };
+                }
+
+                // An unknown capture date is treated as stale
+                if (age === null || age > this.maxAge) {
+                    return { action: 'archive', stale: true, age };
+                }
+
+                return { action: 'skip', stale: false, age };
+            case 'any':
+            default:
+                return { action: isArchived ? 'skip' : 'archive', stale: false, age };
+        }
+    }
+
+    /**
+     * Gets the age of a capture
+     * @param {string} timestamp - Capture timestamp (YYYYMMDDHHMMSS, UTC)
+     * @param {number} now - Current time in ms
+     * @returns {number|null} - Age in ms, or null if the timestamp can't be parsed
+     */
+    getCaptureAge(timestamp, now = Date.now()) {
+        const match = String(timestamp || '').match(/^(\d{4})(\d{2})(\d{2})(\d{2})?(\d{2})?(\d{2})?/);
+        if (!match) return null;
+
+        const [, year, month, day, hour = '00', minute = '00', second = '00'] = match;
+        const captureTime = Date.UTC(+year, +month - 1, +day, +hour, +minute, +second);
+
+        return now - captureTime;
+    }
+
+    /**
+     * Gets the matching Save Page Now 2 `if_not_archived_within` value
+     * @returns {string|null} - Time delta in seconds, or null if the policy has no SPN2 equivalent
+     */
+    toIfNotArchivedWithin() {
+        if (this.mode !== 'max-age' || !this.maxAge) return null;
+
+        return String(Math.round(this.maxAge / 1000));
+    }
+
+    /**
+     * Gets the text form of the policy (the inverse of parse)
+     * @returns {string} - e.g. "30d", "12h", "always"
+     */
+    toString() {
+        if (this.mode !== 'max-age') return this.mode;
+
+        for (const unit of ['w', 'd', 'h', 'm']) {
+            if (this.maxAge % UNIT_MS[unit] === 0) {
+                return `${this.maxAge / UNIT_MS[unit]}${unit}`;
+            }
+        }
+
+        return `${Math.round(this.maxAge / UNIT_MS.m)}m`;
+    }
+
+    /**
+     * Describes the policy for display
+     * @returns {string} - Human-readable description
+     */
+    describe() {
+        switch (this.mode) {
+            case 'always':
+                return 'Always archive';
+            case 'check-only':
+                return 'Only check, never archive';
+            case 'max-age':
+                return `Re-archive if the newest capture is older than ${this.toString()}`;
+            case 'any':
+            default:
+                return 'Skip URLs that are already archived';
+        }
+    }
+}
@@ -0,0 +1,277 @@
+/**
+ * ImportParser module
+ * Detects and parses browser bookmark exports, OPML reading lists, HAR captures and JSON URL lists
+ */
+
+// Object keys that may hold the URL in JSON list items
+const JSON_URL_KEYS = ['url', 'href', 'link', 'uri'];
+
+// Character references that commonly appear in bookmark exports
+const HTML_ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'",
+    nbsp: '\u00A0'
+};
+
+export default class ImportParser {
+    /**
+     * Constructor
+     * @param {Object} options - Parser options
+     * @param {Function} options.DOMParser - DOMParser implementation used for OPML (defaults to the browser's)
+     */
+    constructor(options = {}) {
+        this.DOMParser = options.DOMParser || globalThis.DOMParser;
+    }
+
+    /**
+     * Detects the format of an import file
+     * @param {string} text - File content
+     * @param {string} fileName - File name (used when the content is ambiguous)
+     * @returns {string|null} - "bookmarks", "opml", "har", "json" or null if none of them
+     */
+    detectFormat(text, fileName = '') {
+        const start = String(text || '').replace(/^\uFEFF/, '').trimStart();
+        const head = start.slice(0, 2000);
+
+        if (/<!DOCTYPE\s+NETSCAPE-Bookmark-file/i.test(head)) return 'bookmarks';
+        if (/<opml[\s>]/i.test(head)) return 'opml';
+
+        if (start.startsWith('{') || start.startsWith('[')) {
+            try {
+                const data = JSON.parse(start);
+                return data && data.log && Array.isArray(data.log.entries) ? 'har' : 'json';
+            } catch (error) {
+                return null;
+            }
+        }
+
+        // Some browsers leave out the doctype, so fall back to the list structure of an .html file
+        if (/\.html?$/i.test(fileName) && /<dt>\s*<a\s/i.test(head)) {
+            return 'bookmarks';
+        }
+
+        return null;
+    }
+
+    /**
+     * Parses an import file
+     * @param {string} text - File content
+     * @param {string} format - Format from detectFormat
+     * @returns {Array} - Array of { url, title, folder, tags }
+     */
+    parse(text, format) {
+        text = String(text).replace(/^\uFEFF/, '');
+
+        switch (format) {
+            case 'bookmarks':
+                return this.parseBookmarks(text);
+            case 'opml':
+                return this.parseOpml(text);
+            case 'har':
+                return this.parseHar(JSON.parse(text));
+            case 'json':
+                return this.parseJson(JSON.parse(text));
+            default:
+                throw new Error(`Unsupported import format: ${format}`);
+        }
+    }
+
+    /**
+     * Parses a Netscape bookmarks export (Chrome, Firefox, Safari, Edge)
+     * The export isn't well-formed HTML, so it is read as a stream of tags instead of a DOM
+     * @param {string} html - Bookmarks file content
+     * @returns {Array} - Array of { url, title, folder, tags }
+     */
+    parseBookmarks(html) {
+        const entries = [];
+        const folderStack = [];
+        let pendingFolder = null;
+
+        const tagPattern = /<(\/?)(dl|h3|a)\b([^>]*)>([^<]*)/gi;
+        let match;
+
+        while ((match = tagPattern.exec(html)) !== null) {
+            const [, closing, tagName, attributes, text] = match;
+            const tag = tagName.toLowerCase();
+
+            if (tag === 'h3' && !closing) {
+                // The folder applies to the <DL> list that follows its heading
+                pendingFolder = this._decodeEntities(text.trim());
+            } else if (tag === 'dl') {
+                if (closing) {
+                    folderStack.pop();
+                } else {
+                    folderStack.push(pendingFolder);
+                    pendingFolder = null;
+                }
+            } else if (tag === 'a' && !closing) {
+                const url = this._decodeEntities(this._getAttribute(attributes, 'href'));
+                if (!url) continue;
+
+                const tags = this._decodeEntities(this._getAttribute(attributes, 'tags'));
+
+                entries.push({
+                    url,
+                    title: this._decodeEntities(text.trim()),
+                    folder: folderStack.filter(Boolean).join('/'),
+                    tags: this._splitTags(tags)
+                });
+            }
+        }
+
+        return entries;
+    }
+
+    /**
+     * Parses an OPML reading list or feed subscription list
+     * Nested outline titles become the folder, the "category" attribute becomes tags
+     * @param {string} xml - OPML content
+     * @returns {Array} - Array of { url, title, folder, tags }
+     */
+    parseOpml(xml) {
+        if (!this.DOMParser) {
+            throw new Error('XML parsing is not available in this environment');
+        }
+
+        const doc = new this.DOMParser().parseFromString(xml, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length) {
+            throw new Error('The OPML file is not valid XML');
+        }
+
+        const body = doc.getElementsByTagName('body')[0];
+        if (!body) return [];
+
+        const entries = [];
+
+        const walk = (element, folders) => {
+            for (const outline of Array.from(element.childNodes)) {
+                if (outline.nodeType !== 1 || outline.nodeName.toLowerCase() !== 'outline') continue;
+
+                const title = outline.getAttribute('title') || outline.getAttribute('text') || '';
+
+                // Reading lists use htmlUrl/url, subscription lists use xmlUrl for the feed itself
+                const url = outline.getAttribute('htmlUrl') || outline.getAttribute('url') || outline.getAttribute('xmlUrl');
+
+                if (url) {
+                    entries.push({
+                        url,
+                        title,
+                        folder: folders.join('/'),
+                        tags: this._splitTags(outline.getAttribute('category'))
+                    });
+                }
+
+                // An outline without a URL is a folder for its children
+                walk(outline, url ? folders : [...folders, title].filter(Boolean));
+            }
+        };
+
+        walk(body, []);
+        return entries;
+    }
+
+    /**
+     * Parses a HAR capture (browser dev tools network export)
+     * The title of the page that made the request becomes the folder
+     * @param {Object} har - Parsed HAR data
+     * @returns {Array} - Array of { url, title, folder, tags }
+     */
+    parseHar(har) {
+        const pages = {};
+        for (const page of har.log.pages || []) {
+            pages[page.id] = page.title || '';
+        }
+
+        return har.log.entries
+            .filter(entry => entry.request && entry.request.url)
+            .map(entry => ({
+                url: entry.request.url,
+                title: '',
+                folder: pages[entry.pageref] || '',
+                tags: []
+            }));
+    }
+
+    /**
+     * Parses a JSON URL list
+     * Accepts an array of URL strings, an array of objects with a url/href/link/uri key
+     * (and optional title, folder and tags), or an object wrapping such an array in "urls" or "items"
+     * @param {*} data - Parsed JSON data
+     * @returns {Array} - Array of { url, title, folder, tags }
+     */
+    parseJson(data) {
+        const items = Array.isArray(data) ? data : (data && (data.urls || data.items));
+        if (!Array.isArray(items)) {
+            throw new Error('Expected a JSON array of URLs, or an object with a "urls" or "items" array');
+        }
+
+        const entries = [];
+
+        for (const item of items) {
+            if (typeof item === 'string') {
+                entries.push({ url: item, title: '', folder: '', tags: [] });
+                continue;
+            }
+
+            if (!item || typeof item !== 'object') continue;
+
+            const key = JSON_URL_KEYS.find(name => typeof item[name] === 'string');
+            if (!key) continue;
+
+            entries.push({
+                url: item[key],
+                title: item.title || item.name || '',
+                folder: item.folder || '',
+                tags: Array.isArray(item.tags) ? item.tags.map(String) : this._splitTags(item.tags)
+            });
+        }
+
+        return entries;
+    }
+
+    /**
+     * Reads an attribute value from the attribute part of a tag
+     * @param {string} attributes - Raw attribute text, e.g. ' HREF="https://a.com" TAGS="x,y"'
+     * @param {string} name - Attribute name (case-insensitive)
+     * @returns {string} - Attribute value, or an empty string
+     * @private
+     */
+    _getAttribute(attributes, name) {
+        const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+        return match ? (match[1] || match[2] || match[3] || '') : '';
+    }
+
+    /**
+     * Splits a comma-separated tag list
+     * @param {string|null} value - Tag list
+     * @returns {Array} - Trimmed, non-empty tags
+     * @private
+     */
+    _splitTags(value) {
+        if (!value) return [];
+
+        return String(value).split(',').map(tag => tag.trim()).filter(Boolean);
+    }
+
+    /**
+     * Decodes HTML character references
+     * @param {string} text - Text with entities
+     * @returns {string} - Decoded text
+     * @private
+     */
+    _decodeEntities(text) {
+        return String(text || '').replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+            if (code[0] === '#') {
+                const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+                // Out-of-range references (e.g. "&#99999999;") are kept as written instead of failing the import
+                return value <= 0x10FFFF ? String.fromCodePoint(value) : entity;
+            }
+
+            const name = code.toLowerCase();
+            return Object.prototype.hasOwnProperty.call(HTML_ENTITIES, name) ? HTML_ENTITIES[name] : entity;
+        });
+    }
+}
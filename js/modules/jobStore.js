@@ -0,0 +1,189 @@
+/**
+ * JobStore module
+ * Persists archiving jobs and their per-URL results in IndexedDB
+ * so an interrupted run can be resumed after a reload or crash
+ */
+
+const DB_NAME = 'wayback-archiver';
+const DB_VERSION = 1;
+
+// Object stores: one record per job, one record per URL of a job
+const JOBS_STORE = 'jobs';
+const URLS_STORE = 'urls';
+
+export default class JobStore {
+    /**
+     * Constructor
+     * @param {Object} options - Store options
+     * @param {string} options.dbName - IndexedDB database name
+     */
+    constructor(options = {}) {
+        this.dbName = options.dbName || DB_NAME;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Checks whether IndexedDB is available in this environment
+     * @returns {boolean} - Whether jobs can be persisted
+     */
+    isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Creates and stores a new job
+     * @param {Array} urls - URLs of the job, in processing order
+     * @param {Object} settings - Job settings to restore on resume (never include the API key)
+     * @returns {Promise<Object>} - The stored job record
+     */
+    async createJob(urls, settings = {}) {
+        const now = Date.now();
+        const job = {
+            id: `job-${now}-${Math.random().toString(36).slice(2, 8)}`,
+            createdAt: now,
+            updatedAt: now,
+            status: 'running',
+            urls: [...urls],
+            settings: { ...settings }
+        };
+
+        await this._run(JOBS_STORE, 'readwrite', store => store.put(job));
+        return job;
+    }
+
+    /**
+     * Updates the status of a job ("running", "stopped" or "completed")
+     * @param {string} jobId - Job ID
+     * @param {string} status - New status
+     * @returns {Promise<void>}
+     */
+    async setJobStatus(jobId, status) {
+        const job = await this._run(JOBS_STORE, 'readonly', store => store.get(jobId));
+        if (!job) return;
+
+        job.status = status;
+        job.updatedAt = Date.now();
+        await this._run(JOBS_STORE, 'readwrite', store => store.put(job));
+    }
+
+    /**
+     * Records the state of one URL of a job
+     * @param {string} jobId - Job ID
+     * @param {string} url - The URL
+     * @param {string} state - "processing" or "done"
+     * @param {Object} result - Result object for finished URLs
+     * @returns {Promise<void>}
+     */
+    async saveUrlState(jobId, url, state, result = null) {
+        await this._run(URLS_STORE, 'readwrite', store => store.put({
+            jobId,
+            url,
+            state,
+            result,
+            updatedAt: Date.now()
+        }));
+    }
+
+    /**
+     * Loads a job together with the results of its finished URLs
+     * @param {string} jobId - Job ID
+     * @returns {Promise<Object|null>} - Job record with `results` and `doneCount`, or null if not found
+     */
+    async getJob(jobId) {
+        const job = await this._run(JOBS_STORE, 'readonly', store => store.get(jobId));
+        if (!job) return null;
+
+        const urlStates = await this._run(URLS_STORE, 'readonly',
+            store => store.index('jobId').getAll(jobId));
+
+        const results = urlStates
+            .filter(record => record.state === 'done' && record.result)
+            .map(record => record.result);
+
+        return { ...job, results, doneCount: results.length };
+    }
+
+    /**
+     * Lists jobs that did not complete (stopped, or interrupted while running)
+     * @returns {Promise<Array>} - Jobs with `results` and `doneCount`, newest first
+     */
+    async getUnfinishedJobs() {
+        const jobs = await this._run(JOBS_STORE, 'readonly', store => store.getAll());
+        const unfinished = [];
+
+        for (const job of jobs) {
+            if (job.status === 'completed') continue;
+            unfinished.push(await this.getJob(job.id));
+        }
+
+        return unfinished.sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    /**
+     * Deletes a job and all of its URL records
+     * @param {string} jobId - Job ID
+     * @returns {Promise<void>}
+     */
+    async deleteJob(jobId) {
+        await this._run(JOBS_STORE, 'readwrite', store => store.delete(jobId));
+
+        const keys = await this._run(URLS_STORE, 'readonly',
+            store => store.index('jobId').getAllKeys(jobId));
+
+        for (const key of keys) {
+            await this._run(URLS_STORE, 'readwrite', store => store.delete(key));
+        }
+    }
+
+    /**
+     * Opens (and on first use creates) the database
+     * @returns {Promise<IDBDatabase>} - The open database
+     * @private
+     */
+    _open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, DB_VERSION);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+
+                    if (!db.objectStoreNames.contains(JOBS_STORE)) {
+                        db.createObjectStore(JOBS_STORE, { keyPath: 'id' });
+                    }
+
+                    if (!db.objectStoreNames.contains(URLS_STORE)) {
+                        const urlStore = db.createObjectStore(URLS_STORE, { keyPath: ['jobId', 'url'] });
+                        urlStore.createIndex('jobId', 'jobId', { unique: false });
+                    }
+                };
+
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Runs a single request against an object store
+     * @param {string} storeName - Object store name
+     * @param {string} mode - "readonly" or "readwrite"
+     * @param {Function} operation - Function taking the store and returning an IDBRequest
+     * @returns {Promise<*>} - The request result
+     * @private
+     */
+    async _run(storeName, mode, operation) {
+        const db = await this._open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+}
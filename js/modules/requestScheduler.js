@@ -0,0 +1,181 @@
+/**
+ * RequestScheduler module
+ * Paces all Wayback Machine requests through per-endpoint token buckets
+ * and backs off when the service answers 429 or 503
+ */
+
+// Default request budgets per bucket
+// capacity: burst size, refillPerMinute: sustained requests per minute
+const DEFAULT_BUDGETS = {
+    save: { capacity: 3, refillPerMinute: 12 },
+    lookup: { capacity: 10, refillPerMinute: 60 }
+};
+
+// Status codes that mean "slow down and try again"
+const RETRYABLE_STATUSES = [429, 503];
+
+export default class RequestScheduler {
+    /**
+     * Constructor
+     * @param {Object} options - Scheduler options
+     * @param {Object} options.budgets - Overrides for the bucket budgets (see DEFAULT_BUDGETS)
+     * @param {number} options.maxRetries - Retries after a 429/503 before giving up
+     * @param {number} options.baseDelay - First backoff delay in ms (doubled on every retry)
+     * @param {number} options.maxDelay - Upper bound for a single backoff delay in ms
+     */
+    constructor(options = {}) {
+        this.budgets = { ...DEFAULT_BUDGETS, ...(options.budgets || {}) };
+        this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 4;
+        this.baseDelay = options.baseDelay || 2000;
+        this.maxDelay = options.maxDelay || 120000;
+
+        // Runtime state per bucket: available tokens, last refill time and block end time
+        this.buckets = {};
+
+        // Called whenever a bucket is blocked because of a 429/503 response
+        this.onThrottle = null;
+    }
+
+    /**
+     * Sets the callback for throttling notifications
+     * @param {Function} callback - Function receiving { bucket, status, delay, attempt, until }
+     */
+    setThrottleCallback(callback) {
+        this.onThrottle = callback;
+    }
+
+    /**
+     * Runs a request once the bucket has budget, retrying on 429/503
+     * @param {string} bucketName - Budget to charge ("save" or "lookup")
+     * @param {Function} request - Function returning a Promise of a fetch Response
+     * @returns {Promise<Response>} - The first non-throttled response, or the last one after all retries
+     */
+    async schedule(bucketName, request) {
+        for (let attempt = 1; ; attempt++) {
+            await this._acquire(bucketName);
+
+            const response = await request();
+
+            if (!RETRYABLE_STATUSES.includes(response.status) || attempt > this.maxRetries) {
+                return response;
+            }
+
+            // Honour Retry-After when the server sends it, but never retry sooner than the backoff
+            const retryAfter = this._parseRetryAfter(response.headers ? response.headers.get('Retry-After') : null);
+            const delay = Math.max(retryAfter || 0, this._backoffDelay(attempt));
+            const until = Date.now() + delay;
+
+            this._getBucket(bucketName).blockedUntil = until;
+
+            console.warn(`HTTP ${response.status} from the ${bucketName} endpoint, retrying in ${Math.round(delay / 1000)}s (attempt ${attempt}/${this.maxRetries})`);
+
+            if (typeof this.onThrottle === 'function') {
+                this.onThrottle({
+                    bucket: bucketName,
+                    status: response.status,
+                    delay,
+                    attempt,
+                    until
+                });
+            }
+        }
+    }
+
+    /**
+     * Checks whether a bucket is currently blocked by a 429/503 backoff
+     * @param {string} bucketName - Bucket to check
+     * @returns {boolean} - Whether requests in the bucket are on hold
+     */
+    isThrottled(bucketName) {
+        return this._getBucket(bucketName).blockedUntil > Date.now();
+    }
+
+    /**
+     * Waits until the bucket is unblocked and has a token, then takes it
+     * @param {string} bucketName - Bucket to take a token from
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _acquire(bucketName) {
+        const bucket = this._getBucket(bucketName);
+        const budget = this.budgets[bucketName] || this.budgets.lookup;
+        const msPerToken = 60000 / budget.refillPerMinute;
+
+        while (true) {
+            const now = Date.now();
+
+            if (bucket.blockedUntil > now) {
+                await this._sleep(bucket.blockedUntil - now);
+                continue;
+            }
+
+            // Refill tokens for the time that passed since the last refill
+            bucket.tokens = Math.min(budget.capacity, bucket.tokens + (now - bucket.lastRefill) / msPerToken);
+            bucket.lastRefill = now;
+
+            if (bucket.tokens >= 1) {
+                bucket.tokens -= 1;
+                return;
+            }
+
+            await this._sleep((1 - bucket.tokens) * msPerToken);
+        }
+    }
+
+    /**
+     * Gets (or creates) the runtime state of a bucket
+     * @param {string} bucketName - Bucket name
+     * @returns {Object} - Bucket state
+     * @private
+     */
+    _getBucket(bucketName) {
+        if (!this.buckets[bucketName]) {
+            const budget = this.budgets[bucketName] || this.budgets.lookup;
+            this.buckets[bucketName] = {
+                tokens: budget.capacity,
+                lastRefill: Date.now(),
+                blockedUntil: 0
+            };
+        }
+
+        return this.buckets[bucketName];
+    }
+
+    /**
+     * Parses a Retry-After header (delay in seconds or an HTTP date)
+     * @param {string|null} value - Header value
+     * @returns {number|null} - Delay in ms, or null if absent or invalid
+     * @private
+     */
+    _parseRetryAfter(value) {
+        if (!value) return null;
+
+        if (/^\d+$/.test(value.trim())) {
+            return parseInt(value, 10) * 1000;
+        }
+
+        const date = Date.parse(value);
+        return isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    /**
+     * Calculates an exponential backoff delay with random jitter
+     * @param {number} attempt - Retry attempt (1-based)
+     * @returns {number} - Delay in ms
+     * @private
+     */
+    _backoffDelay(attempt) {
+        const ceiling = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, attempt - 1));
+        return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+    }
+
+    /**
+     * Waits for a given time
+     * @param {number} ms - Time to wait in ms
+     * @returns {Promise<void>}
+     * @private
+     */
+    _sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
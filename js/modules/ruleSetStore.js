@@ -0,0 +1,104 @@
+/**
+ * RuleSetStore module
+ * Saves named filter rule sets in localStorage so they can be reused across sessions
+ */
+
+// localStorage key holding all rule sets as JSON
+const STORAGE_KEY = 'wayback-archiver:filter-rule-sets';
+
+export default class RuleSetStore {
+    /**
+     * Constructor
+     * @param {Object} options - Store options
+     * @param {Storage} options.storage - Storage implementation (defaults to localStorage)
+     * @param {string} options.key - Storage key
+     */
+    constructor(options = {}) {
+        this.storage = options.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.key = options.key || STORAGE_KEY;
+    }
+
+    /**
+     * Checks whether rule sets can be saved in this environment
+     * @returns {boolean} - Whether a storage is available
+     */
+    isAvailable() {
+        return Boolean(this.storage);
+    }
+
+    /**
+     * Lists the saved rule sets
+     * @returns {Array} - Array of { name, rules, updatedAt } sorted by name
+     */
+    list() {
+        return Object.values(this._read()).sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Gets a saved rule set
+     * @param {string} name - Rule set name
+     * @returns {Object|null} - { name, rules, updatedAt }, or null if there is no such set
+     */
+    get(name) {
+        return this._read()[name] || null;
+    }
+
+    /**
+     * Saves a rule set, replacing any set with the same name
+     * @param {string} name - Rule set name
+     * @param {string} rules - Rules in the text format of URLProcessor.parseFilterRules
+     * @returns {Object} - The saved rule set
+     */
+    save(name, rules) {
+        const trimmedName = String(name || '').trim();
+        if (!trimmedName) {
+            throw new Error('A rule set needs a name');
+        }
+
+        const sets = this._read();
+        sets[trimmedName] = { name: trimmedName, rules: String(rules || ''), updatedAt: Date.now() };
+        this._write(sets);
+
+        return sets[trimmedName];
+    }
+
+    /**
+     * Deletes a saved rule set
+     * @param {string} name - Rule set name
+     */
+    delete(name) {
+        const sets = this._read();
+        delete sets[name];
+        this._write(sets);
+    }
+
+    /**
+     * Reads all rule sets from storage
+     * @returns {Object} - Rule sets keyed by name (empty if storage is missing or unreadable)
+     * @private
+     */
+    _read() {
+        if (!this.storage) return {};
+
+        try {
+            const sets = JSON.parse(this.storage.getItem(this.key) || '{}');
+            return sets && typeof sets === 'object' ? sets : {};
+        } catch (error) {
+            console.warn('Ignoring unreadable filter rule sets:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Writes all rule sets to storage
+     * @param {Object} sets - Rule sets keyed by name
+     * @private
+     */
+    _write(sets) {
+        if (!this.storage) {
+            throw new Error('Rule sets can\'t be saved in this browser');
+        }
+
+        this.storage.setItem(this.key, JSON.stringify(sets));
+    }
+}
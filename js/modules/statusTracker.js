@@ -1,14 +1,141 @@
 /**
  * StatusTracker module
- * Tracks processing status and calculates progress
+ * Tracks processing status and calculates progress. Consumers subscribe to its events with on(), off() and once();
+ * listeners are kept across reset() and initialize(), so they only need to be registered once.
  */
+
+// Events and their payloads:
+//   job-started    { total, resumed }                  initialize() started a job (resumed: URLs finished earlier)
+//   url-started    { url }                             a worker started on a URL
+//   phase-changed  { url, phase }                      a URL entered one of PHASES
+//   url-finished   { url, result, processed, total }   a URL got its result
+//   job-paused     { processed, total, reason }        pause() held the queue (reason: "user", "offline" or "unreachable")
+//   job-resumed    { processed, total, pausedFor }     resume() released the queue (pausedFor: length of the pause in ms)
+//   job-stopped    { processed, total }                stop() was called
+//   urls-requeued  { urls, processed, total }          requeue() put finished URLs back in the queue for a retry
+//   job-completed  { summary }                         the run ended (also after a stop; see summary.isComplete)
+//   progress       { progress, processed, total }      the progress percentage may have changed
+//   eta            { remaining, remainingUrls }        a new estimate of the time remaining in ms
+const EVENTS = [
+    'job-started',
+    'url-started',
+    'phase-changed',
+    'url-finished',
+    'job-paused',
+    'job-resumed',
+    'job-stopped',
+    'urls-requeued',
+    'job-completed',
+    'progress',
+    'eta'
+];
+
+// Phases a URL goes through while it is processed, in order; a URL may finish after any of them
+const PHASES = ['checking', 'saving', 'verifying'];
+
+// Percentile of the per-URL times reported next to the median
+const SLOW_PERCENTILE = 0.95;
+
 export default class StatusTracker {
     constructor() {
+        // Listeners by event name; not touched by reset()
+        this.listeners = new Map(EVENTS.map(event => [event, []]));
+
+        // Listeners registered through setProgressCallback and setEtaCallback, so setting one replaces the last
+        this.callbackListeners = { progress: null, eta: null };
+
         this.reset();
     }
-    
+
+    /**
+     * Subscribes to an event
+     * @param {string} event - One of EVENTS
+     * @param {Function} listener - Function taking the event payload
+     * @returns {Function} - Function that unsubscribes the listener
+     * @throws {Error} - If the event is unknown
+     */
+    on(event, listener) {
+        this._listenersOf(event).push(listener);
+        return () => this.off(event, listener);
+    }
+
+    /**
+     * Unsubscribes from an event
+     * @param {string} event - One of EVENTS
+     * @param {Function} listener - The listener given to on() or once()
+     */
+    off(event, listener) {
+        const listeners = this._listenersOf(event);
+        const index = listeners.findIndex(entry => entry === listener || entry.listener === listener);
+
+        if (index !== -1) {
+            listeners.splice(index, 1);
+        }
+    }
+
+    /**
+     * Subscribes to the next occurrence of an event only
+     * @param {string} event - One of EVENTS
+     * @param {Function} listener - Function taking the event payload
+     * @returns {Function} - Function that unsubscribes the listener
+     */
+    once(event, listener) {
+        const wrapper = (payload) => {
+            this.off(event, wrapper);
+            listener(payload);
+        };
+        wrapper.listener = listener;
+
+        return this.on(event, wrapper);
+    }
+
+    /**
+     * Gets the listener list of an event
+     * @param {string} event - One of EVENTS
+     * @returns {Array} - The listeners
+     * @throws {Error} - If the event is unknown
+     * @private
+     */
+    _listenersOf(event) {
+        const listeners = this.listeners.get(event);
+        if (!listeners) {
+            throw new Error(`Unknown status event "${event}" (use ${EVENTS.join(', ')})`);
+        }
+        return listeners;
+    }
+
+    /**
+     * Calls the listeners of an event
+     * A failing listener is logged and doesn't keep the other listeners from running
+     * @param {string} event - One of EVENTS
+     * @param {Object} payload - Event payload
+     * @private
+     */
+    _emit(event, payload) {
+        for (const listener of [...this._listenersOf(event)]) {
+            try {
+                listener(payload);
+            } catch (error) {
+                console.error(`Error in a "${event}" listener:`, error);
+            }
+        }
+    }
+
+    /**
+     * Emits the current progress
+     * @private
+     */
+    _emitProgress() {
+        this._emit('progress', {
+            progress: this.getProgressPercentage(),
+            processed: this.processedCount,
+            total: this.urls.length
+        });
+    }
+
     /**
      * Resets the status tracker
+     * Listeners stay subscribed
      */
     reset() {
         this.urls = [];
@@ -17,64 +144,372 @@ export default class StatusTracker {
         this.warningCount = 0;
         this.errorCount = 0;
         this.results = [];
+        this.activeUrls = new Set(); // URLs currently being processed by a worker
+        this.resumedCount = 0; // URLs finished in an earlier session of a resumed job
+        this.workerCount = 1; // URLs processed at the same time
+
+        // Timing of the URLs in progress: url -> { startedAt, phase, phaseStartedAt, phaseTimes }
+        this.inFlight = new Map();
+
+        // Timing of the URLs finished in this session, which the ETA and the statistics are based on
+        this.urlTimes = []; // Total time per URL in ms
+        this.phaseTimes = Object.fromEntries(PHASES.map(phase => [phase, []])); // Time per URL spent in each phase
+        this.lastPhaseCounts = Object.fromEntries(PHASES.map(phase => [phase, 0])); // Finished URLs by the last phase reached
+
+        // Time during which requests were held back by rate limiting
+        this.throttledTime = 0;
+        this.throttledUntil = 0;
+
+        // Pause state; workers waiting in waitWhilePaused() are released by resume() and stop()
+        this.isPaused = false;
+        this.pauseReason = null;
+        this.pausedAt = null;
+        this.pausedTime = 0; // Time spent paused, left out of the throughput
+        this.pauseWaiters = [];
+
+        // Earlier attempts of the URLs requeued for a retry: url -> [{ status, message, errorClass }]
+        this.retryHistory = new Map();
+        this.completedAt = null;
+
         this.startTime = null;
         this.isRunning = false;
         this.shouldStop = false;
-        this.avgTimePerUrl = null;
-        this.onProgressUpdate = null;
-        this.onEtaUpdate = null;
     }
     
     /**
      * Initializes the tracker with URLs to process
      * @param {Array} urls - Array of URLs to track
+     * @param {Array} previousResults - Results already saved for a resumed job
      */
-    initialize(urls) {
+    initialize(urls, previousResults = []) {
         this.reset();
         this.urls = [...urls];
         this.startTime = Date.now();
         this.isRunning = true;
         this.shouldStop = false;
-        
-        // Immediately call progress update (0%) when initializing
-        if (typeof this.onProgressUpdate === 'function') {
-            this.onProgressUpdate(0, 0, this.urls.length);
+
+        // Restore the finished part of a resumed job
+        for (const result of previousResults) {
+            this._recordResult(result);
         }
+        this.resumedCount = this.processedCount;
+
+        this._emit('job-started', { total: this.urls.length, resumed: this.resumedCount });
+
+        // Immediately report the progress when initializing
+        this._emitProgress();
+    }
+
+    /**
+     * Checks whether a URL already has a result (e.g. from before a resume)
+     * @param {string} url - The URL to check
+     * @returns {boolean} - Whether the URL is finished
+     */
+    hasResult(url) {
+        return this.results.some(result => result.url === url);
+    }
+
+    /**
+     * Gets the result of a finished URL
+     * @param {string} url - The URL
+     * @returns {Object|null} - The result object, or null if the URL isn't finished
+     */
+    getResult(url) {
+        return this.results.find(result => result.url === url) || null;
     }
     
+    /**
+     * Marks a URL as being processed
+     * @param {string} url - The URL a worker started on
+     */
+    startUrl(url) {
+        const now = Date.now();
+
+        this.activeUrls.add(url);
+        this.inFlight.set(url, { startedAt: now, phase: null, phaseStartedAt: now, phaseTimes: {} });
+        this._emit('url-started', { url });
+    }
+
+    /**
+     * Sets the number of URLs processed at the same time, which the ETA divides the remaining work by
+     * @param {number} count - Number of workers
+     */
+    setWorkerCount(count) {
+        this.workerCount = Math.max(1, count || 1);
+    }
+
+    /**
+     * Records that requests are held back by rate limiting until a time
+     * Overlapping holds (e.g. of the save and lookup endpoints) are only counted once
+     * @param {number} until - End of the hold in ms
+     * @param {number} now - Current time in ms (for testing)
+     */
+    recordThrottle(until, now = Date.now()) {
+        const start = Math.max(now, this.throttledUntil);
+        if (until > start) {
+            this.throttledTime += until - start;
+        }
+        this.throttledUntil = Math.max(this.throttledUntil, until);
+    }
+
+    /**
+     * Pauses the job: URLs in progress finish, but workers don't start on the next URL until resume()
+     * @param {string} reason - Why the job is paused ("user", "offline" or "unreachable")
+     * @returns {boolean} - Whether the job was paused (false if it isn't running or is already paused)
+     */
+    pause(reason = 'user') {
+        if (!this.isRunning || this.shouldStop || this.isPaused) return false;
+
+        this.isPaused = true;
+        this.pauseReason = reason;
+        this.pausedAt = Date.now();
+
+        this._emit('job-paused', { processed: this.processedCount, total: this.urls.length, reason });
+        return true;
+    }
+
+    /**
+     * Resumes a paused job with the next pending URL
+     * @returns {boolean} - Whether the job was resumed (false if it isn't paused)
+     */
+    resume() {
+        if (!this.isPaused) return false;
+
+        const pausedFor = this._endPause();
+        this._emit('job-resumed', { processed: this.processedCount, total: this.urls.length, pausedFor });
+
+        // The estimate was on hold during the pause
+        this.updateEta();
+        return true;
+    }
+
+    /**
+     * Waits until the job isn't paused
+     * @returns {Promise<void>} - Resolves right away if the job isn't paused, otherwise on resume() or stop()
+     */
+    waitWhilePaused() {
+        if (!this.isPaused) return Promise.resolve();
+        return new Promise(resolve => this.pauseWaiters.push(resolve));
+    }
+
+    /**
+     * Ends the current pause and releases the waiting workers
+     * @returns {number} - Length of the pause in ms
+     * @private
+     */
+    _endPause() {
+        const pausedFor = Date.now() - this.pausedAt;
+
+        this.pausedTime += pausedFor;
+        this.isPaused = false;
+        this.pauseReason = null;
+        this.pausedAt = null;
+
+        const waiters = this.pauseWaiters;
+        this.pauseWaiters = [];
+        waiters.forEach(resolve => resolve());
+
+        return pausedFor;
+    }
+
+    /**
+     * Puts finished URLs of a finished job back in the queue, for a retry pass over the same job
+     * Their results move to the attempt history of the URL, and the job runs again until they have new results
+     * @param {Array} urls - URLs to retry; URLs without a result are ignored
+     * @returns {Array} - The URLs that were requeued
+     * @throws {Error} - If the job is still running
+     */
+    requeue(urls) {
+        if (this.isRunning) {
+            throw new Error('Wait for the job to finish before retrying URLs');
+        }
+
+        const requeued = [];
+        for (const url of urls) {
+            const result = this.getResult(url);
+            if (!result || requeued.includes(url)) continue;
+
+            this.results.splice(this.results.indexOf(result), 1);
+            this.processedCount--;
+            if (result.success) {
+                this.successCount--;
+            } else if (result.warning) {
+                this.warningCount--;
+            } else {
+                this.errorCount--;
+            }
+
+            this.retryHistory.set(url, [...(result.history || []), {
+                status: result.success ? 'success' : (result.warning ? 'warning' : 'error'),
+                message: result.message || '',
+                errorClass: result.errorClass || ''
+            }]);
+            requeued.push(url);
+        }
+
+        if (!requeued.length) return requeued;
+
+        // The time between the end of the run and the retry doesn't count against the throughput
+        if (this.completedAt) {
+            this.pausedTime += Date.now() - this.completedAt;
+            this.completedAt = null;
+        }
+
+        this.isRunning = true;
+        this.shouldStop = false;
+
+        this._emit('urls-requeued', { urls: requeued, processed: this.processedCount, total: this.urls.length });
+        this._emitProgress();
+
+        return requeued;
+    }
+
+    /**
+     * Gets the number of the attempt a URL is on (1 unless it was requeued)
+     * @param {string} url - The URL
+     * @returns {number} - Attempt number
+     */
+    getAttempt(url) {
+        return this.getAttemptHistory(url).length + 1;
+    }
+
+    /**
+     * Gets the earlier attempts of a URL that is being retried
+     * @param {string} url - The URL
+     * @returns {Array} - { status, message, errorClass } of each earlier attempt, oldest first
+     */
+    getAttemptHistory(url) {
+        return this.retryHistory.get(url) || [];
+    }
+
+    /**
+     * Records the phase a URL being processed has entered
+     * @param {string} url - The URL
+     * @param {string} phase - One of PHASES ("checking", "saving" or "verifying")
+     * @throws {Error} - If the phase is unknown
+     */
+    setPhase(url, phase) {
+        if (!PHASES.includes(phase)) {
+            throw new Error(`Unknown phase "${phase}" (use ${PHASES.join(', ')})`);
+        }
+
+        const timing = this.inFlight.get(url);
+        if (timing) {
+            this._closePhase(timing, Date.now());
+            timing.phase = phase;
+        }
+
+        this._emit('phase-changed', { url, phase });
+
+        // A URL entering the next phase changes what is left of its expected time
+        if (this.urlTimes.length) {
+            this.updateEta();
+        }
+    }
+
+    /**
+     * Adds the time spent in the current phase of a URL to its phase times
+     * @param {Object} timing - Entry of this.inFlight
+     * @param {number} now - Current time in ms
+     * @private
+     */
+    _closePhase(timing, now) {
+        if (timing.phase) {
+            timing.phaseTimes[timing.phase] = (timing.phaseTimes[timing.phase] || 0) + now - timing.phaseStartedAt;
+        }
+        timing.phaseStartedAt = now;
+    }
+
+    /**
+     * Gets the phase of a URL being processed
+     * @param {string} url - The URL
+     * @returns {string|null} - One of PHASES, or null if the URL isn't being processed
+     */
+    getPhase(url) {
+        const timing = this.inFlight.get(url);
+        return timing ? timing.phase : null;
+    }
+
     /**
      * Updates progress when a URL is processed
      * @param {Object} result - Result object for the processed URL
      */
     updateProgress(result) {
-        this.processedCount++;
-        this.results.push(result);
-        
-        // Update counts by result type
-        if (result.success) {
-            this.successCount++;
-        } else if (result.warning) {
-            this.warningCount++;
-        } else {
-            this.errorCount++;
-        }
+        this.activeUrls.delete(result.url);
+        this._recordTiming(result.url);
+        this._recordResult(result);
         
         // Calculate progress percentage
         const progress = this.getProgressPercentage();
-        
+
+        this._emit('url-finished', {
+            url: result.url,
+            result: this.getResult(result.url),
+            processed: this.processedCount,
+            total: this.urls.length
+        });
+
         // Update ETA
-        const estimatedTimeRemaining = this.updateEta();
+        this.updateEta();
         
-        // Ensure progress callback is called on every update
-        if (typeof this.onProgressUpdate === 'function') {
-            this.onProgressUpdate(progress, this.processedCount, this.urls.length);
-        }
+        // Report the progress on every update
+        this._emitProgress();
         
         // Log progress for debugging
         console.log(`Progress update: ${progress}%, processed ${this.processedCount}/${this.urls.length}`);
         return progress;
     }
     
+    /**
+     * Adds the timing of a finished URL to the samples of this session
+     * @param {string} url - The finished URL
+     * @private
+     */
+    _recordTiming(url) {
+        const timing = this.inFlight.get(url);
+        if (!timing) return;
+
+        const now = Date.now();
+        this._closePhase(timing, now);
+        this.inFlight.delete(url);
+
+        this.urlTimes.push(now - timing.startedAt);
+
+        let lastPhase = PHASES[0];
+        for (const phase of PHASES) {
+            if (timing.phaseTimes[phase] === undefined) continue;
+
+            this.phaseTimes[phase].push(timing.phaseTimes[phase]);
+            lastPhase = phase;
+        }
+        this.lastPhaseCounts[lastPhase]++;
+    }
+
+    /**
+     * Stores a result and updates the counts by result type
+     * @param {Object} result - Result object for the processed URL
+     * @private
+     */
+    _recordResult(result) {
+        this.processedCount++;
+
+        // A retried URL carries its earlier attempts (restored results bring their own history)
+        const history = this.retryHistory.get(result.url) || result.history || [];
+        this.retryHistory.delete(result.url);
+
+        // Remember the input position so results can be listed in input order
+        // even though parallel workers finish out of order
+        this.results.push({ ...result, attempts: history.length + 1, history, index: this.urls.indexOf(result.url) });
+
+        if (result.success) {
+            this.successCount++;
+        } else if (result.warning) {
+            this.warningCount++;
+        } else {
+            this.errorCount++;
+        }
+    }
+
     /**
      * Gets the current progress percentage
      * @returns {number} - Progress percentage (0-100)
@@ -97,53 +532,143 @@ export default class StatusTracker {
             success: this.successCount,
             warning: this.warningCount,
             error: this.errorCount,
+            active: this.activeUrls.size,
             isComplete: this.processedCount >= this.urls.length,
             isStopped: this.shouldStop,
+            isPaused: this.isPaused,
+            pauseReason: this.pauseReason,
             progress: this.getProgressPercentage(),
-            elapsedTime: Date.now() - this.startTime
+            elapsedTime: Date.now() - this.startTime,
+            stats: this.getStats()
+        };
+    }
+
+    /**
+     * Gets throughput statistics for this session
+     * Time spent paused doesn't count towards the throughput
+     * @param {number} now - Current time in ms (for testing)
+     * @returns {Object} - { urlsPerMinute, medianTime, p95Time, throttledTime, successRate, estimatedTimeRemaining };
+     *                     times in ms, null while no URL has finished in this session
+     */
+    getStats(now = Date.now()) {
+        const finished = this.urlTimes.length;
+        const sorted = [...this.urlTimes].sort((a, b) => a - b);
+        const paused = this.pausedTime + (this.isPaused ? now - this.pausedAt : 0);
+        const elapsed = this.startTime ? now - this.startTime - paused : 0;
+
+        let medianTime = null;
+        if (finished) {
+            const middle = Math.floor(finished / 2);
+            medianTime = finished % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+        }
+
+        return {
+            urlsPerMinute: finished && elapsed > 0 ? finished / (elapsed / 60000) : null,
+            medianTime,
+            p95Time: finished ? sorted[Math.ceil(finished * SLOW_PERCENTILE) - 1] : null,
+            // A hold that is still going on only counts up to now
+            throttledTime: this.throttledTime - Math.max(0, this.throttledUntil - now),
+            successRate: this.processedCount ? this.successCount / this.processedCount : null,
+            estimatedTimeRemaining: this.estimateTimeRemaining(now)
         };
     }
+
+    /**
+     * Estimates the time remaining from the phase times of the URLs finished in this session
+     * Each URL that hasn't started is expected to need the average checking time, plus the average saving
+     * and verifying times weighted by the share of finished URLs that reached those phases (URLs that were
+     * already archived end after checking, fresh saves go on). URLs in progress are expected to need what
+     * is left of their current phase and the phases likely to follow. The total is shared by the workers.
+     * @param {number} now - Current time in ms (for testing)
+     * @returns {number|null} - Estimated time remaining in ms, or null until a URL has finished in this session
+     */
+    estimateTimeRemaining(now = Date.now()) {
+        if (!this.urlTimes.length) return null;
+
+        const average = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+
+        // Number of finished URLs that got at least as far as a phase
+        const reached = (phase) => PHASES.slice(PHASES.indexOf(phase))
+            .reduce((count, later) => count + this.lastPhaseCounts[later], 0);
+
+        // Expected time left for a URL that has spent `elapsed` ms in `phase`
+        const remainingFrom = (phase, elapsed) => {
+            const reachedPhase = reached(phase);
+            if (!reachedPhase) {
+                // No finished URL got this far yet, so fall back to the average total time
+                return Math.max(0, average(this.urlTimes) - elapsed);
+            }
+
+            let remaining = Math.max(0, average(this.phaseTimes[phase]) - elapsed);
+            for (const later of PHASES.slice(PHASES.indexOf(phase) + 1)) {
+                remaining += (reached(later) / reachedPhase) * average(this.phaseTimes[later]);
+            }
+            return remaining;
+        };
+
+        let longestInFlight = 0;
+        let work = 0;
+        for (const timing of this.inFlight.values()) {
+            const remaining = remainingFrom(timing.phase || PHASES[0], now - timing.phaseStartedAt);
+            longestInFlight = Math.max(longestInFlight, remaining);
+            work += remaining;
+        }
+
+        const notStarted = Math.max(0, this.urls.length - this.processedCount - this.inFlight.size);
+        work += notStarted * remainingFrom(PHASES[0], 0);
+
+        // Workers share the remaining work, but nothing ends before the slowest URL in progress
+        return Math.max(longestInFlight, work / this.workerCount);
+    }
     
     /**
      * Updates the estimated time remaining
-     * @returns {number} - Estimated time remaining in milliseconds
+     * @returns {number} - Estimated time remaining in milliseconds (0 until a URL has finished in this session)
      */
     updateEta() {
-        if (this.processedCount === 0) return 0;
-        
-        const elapsedTime = Date.now() - this.startTime;
-        const timePerUrl = elapsedTime / this.processedCount;
-        
-        // Use a weighted average for more stable ETA
-        this.avgTimePerUrl = this.avgTimePerUrl === null 
-            ? timePerUrl 
-            : this.avgTimePerUrl * 0.7 + timePerUrl * 0.3;
-        
+        const estimatedTimeRemaining = this.estimateTimeRemaining();
+        if (estimatedTimeRemaining === null) return 0;
+
         const remainingUrls = this.urls.length - this.processedCount;
-        const estimatedTimeRemaining = this.avgTimePerUrl * remainingUrls;
-        
-        // Call ETA callback if defined
-        if (typeof this.onEtaUpdate === 'function') {
-            this.onEtaUpdate(estimatedTimeRemaining, remainingUrls);
-        }
+        this._emit('eta', { remaining: estimatedTimeRemaining, remainingUrls });
         
         return estimatedTimeRemaining;
     }
     
     /**
-     * Sets the callback for progress updates
-     * @param {Function} callback - Function to call when progress updates
+     * Sets the callback for progress updates, replacing the previous one
+     * Shorthand for a "progress" listener with positional arguments
+     * @param {Function} callback - Function taking the percentage, the processed count and the total
      */
     setProgressCallback(callback) {
-        this.onProgressUpdate = callback;
+        this._setCallbackListener('progress', callback, ({ progress, processed, total }) => callback(progress, processed, total));
     }
     
     /**
-     * Sets the callback for ETA updates
-     * @param {Function} callback - Function to call when ETA updates
+     * Sets the callback for ETA updates, replacing the previous one
+     * Shorthand for an "eta" listener with positional arguments
+     * @param {Function} callback - Function taking the time remaining in ms and the number of remaining URLs
      */
     setEtaCallback(callback) {
-        this.onEtaUpdate = callback;
+        this._setCallbackListener('eta', callback, ({ remaining, remainingUrls }) => callback(remaining, remainingUrls));
+    }
+
+    /**
+     * Replaces the listener registered by a setXCallback method
+     * @param {string} event - Event name
+     * @param {Function|null} callback - The new callback (null to remove it)
+     * @param {Function} listener - Listener that calls the callback
+     * @private
+     */
+    _setCallbackListener(event, callback, listener) {
+        if (this.callbackListeners[event]) {
+            this.off(event, this.callbackListeners[event]);
+        }
+
+        this.callbackListeners[event] = typeof callback === 'function' ? listener : null;
+        if (this.callbackListeners[event]) {
+            this.on(event, listener);
+        }
     }
     
     /**
@@ -152,12 +677,17 @@ export default class StatusTracker {
     stop() {
         this.shouldStop = true;
         this.isRunning = false;
+
+        // Let workers waiting for a resume see the stop
+        if (this.isPaused) {
+            this._endPause();
+        }
+
+        this._emit('job-stopped', { processed: this.processedCount, total: this.urls.length });
         
         // When process is stopped, ensure progress bar shows the current progress
-        if (this.processedCount > 0 && typeof this.onProgressUpdate === 'function') {
-            // Use actual processing progress, don't force 100%
-            const progress = this.getProgressPercentage();
-            this.onProgressUpdate(progress, this.processedCount, this.urls.length);
+        if (this.processedCount > 0) {
+            this._emitProgress();
         }
     }
     
@@ -166,31 +696,23 @@ export default class StatusTracker {
      */
     complete() {
         this.isRunning = false;
+        this.completedAt = Date.now();
         
         // When process is complete, ensure progress bar shows the correct percentage
-        if (typeof this.onProgressUpdate === 'function') {
-            // If all URLs were processed, set to 100%
-            if (this.processedCount >= this.urls.length) {
-                this.onProgressUpdate(100, this.processedCount, this.urls.length);
-            } else {
-                // Otherwise show actual progress
-                const progress = this.getProgressPercentage();
-                this.onProgressUpdate(progress, this.processedCount, this.urls.length);
-            }
-        }
+        this._emitProgress();
         
         // Update ETA display to show completion
-        if (typeof this.onEtaUpdate === 'function') {
-            this.onEtaUpdate(0, 0);
-        }
+        this._emit('eta', { remaining: 0, remainingUrls: 0 });
+
+        this._emit('job-completed', { summary: this.getStatusSummary() });
     }
     
     /**
      * Gets results for all processed URLs
-     * @returns {Array} - Array of result objects
+     * @returns {Array} - Array of result objects, in the order the URLs were given
      */
     getResults() {
-        return [...this.results];
+        return [...this.results].sort((a, b) => a.index - b.index);
     }
     
     /**
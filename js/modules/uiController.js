@@ -9,22 +9,91 @@ export default class UIController {
             urlListTextarea: document.getElementById('urlList'),
             urlListMsg: document.getElementById('urlListMsg'),
             fileInput: document.getElementById('fileInput'),
+            feedUrlInput: document.getElementById('feedUrl'),
+            feedImportButton: document.getElementById('feedImportButton'),
+            importSinceInput: document.getElementById('importSince'),
+            folderFilterContainer: document.getElementById('folderFilterContainer'),
+            documentInput: document.getElementById('documentInput'),
+            documentOptions: document.getElementById('documentOptions'),
+            documentInfo: document.getElementById('documentInfo'),
+            rewriteModeSelect: document.getElementById('rewriteMode'),
+            rewriteButton: document.getElementById('rewriteButton'),
+            columnMappingContainer: document.getElementById('columnMappingContainer'),
+            urlColumnSelect: document.getElementById('urlColumn'),
+            csvHasHeaderCheckbox: document.getElementById('csvHasHeader'),
+            columnMappingInfo: document.getElementById('columnMappingInfo'),
+            folderFilterSelect: document.getElementById('folderFilter'),
             apiKeyInput: document.getElementById('apiKey'),
+            corsProxyInput: document.getElementById('corsProxy'),
+            concurrencyInput: document.getElementById('concurrency'),
+            freshnessModeSelect: document.getElementById('freshnessMode'),
+            freshnessAgeInput: document.getElementById('freshnessAge'),
+            freshnessUnitSelect: document.getElementById('freshnessUnit'),
+            detectChangesCheckbox: document.getElementById('detectChanges'),
+            skipUnchangedCheckbox: document.getElementById('skipUnchanged'),
+            skipUnchangedAgeInput: document.getElementById('skipUnchangedAge'),
+            skipUnchangedUnitSelect: document.getElementById('skipUnchangedUnit'),
+            captureOptionsPanel: document.getElementById('captureOptions'),
+            canonicalRulesPanel: document.getElementById('canonicalRules'),
+            trackingParamsInput: document.getElementById('trackingParams'),
+            canonicalPreviewButton: document.getElementById('canonicalPreviewButton'),
+            canonicalPreview: document.getElementById('canonicalPreview'),
+            parseReport: document.getElementById('parseReport'),
+            filterRulesInput: document.getElementById('filterRulesText'),
+            filterSummary: document.getElementById('filterSummary'),
+            ruleSetSelect: document.getElementById('ruleSetSelect'),
+            ruleSetNameInput: document.getElementById('ruleSetName'),
+            saveRuleSetButton: document.getElementById('saveRuleSetButton'),
+            deleteRuleSetButton: document.getElementById('deleteRuleSetButton'),
+            watchListNameInput: document.getElementById('watchListName'),
+            watchCadenceSelect: document.getElementById('watchCadence'),
+            watchCronInput: document.getElementById('watchCron'),
+            watchFreshnessInput: document.getElementById('watchFreshness'),
+            saveWatchListButton: document.getElementById('saveWatchListButton'),
+            watchListTable: document.getElementById('watchListTable'),
+            watchHistory: document.getElementById('watchHistory'),
             startButton: document.getElementById('startButton'),
             stopButton: document.getElementById('stopButton'),
+            pauseButton: document.getElementById('pauseButton'),
+            resumeButton: document.getElementById('resumeButton'),
+            retryMenu: document.getElementById('retryMenu'),
+            retryFailedButton: document.getElementById('retryFailedButton'),
+            retryUnverifiedButton: document.getElementById('retryUnverifiedButton'),
+            retrySelectedButton: document.getElementById('retrySelectedButton'),
             resultsDiv: document.getElementById('results'),
             logEntriesDiv: document.getElementById('logEntries'),
             progressContainer: document.getElementById('progressContainer'),
             progressBar: document.getElementById('progressBar'),
             etaDisplay: document.getElementById('eta'),
-            statusTableBody: document.getElementById('statusTableBody')
+            statsStrip: document.getElementById('statsStrip'),
+            statusTableBody: document.getElementById('statusTableBody'),
+            resumeContainer: document.getElementById('resumeContainer')
         };
 
         // All callbacks for UI events
         this.callbacks = {
             onStart: null,
             onStop: null,
-            onFileUpload: null
+            onPause: null,
+            onRunResume: null,
+            onRetry: null,
+            onFileUpload: null,
+            onFeedImport: null,
+            onFolderFilter: null,
+            onColumnMapping: null,
+            onDocumentUpload: null,
+            onDocumentRewrite: null,
+            onCanonicalPreview: null,
+            onParseFix: null,
+            onFilterRulesChange: null,
+            onRuleSetSave: null,
+            onRuleSetLoad: null,
+            onRuleSetDelete: null,
+            onWatchListSave: null,
+            onWatchListAction: null,
+            onHistoryRequest: null,
+            onResume: null,
+            onDiscard: null
         };
 
         // Status tracker reference
@@ -65,19 +134,21 @@ export default class UIController {
      * Initializes UI event listeners
      */
     initEventListeners() {
-        // Start button event
-        this.elements.startButton.addEventListener('click', () => {
-            if (typeof this.callbacks.onStart === 'function') {
-                const urlText = this.elements.urlListTextarea.value.trim();
-                const apiKey = this.elements.apiKeyInput.value.trim();
+        // Only show the age inputs when the "older than" rule is selected
+        if (this.elements.freshnessModeSelect) {
+            const updateFreshnessInputs = () => {
+                const showAge = this.elements.freshnessModeSelect.value === 'max-age';
+                this.elements.freshnessAgeInput.style.display = showAge ? '' : 'none';
+                this.elements.freshnessUnitSelect.style.display = showAge ? '' : 'none';
+            };
 
-                if (!urlText) {
-                    this.showMessage('Please enter URLs or upload a file.', 'error');
-                    return;
-                }
+            this.elements.freshnessModeSelect.addEventListener('change', updateFreshnessInputs);
+            updateFreshnessInputs();
+        }
 
-                this.callbacks.onStart(urlText, apiKey);
-            }
+        // Start button event
+        this.elements.startButton.addEventListener('click', () => {
+            this.notifyStart();
         });
 
         // Stop button event
@@ -87,6 +158,28 @@ export default class UIController {
             }
         });
 
+        // Pause and resume button events
+        this.elements.pauseButton.addEventListener('click', () => {
+            if (typeof this.callbacks.onPause === 'function') {
+                this.callbacks.onPause();
+            }
+        });
+        this.elements.resumeButton.addEventListener('click', () => {
+            if (typeof this.callbacks.onRunResume === 'function') {
+                this.callbacks.onRunResume();
+            }
+        });
+
+        // Retry buttons, shown once a run is over
+        const notifyRetry = (filter, urls = []) => {
+            if (typeof this.callbacks.onRetry === 'function') {
+                this.callbacks.onRetry(filter, urls);
+            }
+        };
+        this.elements.retryFailedButton.addEventListener('click', () => notifyRetry('failed'));
+        this.elements.retryUnverifiedButton.addEventListener('click', () => notifyRetry('unverified'));
+        this.elements.retrySelectedButton.addEventListener('click', () => notifyRetry('selected', this.getSelectedUrls()));
+
         // File input event
         this.elements.fileInput.addEventListener('change', (e) => {
             const file = e.target.files[0];
@@ -96,6 +189,140 @@ export default class UIController {
                 this.callbacks.onFileUpload(file);
             }
         });
+
+        // Sitemap/feed import by URL
+        if (this.elements.feedImportButton) {
+            this.elements.feedImportButton.addEventListener('click', () => {
+                const feedUrl = this.elements.feedUrlInput.value.trim();
+                if (!feedUrl) {
+                    this.showAlert('Please enter the URL of a sitemap or feed.');
+                    return;
+                }
+
+                if (typeof this.callbacks.onFeedImport === 'function') {
+                    this.showMessage(`Loading ${feedUrl}...`, 'info');
+                    this.callbacks.onFeedImport(feedUrl);
+                }
+            });
+        }
+
+        // Link-rot protection: document upload and download of the rewritten copy
+        if (this.elements.documentInput) {
+            this.elements.documentInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (!file) return;
+
+                if (typeof this.callbacks.onDocumentUpload === 'function') {
+                    this.callbacks.onDocumentUpload(file);
+                }
+            });
+
+            this.elements.rewriteButton.addEventListener('click', () => {
+                if (typeof this.callbacks.onDocumentRewrite === 'function') {
+                    this.callbacks.onDocumentRewrite(this.elements.rewriteModeSelect.value);
+                }
+            });
+        }
+
+        // CSV column mapping: re-map as soon as the URL column or header setting changes
+        if (this.elements.urlColumnSelect) {
+            const notifyColumnMapping = () => {
+                if (typeof this.callbacks.onColumnMapping === 'function') {
+                    this.callbacks.onColumnMapping(
+                        parseInt(this.elements.urlColumnSelect.value, 10),
+                        this.elements.csvHasHeaderCheckbox.checked
+                    );
+                }
+            };
+
+            this.elements.urlColumnSelect.addEventListener('change', notifyColumnMapping);
+            this.elements.csvHasHeaderCheckbox.addEventListener('change', notifyColumnMapping);
+        }
+
+        // Canonicalization preview: show it on request and keep it current while the rules are edited
+        if (this.elements.canonicalPreviewButton) {
+            const notifyCanonicalPreview = () => {
+                if (typeof this.callbacks.onCanonicalPreview === 'function') {
+                    this.callbacks.onCanonicalPreview(this.elements.urlListTextarea.value, this.getCanonicalRules());
+                }
+            };
+
+            this.elements.canonicalPreviewButton.addEventListener('click', notifyCanonicalPreview);
+            this.elements.canonicalRulesPanel.addEventListener('change', () => {
+                if (this.elements.canonicalPreview.style.display === 'block') notifyCanonicalPreview();
+            });
+        }
+
+        // Filter rules: recount what each rule removes while the rules or the URL list are edited
+        if (this.elements.filterRulesInput) {
+            this.elements.filterRulesInput.addEventListener('input', () => this._scheduleFilterSummary());
+            this.elements.urlListTextarea.addEventListener('input', () => this._scheduleFilterSummary());
+
+            this.elements.ruleSetSelect.addEventListener('change', () => {
+                const name = this.elements.ruleSetSelect.value;
+                if (name && typeof this.callbacks.onRuleSetLoad === 'function') {
+                    this.callbacks.onRuleSetLoad(name);
+                }
+            });
+
+            this.elements.saveRuleSetButton.addEventListener('click', () => {
+                const name = this.elements.ruleSetNameInput.value.trim() || this.elements.ruleSetSelect.value;
+                if (!name) {
+                    this.showMessage('Enter a name for the rule set.', 'error');
+                    return;
+                }
+
+                if (typeof this.callbacks.onRuleSetSave === 'function') {
+                    this.callbacks.onRuleSetSave(name, this.elements.filterRulesInput.value);
+                }
+            });
+
+            this.elements.deleteRuleSetButton.addEventListener('click', () => {
+                const name = this.elements.ruleSetSelect.value;
+                if (name && typeof this.callbacks.onRuleSetDelete === 'function') {
+                    this.callbacks.onRuleSetDelete(name);
+                }
+            });
+        }
+
+        // Watch lists: save the current URL list with a cadence
+        if (this.elements.saveWatchListButton) {
+            const updateCronInput = () => {
+                this.elements.watchCronInput.style.display = this.elements.watchCadenceSelect.value === 'cron' ? '' : 'none';
+            };
+
+            this.elements.watchCadenceSelect.addEventListener('change', updateCronInput);
+            updateCronInput();
+
+            this.elements.saveWatchListButton.addEventListener('click', () => {
+                const name = this.elements.watchListNameInput.value.trim();
+                if (!name) {
+                    this.showMessage('Enter a name for the watch list.', 'error');
+                    return;
+                }
+
+                const cadence = this.elements.watchCadenceSelect.value === 'cron'
+                    ? this.elements.watchCronInput.value.trim()
+                    : this.elements.watchCadenceSelect.value;
+
+                if (typeof this.callbacks.onWatchListSave === 'function') {
+                    this.callbacks.onWatchListSave({
+                        name,
+                        cadence,
+                        freshness: this.elements.watchFreshnessInput.value.trim()
+                    }, this.elements.urlListTextarea.value, this.getSettings());
+                }
+            });
+        }
+
+        // Bookmark folder filter for imported URLs
+        if (this.elements.folderFilterSelect) {
+            this.elements.folderFilterSelect.addEventListener('change', () => {
+                if (typeof this.callbacks.onFolderFilter === 'function') {
+                    this.callbacks.onFolderFilter(this.elements.folderFilterSelect.value);
+                }
+            });
+        }
     }
 
     /**
@@ -186,6 +413,31 @@ export default class UIController {
         this.callbacks.onStop = callback;
     }
 
+    /**
+     * Sets a callback for the pause button
+     * @param {Function} callback - Function to call when pause button is clicked
+     */
+    setPauseCallback(callback) {
+        this.callbacks.onPause = callback;
+    }
+
+    /**
+     * Sets a callback for the resume button of a paused run
+     * @param {Function} callback - Function to call when resume button is clicked
+     */
+    setRunResumeCallback(callback) {
+        this.callbacks.onRunResume = callback;
+    }
+
+    /**
+     * Sets a callback for the retry buttons
+     * @param {Function} callback - Function taking the filter ("failed", "unverified" or "selected")
+     *                              and, for "selected", the URLs of the ticked rows
+     */
+    setRetryCallback(callback) {
+        this.callbacks.onRetry = callback;
+    }
+
     /**
      * Sets a callback for file uploads
      * @param {Function} callback - Function to call when a file is uploaded
@@ -194,12 +446,628 @@ export default class UIController {
         this.callbacks.onFileUpload = callback;
     }
 
+    /**
+     * Sets a callback for importing a sitemap or feed by URL
+     * @param {Function} callback - Function taking the sitemap/feed URL
+     */
+    setFeedImportCallback(callback) {
+        this.callbacks.onFeedImport = callback;
+    }
+
+    /**
+     * Sets a callback for choosing a bookmark folder of the imported URLs
+     * @param {Function} callback - Function taking the folder path ("" for all folders)
+     */
+    setFolderFilterCallback(callback) {
+        this.callbacks.onFolderFilter = callback;
+    }
+
+    /**
+     * Sets a callback for uploading a document whose links should be protected
+     * @param {Function} callback - Function taking the document file
+     */
+    setDocumentUploadCallback(callback) {
+        this.callbacks.onDocumentUpload = callback;
+    }
+
+    /**
+     * Sets a callback for downloading the rewritten copy of the uploaded document
+     * @param {Function} callback - Function taking the rewrite mode ("append", "replace" or "attribute")
+     */
+    setDocumentRewriteCallback(callback) {
+        this.callbacks.onDocumentRewrite = callback;
+    }
+
+    /**
+     * Sets a callback for changing the URL column of an imported CSV file
+     * @param {Function} callback - Function taking the column index and whether the first row is a header
+     */
+    setColumnMappingCallback(callback) {
+        this.callbacks.onColumnMapping = callback;
+    }
+
+    /**
+     * Sets a callback for previewing the canonical form of the URL list
+     * @param {Function} callback - Function taking the URL text and the canonicalization rules
+     */
+    setCanonicalPreviewCallback(callback) {
+        this.callbacks.onCanonicalPreview = callback;
+    }
+
+    /**
+     * Sets a callback for applying fixes from the parse report
+     * @param {Function} callback - Function taking an array of { line, lines } replacing URL list lines
+     */
+    setParseFixCallback(callback) {
+        this.callbacks.onParseFix = callback;
+    }
+
+    /**
+     * Sets a callback for counting what the filter rules remove from the URL list
+     * @param {Function} callback - Function taking the rule text and the URL text
+     */
+    setFilterRulesCallback(callback) {
+        this.callbacks.onFilterRulesChange = callback;
+    }
+
+    /**
+     * Sets a callback for saving the filter rules as a named rule set
+     * @param {Function} callback - Function taking the rule set name and the rule text
+     */
+    setRuleSetSaveCallback(callback) {
+        this.callbacks.onRuleSetSave = callback;
+    }
+
+    /**
+     * Sets a callback for loading a saved rule set
+     * @param {Function} callback - Function taking the rule set name
+     */
+    setRuleSetLoadCallback(callback) {
+        this.callbacks.onRuleSetLoad = callback;
+    }
+
+    /**
+     * Sets a callback for deleting a saved rule set
+     * @param {Function} callback - Function taking the rule set name
+     */
+    setRuleSetDeleteCallback(callback) {
+        this.callbacks.onRuleSetDelete = callback;
+    }
+
+    /**
+     * Sets a callback for saving the URL list as a watch list
+     * @param {Function} callback - Function taking { name, cadence, freshness }, the URL text and the job settings
+     */
+    setWatchListSaveCallback(callback) {
+        this.callbacks.onWatchListSave = callback;
+    }
+
+    /**
+     * Sets a callback for the buttons of a watch list row
+     * @param {Function} callback - Function taking the action ("run", "history", "toggle" or "delete") and the watch list name
+     */
+    setWatchListActionCallback(callback) {
+        this.callbacks.onWatchListAction = callback;
+    }
+
+    /**
+     * Sets a callback for resuming a saved job
+     * @param {Function} callback - Function taking the job ID
+     */
+    setResumeCallback(callback) {
+        this.callbacks.onResume = callback;
+    }
+
+    /**
+     * Sets a callback for discarding a saved job
+     * @param {Function} callback - Function taking the job ID
+     */
+    setDiscardCallback(callback) {
+        this.callbacks.onDiscard = callback;
+    }
+
+    /**
+     * Sets a callback that loads the capture history for a URL
+     * @param {Function} callback - Function taking a URL and returning a Promise of archive history
+     */
+    setHistoryCallback(callback) {
+        this.callbacks.onHistoryRequest = callback;
+    }
+
+    /**
+     * Collects the optional job settings from the form
+     * @returns {Object} - Settings object passed to the start callback
+     */
+    getSettings() {
+        const concurrency = this.elements.concurrencyInput
+            ? parseInt(this.elements.concurrencyInput.value, 10)
+            : 1;
+
+        return {
+            corsProxy: this.elements.corsProxyInput ? this.elements.corsProxyInput.value.trim() : '',
+            concurrency: isNaN(concurrency) ? 1 : Math.max(1, Math.min(8, concurrency)),
+            freshness: this.getFreshnessRule(),
+            detectChanges: this.elements.detectChangesCheckbox ? this.elements.detectChangesCheckbox.checked : false,
+            skipUnchanged: this.getSkipUnchangedAge(),
+            captureOptions: this.getCaptureOptions(),
+            canonicalRules: this.getCanonicalRules(),
+            filterRules: this.elements.filterRulesInput ? this.elements.filterRulesInput.value : ''
+        };
+    }
+
+    /**
+     * Puts rule text in the filter rules box and recounts
+     * @param {string} text - Rules in the text format of URLProcessor.parseFilterRules
+     */
+    setFilterRulesText(text) {
+        if (!this.elements.filterRulesInput) return;
+
+        this.elements.filterRulesInput.value = text;
+        this._scheduleFilterSummary();
+    }
+
+    /**
+     * Lists the saved rule sets in the rule set selector
+     * @param {Array} ruleSets - Array of { name } from RuleSetStore
+     * @param {string} selected - Name of the set to select (empty for none)
+     */
+    showRuleSets(ruleSets, selected = '') {
+        const select = this.elements.ruleSetSelect;
+        if (!select) return;
+
+        select.innerHTML = '<option value="">Saved rule sets...</option>';
+        for (const ruleSet of ruleSets) {
+            const option = document.createElement('option');
+            option.value = ruleSet.name;
+            option.textContent = ruleSet.name;
+            select.appendChild(option);
+        }
+
+        select.value = selected;
+        this.elements.deleteRuleSetButton.disabled = !ruleSets.length;
+    }
+
+    /**
+     * Lists the saved watch lists with their schedule and last run
+     * @param {Array} watchLists - Watch lists from WatchListStore, each with a `cadenceLabel` to display
+     * @param {string|null} runningName - Name of the watch list that is running right now
+     */
+    showWatchLists(watchLists, runningName = null) {
+        const container = this.elements.watchListTable;
+        if (!container) return;
+
+        container.innerHTML = '';
+        if (!watchLists.length) return;
+
+        const table = document.createElement('table');
+        table.className = 'status-table';
+        table.innerHTML = '<thead><tr><th>Name</th><th>Cadence</th><th>URLs</th><th>Last run</th><th>Next run</th><th></th></tr></thead>';
+
+        const tbody = document.createElement('tbody');
+        for (const watchList of watchLists) {
+            const lastRun = watchList.history[0];
+            let nextRun = watchList.nextRunAt ? new Date(watchList.nextRunAt).toLocaleString() : '-';
+            if (watchList.name === runningName) {
+                nextRun = 'Running...';
+            } else if (!watchList.enabled) {
+                nextRun = 'Paused';
+            }
+
+            const cells = [
+                watchList.name,
+                watchList.cadenceLabel,
+                String(watchList.urls.length),
+                lastRun
+                    ? `${new Date(lastRun.startedAt).toLocaleString()} (${lastRun.summary.success} ok, ${lastRun.summary.warning} unverified, ${lastRun.summary.error} failed)`
+                    : 'Never',
+                nextRun
+            ];
+
+            const tr = document.createElement('tr');
+            if (!watchList.enabled) tr.className = 'watch-disabled';
+
+            for (const value of cells) {
+                const td = document.createElement('td');
+                td.textContent = value;
+                tr.appendChild(td);
+            }
+
+            const actions = document.createElement('td');
+            const buttons = [
+                ['run', 'Run now'],
+                ['history', 'History'],
+                ['toggle', watchList.enabled ? 'Pause' : 'Resume'],
+                ['delete', 'Delete']
+            ];
+
+            for (const [action, label] of buttons) {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.textContent = label;
+                button.disabled = action === 'run' && Boolean(runningName);
+                if (action === 'delete') button.className = 'secondary-button';
+
+                button.addEventListener('click', () => {
+                    if (typeof this.callbacks.onWatchListAction === 'function') {
+                        this.callbacks.onWatchListAction(action, watchList.name);
+                    }
+                });
+                actions.appendChild(button);
+            }
+
+            tr.appendChild(actions);
+            tbody.appendChild(tr);
+        }
+
+        table.appendChild(tbody);
+        container.appendChild(table);
+    }
+
+    /**
+     * Shows the run history of a watch list with the archive URL of every URL per run
+     * @param {Object|null} watchList - Watch list from WatchListStore (null hides the history)
+     */
+    showWatchHistory(watchList) {
+        const container = this.elements.watchHistory;
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        if (!watchList) {
+            container.style.display = 'none';
+            return;
+        }
+
+        const heading = document.createElement('p');
+        heading.textContent = watchList.history.length
+            ? `Runs of "${watchList.name}" (newest first):`
+            : `"${watchList.name}" has not run yet.`;
+        container.appendChild(heading);
+
+        watchList.history.forEach((run, index) => {
+            const details = document.createElement('details');
+            details.open = index === 0;
+
+            const summary = document.createElement('summary');
+            summary.textContent = `${new Date(run.startedAt).toLocaleString()}: ${run.summary.success} archived, ` +
+                `${run.summary.warning} unverified, ${run.summary.error} failed` +
+                `${run.summary.isComplete ? '' : ' (stopped early)'} - freshness ${run.freshness}`;
+            details.appendChild(summary);
+
+            const table = document.createElement('table');
+            table.className = 'status-table';
+            table.innerHTML = '<thead><tr><th>URL</th><th>Status</th><th>Archive</th></tr></thead>';
+
+            const tbody = document.createElement('tbody');
+            for (const result of run.results) {
+                const tr = document.createElement('tr');
+
+                const urlCell = document.createElement('td');
+                urlCell.textContent = result.url;
+
+                const statusCell = document.createElement('td');
+                statusCell.textContent = result.message || result.status;
+                if (result.change) {
+                    const changeLabel = document.createElement('span');
+                    changeLabel.className = `change-label change-${result.change}`;
+                    changeLabel.textContent = this._changeLabel(result.change);
+                    statusCell.appendChild(changeLabel);
+                }
+
+                const archiveCell = document.createElement('td');
+                if (result.archiveUrl) {
+                    const link = document.createElement('a');
+                    link.href = result.archiveUrl;
+                    link.target = '_blank';
+                    link.textContent = result.timestamp || 'View';
+                    archiveCell.appendChild(link);
+                } else {
+                    archiveCell.textContent = result.errorClass || '-';
+                }
+
+                tr.append(urlCell, statusCell, archiveCell);
+                tbody.appendChild(tr);
+            }
+
+            table.appendChild(tbody);
+            details.appendChild(table);
+            container.appendChild(details);
+        });
+
+        const closeButton = document.createElement('button');
+        closeButton.type = 'button';
+        closeButton.className = 'secondary-button';
+        closeButton.textContent = 'Close history';
+        closeButton.addEventListener('click', () => this.showWatchHistory(null));
+        container.appendChild(closeButton);
+
+        container.style.display = 'block';
+    }
+
+    /**
+     * Shows how many URLs each filter rule removes
+     * @param {Object} summary - { total, kept, ruleCounts, notIncluded, errors } where ruleCounts and
+     *                           notIncluded come from URLProcessor.filterUrls and errors from parseFilterRules
+     */
+    showFilterSummary(summary) {
+        const container = this.elements.filterSummary;
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        if (!summary.ruleCounts.length && !summary.errors.length) {
+            container.style.display = 'none';
+            return;
+        }
+
+        const total = document.createElement('p');
+        total.textContent = `Keeping ${summary.kept} of ${summary.total} URLs.`;
+        container.appendChild(total);
+
+        const list = document.createElement('ul');
+
+        for (const { rule, count } of summary.ruleCounts) {
+            const item = document.createElement('li');
+            item.textContent = rule.action === 'include'
+                ? `Line ${rule.line}: include ${rule.type} ${rule.pattern} - matches ${count}`
+                : `Line ${rule.line}: exclude ${rule.type} ${rule.pattern} - removes ${count}`;
+            list.appendChild(item);
+        }
+
+        if (summary.notIncluded) {
+            const item = document.createElement('li');
+            item.textContent = `Not matched by any include rule - removes ${summary.notIncluded}`;
+            list.appendChild(item);
+        }
+
+        for (const error of summary.errors) {
+            const item = document.createElement('li');
+            item.className = 'filter-error';
+            item.textContent = `Line ${error.line}: ${error.message}`;
+            list.appendChild(item);
+        }
+
+        container.appendChild(list);
+        container.style.display = 'block';
+    }
+
+    /**
+     * Asks for new filter counts once typing pauses, so long lists aren't refiltered on every key
+     * @private
+     */
+    _scheduleFilterSummary() {
+        if (!this.elements.filterRulesInput) return;
+
+        clearTimeout(this._filterSummaryTimeoutId);
+        this._filterSummaryTimeoutId = setTimeout(() => {
+            if (typeof this.callbacks.onFilterRulesChange === 'function') {
+                this.callbacks.onFilterRulesChange(this.elements.filterRulesInput.value, this.elements.urlListTextarea.value);
+            }
+        }, 300);
+    }
+
+    /**
+     * Gets the URL canonicalization rules chosen in the canonicalization panel
+     * @returns {Object|null} - Rules for URLProcessor.setCanonicalRules (null if the panel is missing)
+     */
+    getCanonicalRules() {
+        const panel = this.elements.canonicalRulesPanel;
+        if (!panel) return null;
+
+        const rules = {};
+        for (const input of panel.querySelectorAll('[data-canonical-rule]')) {
+            const name = input.dataset.canonicalRule;
+            rules[name] = input.type === 'checkbox' ? input.checked : input.value;
+        }
+
+        // One parameter name per line or comma-separated
+        rules.trackingParams = this.elements.trackingParamsInput.value.split(/[\s,]+/).filter(Boolean);
+
+        return rules;
+    }
+
+    /**
+     * Shows each URL next to its canonical form
+     * @param {Array} rows - Array of { url, canonical, changed } from URLProcessor.previewCanonicalization
+     */
+    showCanonicalPreview(rows) {
+        const container = this.elements.canonicalPreview;
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        const changed = rows.filter(row => row.changed);
+        const summary = document.createElement('p');
+        summary.textContent = rows.length
+            ? `${changed.length} of ${rows.length} URLs will be archived in a canonical form.`
+            : 'No valid URLs to preview.';
+        container.appendChild(summary);
+
+        if (changed.length) {
+            const table = document.createElement('table');
+            table.className = 'status-table';
+            table.innerHTML = '<thead><tr><th>Original URL</th><th>Canonical URL</th></tr></thead>';
+
+            const tbody = document.createElement('tbody');
+            for (const row of changed) {
+                const tr = document.createElement('tr');
+                for (const value of [row.url, row.canonical]) {
+                    const td = document.createElement('td');
+                    td.textContent = value;
+                    tr.appendChild(td);
+                }
+                tbody.appendChild(tr);
+            }
+
+            table.appendChild(tbody);
+            container.appendChild(table);
+        }
+
+        container.style.display = 'block';
+    }
+
+    /**
+     * Gets the Save Page Now capture options chosen in the capture options panel
+     * @returns {Object} - Options keyed by their API names (only enabled ones)
+     */
+    getCaptureOptions() {
+        const panel = this.elements.captureOptionsPanel;
+        if (!panel) return {};
+
+        const options = {};
+        for (const input of panel.querySelectorAll('[data-capture-option]')) {
+            const name = input.dataset.captureOption;
+
+            if (input.type === 'checkbox') {
+                if (input.checked) options[name] = true;
+            } else {
+                const value = parseInt(input.value, 10);
+                if (!isNaN(value) && value > 0) options[name] = value;
+            }
+        }
+
+        return options;
+    }
+
+    /**
+     * Shows the rewrite options for an uploaded document
+     * @param {Object} info - { name, type, linkCount }
+     */
+    showDocumentOptions(info) {
+        if (!this.elements.documentOptions) return;
+
+        const typeNames = { html: 'HTML', markdown: 'Markdown', text: 'text' };
+        this.elements.documentInfo.textContent = `${info.name} (${typeNames[info.type]}): ${info.linkCount} unique links. ` +
+            'Archive them, then download the protected copy. Links without an archived copy are left as they are.';
+
+        // data-archive attributes only exist in HTML
+        const attributeOption = this.elements.rewriteModeSelect.querySelector('option[value="attribute"]');
+        attributeOption.disabled = info.type !== 'html';
+        if (attributeOption.disabled && this.elements.rewriteModeSelect.value === 'attribute') {
+            this.elements.rewriteModeSelect.value = 'append';
+        }
+
+        this.elements.documentOptions.style.display = 'block';
+    }
+
+    /**
+     * Shows the column mapping step for an imported CSV file, or hides it for other imports
+     * @param {Object|null} table - { rows, columns, urlColumn, hasHeader } from FileHandler.mapCsvColumns
+     */
+    showColumnMapping(table) {
+        const container = this.elements.columnMappingContainer;
+        if (!container) return;
+
+        if (!table || !table.columns || table.columns.length < 2) {
+            container.style.display = 'none';
+            return;
+        }
+
+        const select = this.elements.urlColumnSelect;
+        const sampleRow = table.rows[table.hasHeader ? 1 : 0] || [];
+        select.innerHTML = '';
+
+        table.columns.forEach((name, index) => {
+            const option = document.createElement('option');
+            option.value = String(index);
+
+            // Show a sample value so unnamed columns can be told apart
+            const sample = (sampleRow[index] || '').trim();
+            option.textContent = sample ? `${name} (e.g. ${sample.length > 40 ? `${sample.slice(0, 40)}...` : sample})` : name;
+            select.appendChild(option);
+        });
+
+        select.value = String(table.urlColumn);
+        this.elements.csvHasHeaderCheckbox.checked = table.hasHeader;
+
+        const otherColumns = table.columns.filter((name, index) => index !== table.urlColumn);
+        this.elements.columnMappingInfo.textContent = `${table.rows.length - (table.hasHeader ? 1 : 0)} rows. ` +
+            `Kept as metadata and written back on export: ${otherColumns.join(', ')}`;
+
+        container.style.display = 'block';
+    }
+
+    /**
+     * Shows the folder selector for imported bookmarks, or hides it if there are no folders
+     * @param {Array} folders - Array of { folder, count } from the import
+     */
+    showFolderFilter(folders) {
+        const container = this.elements.folderFilterContainer;
+        const select = this.elements.folderFilterSelect;
+        if (!container || !select) return;
+
+        select.innerHTML = '';
+
+        if (!folders.length) {
+            container.style.display = 'none';
+            return;
+        }
+
+        const allOption = document.createElement('option');
+        allOption.value = '';
+        allOption.textContent = 'All folders';
+        select.appendChild(allOption);
+
+        for (const { folder, count } of folders) {
+            const option = document.createElement('option');
+            option.value = folder;
+
+            // Indent subfolders under their parent
+            const depth = folder.split('/').length - 1;
+            option.textContent = `${'\u00A0\u00A0'.repeat(depth)}${folder.split('/').pop()} (${count})`;
+            select.appendChild(option);
+        }
+
+        container.style.display = 'block';
+    }
+
+    /**
+     * Gets the "modified since" date used to filter sitemap and feed imports
+     * @returns {Date|null} - Start of the selected day (local time), or null if none is set
+     */
+    getImportSince() {
+        const input = this.elements.importSinceInput;
+        if (!input || !input.value) return null;
+
+        const date = new Date(`${input.value}T00:00:00`);
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    /**
+     * Gets the freshness rule selected in the form, in FreshnessPolicy text form
+     * @returns {string} - e.g. "30d", "always", "any" or "check-only"
+     */
+    getFreshnessRule() {
+        const modeSelect = this.elements.freshnessModeSelect;
+        if (!modeSelect) return 'any';
+
+        if (modeSelect.value !== 'max-age') {
+            return modeSelect.value;
+        }
+
+        const age = parseInt(this.elements.freshnessAgeInput.value, 10);
+        return `${isNaN(age) || age < 1 ? 1 : age}${this.elements.freshnessUnitSelect.value}`;
+    }
+
+    /**
+     * Gets the period after which unchanged pages are no longer saved
+     * @returns {string} - An age such as "30d", or empty if unchanged pages are saved as usual
+     */
+    getSkipUnchangedAge() {
+        const checkbox = this.elements.skipUnchangedCheckbox;
+        if (!checkbox || !checkbox.checked) return '';
+
+        const age = parseInt(this.elements.skipUnchangedAgeInput.value, 10);
+        return `${isNaN(age) || age < 1 ? 1 : age}${this.elements.skipUnchangedUnitSelect.value}`;
+    }
+
     /**
      * Updates the URL textarea with text
      * @param {string} text - Text to set in the URL textarea
      */
     setUrlText(text) {
         this.elements.urlListTextarea.value = text;
+        this._scheduleFilterSummary();
     }
 
     /**
@@ -303,6 +1171,8 @@ export default class UIController {
     resetUI() {
         this.elements.startButton.style.display = 'inline-block';
         this.elements.stopButton.style.display = 'none';
+        this.elements.pauseButton.style.display = 'none';
+        this.elements.resumeButton.style.display = 'none';
         // Do not hide the progress container here to maintain progress visibility after completion
         //this.elements.progressContainer.style.display = 'none';
         //this.elements.progressBar.style.width = '0%';
@@ -315,8 +1185,7 @@ export default class UIController {
      * @param {Array} urls - List of URLs to be processed
      */
     setProcessingState(urls = []) {
-        this.elements.startButton.style.display = 'none';
-        this.elements.stopButton.style.display = 'inline-block';
+        this.showRunControls();
         this.elements.resultsDiv.style.display = 'block';
         this.elements.statusTableBody.innerHTML = '';
 
@@ -329,6 +1198,100 @@ export default class UIController {
         }
     }
 
+    /**
+     * Shows the Stop and Pause buttons of a running job and hides the buttons that need an idle job
+     */
+    showRunControls() {
+        this.elements.startButton.style.display = 'none';
+        this.elements.stopButton.style.display = 'inline-block';
+        this.elements.pauseButton.style.display = 'inline-block';
+        this.elements.resumeButton.style.display = 'none';
+        this.elements.retryMenu.style.display = 'none';
+    }
+
+    /**
+     * Sets the UI to processing state for a retry pass, keeping the rows of the job
+     * @param {Array} urls - URLs that are retried
+     */
+    setRetryState(urls) {
+        this.showRunControls();
+        this.elements.progressContainer.style.display = 'block';
+
+        for (const url of urls) {
+            this.markRowQueued(url);
+        }
+    }
+
+    /**
+     * Marks a finished row as waiting for a retry; its details stay until the new outcome
+     * @param {string} url - URL of the row
+     */
+    markRowQueued(url) {
+        const row = this._findRow(url);
+        if (!row) return;
+
+        const statusLabel = document.createElement('span');
+        statusLabel.className = 'status-label status-pending';
+        statusLabel.textContent = 'Queued for retry';
+
+        const statusCell = row.children[2];
+        statusCell.innerHTML = '';
+        statusCell.appendChild(statusLabel);
+
+        const selectBox = row.querySelector('.row-select');
+        if (selectBox) selectBox.checked = false;
+    }
+
+    /**
+     * Shows the retry buttons after a run, with the number of rows each one would retry
+     * @param {Object} counts - { failed, unverified } numbers of URLs
+     */
+    showRetryMenu(counts) {
+        this.elements.retryFailedButton.textContent = `Retry failed (${counts.failed})`;
+        this.elements.retryFailedButton.disabled = !counts.failed;
+        this.elements.retryUnverifiedButton.textContent = `Retry unverified (${counts.unverified})`;
+        this.elements.retryUnverifiedButton.disabled = !counts.unverified;
+        this.elements.retryMenu.style.display = '';
+    }
+
+    /**
+     * Gets the URLs of the rows ticked for "Retry selected"
+     * @returns {Array} - URLs in table order
+     */
+    getSelectedUrls() {
+        return Array.from(this.elements.statusTableBody.querySelectorAll('.row-select:checked'))
+            .map(selectBox => selectBox.closest('tr').dataset.url);
+    }
+
+    /**
+     * Finds the main row of a URL in the results table
+     * @param {string} url - URL of the row
+     * @returns {HTMLTableRowElement|null} - The row, or null if the URL has no row
+     * @private
+     */
+    _findRow(url) {
+        const rows = this.elements.statusTableBody.getElementsByTagName('tr');
+        for (let i = 0; i < rows.length; i++) {
+            if (rows[i].dataset && rows[i].dataset.url === url) {
+                return rows[i];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Adds the checkbox used by "Retry selected" to the number cell of a row
+     * @param {HTMLTableCellElement} numberCell - The number cell
+     * @private
+     */
+    _addRowSelect(numberCell) {
+        const selectBox = document.createElement('input');
+        selectBox.type = 'checkbox';
+        selectBox.className = 'row-select';
+        selectBox.title = 'Select for "Retry selected"';
+        numberCell.prepend(selectBox);
+    }
+
     /**
      * Adds an initial entry with "Pending" status to the results table
      * @param {string} url - URL to add
@@ -347,6 +1310,7 @@ export default class UIController {
         // Add number cell
         const numberCell = document.createElement('td');
         numberCell.textContent = rowNumber;
+        this._addRowSelect(numberCell);
         row.appendChild(numberCell);
 
         // Add URL cell
@@ -407,6 +1371,144 @@ export default class UIController {
         return row;
     }
 
+    /**
+     * Shows the unfinished jobs from earlier sessions with Resume and Discard buttons
+     * @param {Array} jobs - Jobs from JobStore.getUnfinishedJobs
+     */
+    showResumePrompt(jobs) {
+        const container = this.elements.resumeContainer;
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        if (!jobs || jobs.length === 0) {
+            container.style.display = 'none';
+            return;
+        }
+
+        const heading = document.createElement('strong');
+        heading.textContent = 'Unfinished archiving jobs';
+        container.appendChild(heading);
+
+        for (const job of jobs) {
+            const jobElement = document.createElement('div');
+            jobElement.className = 'resume-job';
+
+            const description = document.createElement('span');
+            description.textContent = `Started ${new Date(job.createdAt).toLocaleString()}: ` +
+                `${job.doneCount} of ${job.urls.length} URLs done`;
+            jobElement.appendChild(description);
+
+            const resumeButton = document.createElement('button');
+            resumeButton.textContent = 'Resume';
+            resumeButton.addEventListener('click', () => {
+                if (typeof this.callbacks.onResume === 'function') {
+                    this.callbacks.onResume(job.id);
+                }
+            });
+            jobElement.appendChild(resumeButton);
+
+            const discardButton = document.createElement('button');
+            discardButton.textContent = 'Discard';
+            discardButton.className = 'secondary-button';
+            discardButton.addEventListener('click', () => {
+                if (typeof this.callbacks.onDiscard === 'function') {
+                    this.callbacks.onDiscard(job.id);
+                }
+            });
+            jobElement.appendChild(discardButton);
+
+            container.appendChild(jobElement);
+        }
+
+        container.style.display = 'block';
+    }
+
+    /**
+     * Hides the unfinished jobs prompt
+     */
+    hideResumePrompt() {
+        if (this.elements.resumeContainer) {
+            this.elements.resumeContainer.style.display = 'none';
+        }
+    }
+
+    /**
+     * Restores the row of a URL that finished in an earlier session of a resumed job
+     * @param {Object} result - Saved result object
+     */
+    restoreEntry(result) {
+        let type = 'error';
+        if (result.success) {
+            type = 'success';
+        } else if (result.warning) {
+            type = 'warning';
+        }
+
+        const lines = [];
+        if (result.formattedDate) lines.push(`Archived on ${result.formattedDate}`);
+        if (result.archiveUrl) lines.push(`View archive: ${result.archiveUrl}`);
+        if (result.details) lines.push(...[].concat(result.details));
+        lines.push('(finished before the job was resumed)');
+
+        this.addLogEntry({
+            message: result.message || 'Processed',
+            type: type,
+            url: result.url,
+            details: lines.join('\n'),
+            archiveUrl: result.archiveUrl,
+            change: result.change || null,
+            attempts: result.attempts || 1
+        });
+    }
+
+    /**
+     * Highlights (or un-highlights) the row of a URL that is being processed
+     * @param {string} url - URL of the row
+     * @param {boolean} processing - Whether the URL is currently being processed
+     */
+    markRowProcessing(url, processing) {
+        const rows = this.elements.statusTableBody.getElementsByTagName('tr');
+
+        for (let i = 0; i < rows.length; i++) {
+            if (rows[i].dataset && rows[i].dataset.url === url) {
+                if (!processing) {
+                    rows[i].classList.remove('processing');
+                    break;
+                }
+
+                rows[i].classList.add('processing');
+
+                // Update status to "Processing"
+                const statusCell = rows[i].children[2];
+                if (statusCell) {
+                    const statusLabel = document.createElement('span');
+                    statusLabel.className = 'status-label status-info';
+                    statusLabel.textContent = 'Processing';
+                    statusCell.innerHTML = '';
+                    statusCell.appendChild(statusLabel);
+                }
+
+                break;
+            }
+        }
+    }
+
+    /**
+     * Shows the phase of a URL that is being processed in its status cell
+     * @param {string} url - URL of the row
+     * @param {string} phase - "checking", "saving" or "verifying"
+     */
+    markRowPhase(url, phase) {
+        const row = Array.from(this.elements.statusTableBody.getElementsByTagName('tr'))
+            .find(element => element.dataset && element.dataset.url === url);
+        const statusLabel = row ? row.querySelector('.status-label.status-info') : null;
+
+        if (statusLabel) {
+            statusLabel.textContent = { checking: 'Checking', saving: 'Saving', verifying: 'Verifying' }[phase] || 'Processing';
+        }
+    }
+
     /**
      * Initialize the progress tracker with the current status
      * @param {StatusTracker} statusTracker - The status tracker instance
@@ -442,15 +1544,23 @@ export default class UIController {
     completeReset() {
         this.elements.startButton.style.display = 'inline-block';
         this.elements.stopButton.style.display = 'none';
+        this.elements.pauseButton.style.display = 'none';
+        this.elements.resumeButton.style.display = 'none';
+        this.elements.retryMenu.style.display = 'none';
 
         // Reset progress state and hide
         this.elements.progressContainer.style.display = 'none';
         this.elements.progressBar.style.width = '0%';
         this.elements.progressBar.textContent = '0%';
         this.elements.etaDisplay.textContent = '';
+        this.updateStats(null);
 
         // Clear any messages
         this.clearMessage();
+
+        // The previous results are gone, so there is nothing to export yet
+        this.hideExportMenu();
+        this.hideParseReport();
     }
 
     /**
@@ -506,13 +1616,90 @@ export default class UIController {
         }
     }
 
+    /**
+     * Switches between the Pause and Resume buttons and tells the user why the job is on hold
+     * @param {boolean} paused - Whether the job is paused
+     * @param {string} reason - Why it is paused ("user", "offline" or "unreachable")
+     */
+    showPausedState(paused, reason = 'user') {
+        this.elements.pauseButton.style.display = paused ? 'none' : 'inline-block';
+        this.elements.resumeButton.style.display = paused ? 'inline-block' : 'none';
+
+        if (!paused) {
+            this.elements.etaDisplay.textContent = 'Resuming...';
+            this.showMessage('Resumed with the next pending URL', 'info', 3000);
+            return;
+        }
+
+        const messages = {
+            user: 'Paused. URLs in progress finish first; press Resume to continue with the next pending URL.',
+            offline: 'Paused: the browser is offline. The job resumes when the connection is back.',
+            unreachable: 'Paused: the Wayback Machine isn\'t responding. Press Resume to try again.'
+        };
+
+        this.elements.etaDisplay.textContent = 'Paused';
+        this.showMessage(messages[reason] || messages.user, 'warning');
+    }
+
+    /**
+     * Shows throughput statistics in the strip under the progress bar
+     * @param {Object} stats - StatusTracker.getStats() result
+     */
+    updateStats(stats) {
+        const strip = this.elements.statsStrip;
+        if (!strip) return;
+
+        strip.innerHTML = '';
+        if (!stats || stats.medianTime === null) return;
+
+        const seconds = ms => `${(ms / 1000).toFixed(1)}s`;
+        const items = [
+            `${stats.urlsPerMinute.toFixed(1)} URLs/min`,
+            `Median ${seconds(stats.medianTime)} per URL`,
+            `95th percentile ${seconds(stats.p95Time)}`,
+            `Throttled ${seconds(stats.throttledTime)}`,
+            `${Math.round(stats.successRate * 100)}% succeeded`
+        ];
+
+        for (const text of items) {
+            const item = document.createElement('span');
+            item.textContent = text;
+            strip.appendChild(item);
+        }
+    }
+
+    /**
+     * Shows that requests are on hold because the Wayback Machine is rate limiting us
+     * @param {Object} throttleInfo - Info from RequestScheduler ({ bucket, status, delay, attempt })
+     */
+    showThrottleNotice(throttleInfo) {
+        const endpoint = throttleInfo.bucket === 'save' ? 'save' : 'lookup';
+        const seconds = Math.ceil(throttleInfo.delay / 1000);
+
+        this.showMessage(
+            `Throttled by the Wayback Machine (HTTP ${throttleInfo.status}): pausing ${endpoint} requests for ${seconds}s`,
+            'warning',
+            throttleInfo.delay
+        );
+    }
+
+    /**
+     * Gets the label of a change state
+     * @param {string} change - "changed", "unchanged", "first" or "unknown"
+     * @returns {string} - Label shown next to the status
+     * @private
+     */
+    _changeLabel(change) {
+        return { changed: 'Changed', unchanged: 'Unchanged', first: 'First capture' }[change] || 'Change unknown';
+    }
+
     /**
      * Adds a log entry to the status table or updates an existing entry
      * @param {Object} data - Log entry data
      * @returns {Object} - Object containing entry row and details div for updates
      */
     addLogEntry(data) {
-        const { message, type, url, details, archiveUrl } = data;
+        const { message, type, url, details, archiveUrl, saveUrl, change, attempts } = data;
 
         // If this is a system message (no URL), just log to console
         if (!url) {
@@ -551,6 +1738,7 @@ export default class UIController {
             // Add number cell
             const numberCell = document.createElement('td');
             numberCell.textContent = rowNumber;
+            this._addRowSelect(numberCell);
             row.appendChild(numberCell);
 
             // Add URL cell
@@ -651,6 +1839,22 @@ export default class UIController {
         statusCell.innerHTML = '';
         statusCell.appendChild(statusLabel);
 
+        // With change detection on, mark whether the capture differs from the previous one
+        if (change) {
+            const changeLabel = document.createElement('span');
+            changeLabel.className = `change-label change-${change}`;
+            changeLabel.textContent = this._changeLabel(change);
+            statusCell.appendChild(changeLabel);
+        }
+
+        // A retried URL shows which attempt got this outcome
+        if (attempts > 1) {
+            const attemptLabel = document.createElement('span');
+            attemptLabel.className = 'attempt-label';
+            attemptLabel.textContent = `attempt ${attempts}`;
+            statusCell.appendChild(attemptLabel);
+        }
+
         // Update "View Archive" cell if we have an archive URL
         if (type === 'success' && statusText === 'Archived' && archiveUrl) {
             const viewCell = existingRow.children[3];
@@ -686,16 +1890,16 @@ export default class UIController {
 
             if (typeof details === 'string') {
                 // Check for URLs and make them clickable
-                if (details.includes('https://web.archive.org/')) {
+                if (/https?:\/\//.test(details)) {
                     // Split by newlines first to handle multiple lines
                     const lines = details.split('\n');
                     for (const line of lines) {
                         const lineElement = document.createElement('div');
 
-                        if (line.includes('https://web.archive.org/')) {
+                        if (/https?:\/\//.test(line)) {
                             // This line contains a URL - make it clickable
                             // Improved regex to better match URLs without breaking layout
-                            const urlMatch = line.match(/(https:\/\/web\.archive\.org\/[^\s"]+)/);
+                            const urlMatch = line.match(/(https?:\/\/[^\s"]+)/);
                             if (urlMatch) {
                                 const url = urlMatch[1];
                                 // Clean up URL by removing trailing punctuation that might have been caught
@@ -779,7 +1983,7 @@ export default class UIController {
 
             // Add manual archive link if not already added
             if (!manualLinkContainer.querySelector('.manual-archive-link')) {
-                const archiveUrl = `https://web.archive.org/save/${encodeURIComponent(url)}`;
+                const archiveUrl = saveUrl || `https://web.archive.org/save/${encodeURIComponent(url)}`;
                 const linkElement = document.createElement('a');
                 linkElement.href = archiveUrl;
                 linkElement.className = 'manual-archive-link';
@@ -792,6 +1996,11 @@ export default class UIController {
             }
         }
 
+        // Offer the full capture timeline once the URL has a final status
+        if (type !== 'info' && typeof this.callbacks.onHistoryRequest === 'function') {
+            this.addTimelineToggle(detailsContentCell, url);
+        }
+
         // Log to console as well
         console.log(`[${type.toUpperCase()}] ${url}: ${message}`);
 
@@ -803,22 +2012,288 @@ export default class UIController {
     }
 
     /**
-     * Adds an export results button
-     * @param {Function} callback - Function to call when export button is clicked
+     * Adds a link that loads and shows the capture timeline of a URL
+     * @param {HTMLElement} container - Details cell to add the link to
+     * @param {string} url - URL whose history should be loaded
+     */
+    addTimelineToggle(container, url) {
+        const timelineContainer = document.createElement('div');
+        timelineContainer.className = 'timeline-container';
+
+        const toggle = document.createElement('a');
+        toggle.href = '#';
+        toggle.className = 'timeline-toggle';
+        toggle.textContent = 'Show capture timeline';
+
+        toggle.onclick = async (e) => {
+            e.preventDefault();
+            toggle.textContent = 'Loading capture timeline...';
+
+            const history = await this.callbacks.onHistoryRequest(url);
+
+            toggle.remove();
+            this.renderCaptureTimeline(timelineContainer, history);
+        };
+
+        timelineContainer.appendChild(toggle);
+        container.appendChild(timelineContainer);
+    }
+
+    /**
+     * Renders a browsable capture timeline (years, then months and captures)
+     * @param {HTMLElement} container - Element to render into
+     * @param {Object} history - Result of WaybackAPI.getArchiveHistory
+     */
+    renderCaptureTimeline(container, history) {
+        container.innerHTML = '';
+
+        if (!history || !history.success) {
+            container.textContent = `Could not load capture history: ${history ? history.error : 'unknown error'}`;
+            return;
+        }
+
+        if (history.captureCount === 0) {
+            container.textContent = 'No captures found.';
+            return;
+        }
+
+        // Summary line
+        const summary = document.createElement('div');
+        summary.className = 'timeline-summary';
+        summary.textContent = `${history.captureCount} capture${history.captureCount > 1 ? 's' : ''}, ` +
+            `first ${history.firstCapture.formattedDate}, last ${history.lastCapture.formattedDate}` +
+            (history.truncated ? ' (partial history: the CDX server has newer captures than could be loaded)' : '');
+        container.appendChild(summary);
+
+        const yearsElement = document.createElement('div');
+        yearsElement.className = 'timeline-years';
+        container.appendChild(yearsElement);
+
+        const capturesElement = document.createElement('div');
+        capturesElement.className = 'timeline-captures';
+        container.appendChild(capturesElement);
+
+        // Show the captures of one year grouped by month
+        const showYear = (year) => {
+            capturesElement.innerHTML = '';
+
+            for (const yearButton of yearsElement.children) {
+                yearButton.classList.toggle('active', yearButton.dataset.year === year);
+            }
+
+            const months = Object.keys(history.byMonth)
+                .filter(month => month.startsWith(year))
+                .sort()
+                .reverse();
+
+            for (const month of months) {
+                const monthElement = document.createElement('div');
+                monthElement.className = 'timeline-month';
+
+                const heading = document.createElement('strong');
+                heading.textContent = `${month} (${history.byMonth[month]})`;
+                monthElement.appendChild(heading);
+
+                const monthKey = month.replace('-', '');
+                const monthCaptures = history.captures.filter(capture => capture.timestamp.startsWith(monthKey));
+
+                for (const capture of monthCaptures) {
+                    const captureElement = document.createElement('div');
+
+                    const link = document.createElement('a');
+                    link.href = capture.archiveUrl;
+                    link.target = '_blank';
+                    link.textContent = capture.formattedDate;
+                    captureElement.appendChild(link);
+
+                    captureElement.appendChild(document.createTextNode(
+                        ` — HTTP ${capture.statusCode || '?'}${capture.mimetype ? `, ${capture.mimetype}` : ''}`
+                    ));
+                    monthElement.appendChild(captureElement);
+                }
+
+                capturesElement.appendChild(monthElement);
+            }
+        };
+
+        const years = Object.keys(history.byYear).sort();
+        for (const year of years) {
+            const yearButton = document.createElement('span');
+            yearButton.className = 'timeline-year';
+            yearButton.dataset.year = year;
+            yearButton.textContent = `${year} (${history.byYear[year]})`;
+            yearButton.onclick = () => showYear(year);
+            yearsElement.appendChild(yearButton);
+        }
+
+        // Start with the most recent year
+        showYear(years[years.length - 1]);
+    }
+
+    /**
+     * Adds the export menu (format, filter and an export button) below the results
+     * @param {Function} callback - Function taking the chosen format and filter when the export button is clicked
      */
     addExportButton(callback) {
-        // Check if button already exists
-        if (document.getElementById('exportButton')) {
+        // Check if the menu already exists; just make sure it is visible
+        const existingMenu = document.getElementById('exportMenu');
+        if (existingMenu) {
+            existingMenu.style.display = '';
             return;
         }
 
+        const exportMenu = document.createElement('div');
+        exportMenu.id = 'exportMenu';
+        exportMenu.className = 'export-menu';
+
+        const formatSelect = document.createElement('select');
+        formatSelect.id = 'exportFormat';
+        for (const [value, label] of [['csv', 'CSV'], ['json', 'JSON'], ['jsonl', 'JSON Lines'], ['markdown', 'Markdown table'], ['html', 'HTML report']]) {
+            formatSelect.appendChild(new Option(label, value));
+        }
+
+        const filterSelect = document.createElement('select');
+        filterSelect.id = 'exportFilter';
+        for (const [value, label] of [['all', 'All results'], ['succeeded', 'Succeeded only'], ['failed', 'Failed only']]) {
+            filterSelect.appendChild(new Option(label, value));
+        }
+
         const exportButton = document.createElement('button');
         exportButton.id = 'exportButton';
         exportButton.textContent = 'Export Results';
-        exportButton.style.marginTop = '10px';
-        exportButton.addEventListener('click', callback);
+        exportButton.addEventListener('click', () => {
+            callback(formatSelect.value, filterSelect.value);
+        });
+
+        exportMenu.appendChild(formatSelect);
+        exportMenu.appendChild(filterSelect);
+        exportMenu.appendChild(exportButton);
+
+        this.elements.resultsDiv.appendChild(exportMenu);
+    }
+
+    /**
+     * Asks the app to start archiving the URL list
+     * The URL text isn't trimmed so line numbers in the parse report match the textarea
+     * @param {Object} extraSettings - Settings to add to the ones from the form (e.g. skipRejected)
+     */
+    notifyStart(extraSettings = {}) {
+        if (typeof this.callbacks.onStart !== 'function') return;
+
+        const urlText = this.elements.urlListTextarea.value;
+        const apiKey = this.elements.apiKeyInput.value.trim();
+
+        if (!urlText.trim()) {
+            this.showMessage('Please enter URLs or upload a file.', 'error');
+            return;
+        }
+
+        this.callbacks.onStart(urlText, apiKey, { ...this.getSettings(), ...extraSettings });
+    }
+
+    /**
+     * Shows the lines of the URL list that can't be archived, with one-click fixes
+     * @param {Object} report - { entries, rejected, lineCount } from URLProcessor.parseTextWithReport
+     */
+    showParseReport(report) {
+        const container = this.elements.parseReport;
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        const notifyFix = (fixes) => {
+            if (typeof this.callbacks.onParseFix === 'function') {
+                this.callbacks.onParseFix(fixes);
+            }
+        };
+
+        const summary = document.createElement('p');
+        summary.className = 'parse-report-summary';
+        summary.textContent = `${report.rejected.length} of ${report.lineCount} lines can't be archived as they are:`;
+        container.appendChild(summary);
+
+        const table = document.createElement('table');
+        table.className = 'status-table';
+        table.innerHTML = '<thead><tr><th style="width: 50px;">Line</th><th>Text</th><th>Problem</th><th>Fix</th></tr></thead>';
+
+        const tbody = document.createElement('tbody');
+        for (const rejection of report.rejected) {
+            const row = document.createElement('tr');
+
+            for (const value of [String(rejection.line), rejection.text, rejection.message]) {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            }
+
+            const fixCell = document.createElement('td');
+            for (const fix of rejection.fixes) {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'fix-button';
+                button.textContent = fix.label;
+                button.title = fix.lines.join('\n');
+                button.addEventListener('click', () => notifyFix([{ line: rejection.line, lines: fix.lines }]));
+                fixCell.appendChild(button);
+            }
+            row.appendChild(fixCell);
 
-        this.elements.resultsDiv.appendChild(exportButton);
+            tbody.appendChild(row);
+        }
+        table.appendChild(tbody);
+        container.appendChild(table);
+
+        const actions = document.createElement('div');
+        actions.className = 'parse-report-actions';
+
+        // The first suggestion of each line is the most likely fix
+        const suggested = report.rejected
+            .filter(rejection => rejection.fixes.length)
+            .map(rejection => ({ line: rejection.line, lines: rejection.fixes[0].lines }));
+
+        if (suggested.length) {
+            const fixAllButton = document.createElement('button');
+            fixAllButton.type = 'button';
+            fixAllButton.textContent = `Apply ${suggested.length} suggested fix${suggested.length > 1 ? 'es' : ''}`;
+            fixAllButton.addEventListener('click', () => notifyFix(suggested));
+            actions.appendChild(fixAllButton);
+        }
+
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.textContent = 'Remove rejected lines';
+        removeButton.addEventListener('click', () => notifyFix(report.rejected.map(rejection => ({ line: rejection.line, lines: [] }))));
+        actions.appendChild(removeButton);
+
+        if (report.entries.length) {
+            const skipButton = document.createElement('button');
+            skipButton.type = 'button';
+            skipButton.textContent = `Archive the ${report.entries.length} valid lines only`;
+            skipButton.addEventListener('click', () => this.notifyStart({ skipRejected: true }));
+            actions.appendChild(skipButton);
+        }
+
+        container.appendChild(actions);
+        container.style.display = 'block';
+    }
+
+    /**
+     * Hides the parse report
+     */
+    hideParseReport() {
+        if (this.elements.parseReport) {
+            this.elements.parseReport.style.display = 'none';
+        }
+    }
+
+    /**
+     * Hides the export menu until there are results again
+     */
+    hideExportMenu() {
+        const exportMenu = document.getElementById('exportMenu');
+        if (exportMenu) {
+            exportMenu.style.display = 'none';
+        }
     }
 
     /**
@@ -2,21 +2,228 @@
  * URLProcessor module
  * Handles URL validation, normalization, and processing
  */
+
+// Per-URL option written after the URL on the same line, e.g. "capture_all=1"
+const OPTION_TOKEN = /^[a-z_]+=[^\s=]+$/i;
+
+// Why a line of the URL list was rejected (see diagnoseLine)
+const REJECT_REASONS = {
+    'missing-scheme': 'Missing http:// or https://',
+    'unsupported-scheme': 'Unsupported scheme (only http and https pages can be archived)',
+    'bad-host': 'Invalid host name',
+    'whitespace': 'Whitespace inside the URL',
+    'not-a-url': 'Not a URL'
+};
+
+// Schemes recognized without "//", so "mailto:x@y.z" isn't mistaken for a host name
+const OPAQUE_SCHEMES = /^(mailto|javascript|data|tel|sms|file|about|urn|news|magnet):/i;
+
+// A bare domain such as "example.com" or "www.example.com:8080/path"
+const BARE_DOMAIN = /^[a-z0-9](?:[a-z0-9-]*[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9-]*[a-z0-9])?)*\.[a-z]{2,}(?::\d+)?(?:[/?#]\S*)?$/i;
+
+// Filter rule types (see parseFilterRules); "ext" is accepted as a short form of "extension"
+const FILTER_RULE_TYPES = ['domain', 'glob', 'regex', 'extension'];
+
+// Link patterns used to find the links of a document (see findDocumentLinks)
+// A URL may contain balanced parentheses, as in Wikipedia links
+const URL_PATTERN = 'https?:\\/\\/(?:[^\\s()<>\\[\\]"\']|\\([^\\s()<>]*\\))+';
+// href values may be double-quoted, single-quoted or unquoted (which ends at whitespace or ">")
+const HTML_ANCHOR = /<a\b[^>]*?\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))[^>]*>/gi;
+const MARKDOWN_INLINE_LINK = new RegExp(`(?<!!)\\[[^\\]]*\\]\\(\\s*<?(${URL_PATTERN})>?(?:\\s+(?:"[^"]*"|'[^']*'))?\\s*\\)`, 'g');
+const MARKDOWN_REFERENCE = new RegExp(`^ {0,3}\\[[^\\]]+\\]:\\s*<?(${URL_PATTERN})>?`, 'gm');
+const MARKDOWN_AUTOLINK = new RegExp(`<(${URL_PATTERN})>`, 'g');
+const MARKDOWN_SKIPPED = /```[\s\S]*?```|~~~[\s\S]*?~~~|`[^`\n]*`|!\[[^\]]*\]\([^)]*\)/g;
+const BARE_URL = new RegExp(URL_PATTERN, 'g');
+
+// Canonicalization rules applied before archiving and when comparing URLs (see canonicalizeUrl)
+// Host case, default ports and IDN hosts (punycode) are always normalized by the URL parser
+const DEFAULT_CANONICAL_RULES = {
+    stripTracking: true, // Remove the query parameters listed in trackingParams
+    trackingParams: ['utm_*', 'fbclid', 'gclid', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'mc_cid', 'mc_eid', 'igshid', 'yclid', '_hsenc', '_hsmi'],
+    sortQuery: true, // Sort query parameters by name
+    dropFragment: true, // Fragments never reach the server, so the archive ignores them
+    scheme: 'keep', // "keep", or "https"/"http" to unify both schemes
+    trailingSlash: 'keep', // "keep", "remove" or "add" (only for paths whose last segment has no extension)
+    stripWww: false // Treat www.example.com and example.com as the same host
+};
+
 export default class URLProcessor {
+    /**
+     * Constructor
+     * @param {Object} options - Processor options
+     * @param {Object} options.canonicalRules - Overrides for the default canonicalization rules
+     */
+    constructor(options = {}) {
+        this.setCanonicalRules(options.canonicalRules);
+    }
+
     /**
      * Parses a string with multiple URLs into an array of valid URLs
      * @param {string} urlText - String containing URLs (one per line)
      * @returns {Array} - Array of valid URLs
      */
     parseUrlsFromText(urlText) {
+        return this.parseEntriesFromText(urlText).map(entry => entry.url);
+    }
+
+    /**
+     * Parses URL lines that may carry per-URL capture options after the URL
+     * e.g. "https://example.com capture_all=1 js_behavior_timeout=10"
+     * @param {string} urlText - String containing URLs (one per line)
+     * @returns {Array} - Array of { url, captureOptions } for the valid lines
+     */
+    parseEntriesFromText(urlText) {
+        return this.parseTextWithReport(urlText).entries;
+    }
+
+    /**
+     * Parses URL lines and reports the lines that were rejected
+     * Blank lines and lines starting with "#" (comments) are skipped without being reported
+     * @param {string} urlText - String containing URLs (one per line)
+     * @returns {Object} - { entries, rejected, lineCount } where entries are { url, captureOptions, line } and
+     *                     rejected lines are { line, text, reason, message, fixes } (see diagnoseLine)
+     */
+    parseTextWithReport(urlText) {
+        const entries = [];
+        const rejected = [];
+        let lineCount = 0;
+
         if (!urlText || urlText.trim() === '') {
-            return [];
+            return { entries, rejected, lineCount };
         }
-        
-        return urlText
-            .split('\n')
-            .map(url => url.trim())
-            .filter(url => url && this.isValidUrl(url));
+
+        urlText.split('\n').forEach((line, index) => {
+            const trimmed = line.trim();
+            if (!trimmed || trimmed.startsWith('#')) return;
+
+            lineCount++;
+            const [url, ...tokens] = trimmed.split(/\s+/);
+
+            // Everything after the URL must be name=value options, otherwise the line is invalid
+            if (this.isValidUrl(url) && tokens.every(token => OPTION_TOKEN.test(token))) {
+                entries.push({
+                    url,
+                    captureOptions: tokens.length ? this.parseOptionTokens(tokens) : null,
+                    line: index + 1
+                });
+                return;
+            }
+
+            rejected.push({ line: index + 1, text: trimmed, ...this.diagnoseLine(trimmed) });
+        });
+
+        return { entries, rejected, lineCount };
+    }
+
+    /**
+     * Works out why a line isn't a valid URL line and how it could be fixed
+     * @param {string} line - Trimmed line that failed to parse
+     * @returns {Object} - { reason, message, fixes } where reason is a key of REJECT_REASONS and
+     *                     each fix is { label, lines } with the lines that would replace this one
+     */
+    diagnoseLine(line) {
+        const tokens = line.split(/\s+/);
+
+        if (tokens.length > 1) {
+            // Several URLs (or bare domains) on one line: offer one line per URL
+            const urls = tokens
+                .map(token => token.replace(/[,;]+$/, ''))
+                .map(token => (this.isValidUrl(token) ? token : this._withScheme(token)))
+                .filter(Boolean);
+
+            if (urls.length > 1 && urls.length === tokens.filter(token => token.replace(/[,;]+$/, '')).length) {
+                return this._rejection('whitespace', `Line contains ${urls.length} URLs`, [
+                    { label: `Split into ${urls.length} lines`, lines: urls }
+                ]);
+            }
+
+            // A URL with spaces in its path or query (e.g. copied from a document), or a mistyped option
+            if (/^https?:\/\//i.test(tokens[0])) {
+                const fixes = [];
+                const encoded = tokens.join('%20');
+                if (this.isValidUrl(encoded)) {
+                    fixes.push({ label: 'Replace spaces with %20', lines: [encoded] });
+                }
+
+                if (!this.isValidUrl(tokens[0])) {
+                    return this._rejection('whitespace', null, fixes);
+                }
+
+                const extra = tokens.slice(1).filter(token => !OPTION_TOKEN.test(token));
+                fixes.push({
+                    label: 'Keep only the URL',
+                    lines: [[tokens[0], ...tokens.slice(1).filter(token => OPTION_TOKEN.test(token))].join(' ')]
+                });
+
+                return this._rejection('whitespace', `Unexpected text after the URL: "${extra.join(' ')}" (options are written as name=value)`, fixes);
+            }
+        }
+
+        const candidate = tokens[0];
+        const scheme = candidate.match(/^([a-z][a-z0-9+.-]*):\/\//i) || candidate.match(OPAQUE_SCHEMES);
+
+        if (scheme && !/^https?$/i.test(scheme[1])) {
+            return this._rejection('unsupported-scheme', `Unsupported scheme "${scheme[1].toLowerCase()}:" (only http and https pages can be archived)`, []);
+        }
+
+        if (scheme) {
+            return this._rejection('bad-host', null, []);
+        }
+
+        const fixed = this._withScheme(candidate);
+        if (fixed) {
+            const rest = tokens.slice(1).join(' ');
+            return this._rejection('missing-scheme', null, [
+                { label: `Prepend ${fixed.slice(0, fixed.indexOf('//') + 2)}`, lines: [rest ? `${fixed} ${rest}` : fixed] }
+            ]);
+        }
+
+        return this._rejection('not-a-url', null, []);
+    }
+
+    /**
+     * Replaces rejected lines with the lines of their fixes
+     * @param {string} urlText - The URL list the report was made for
+     * @param {Array} fixes - Array of { line, lines } (1-based line numbers from parseTextWithReport)
+     * @returns {string} - The fixed URL list
+     */
+    applyLineFixes(urlText, fixes) {
+        const lines = urlText.split('\n');
+
+        // Apply from the bottom up so the line numbers of earlier fixes stay valid
+        const ordered = [...fixes].sort((a, b) => b.line - a.line);
+        for (const fix of ordered) {
+            lines.splice(fix.line - 1, 1, ...fix.lines);
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Converts "name=value" tokens into an options object
+     * Values 1/true/yes/on and 0/false/no/off become booleans, numbers become numbers
+     * @param {Array} tokens - Tokens such as ["capture_all=1", "js_behavior_timeout=10"]
+     * @returns {Object} - Options object
+     */
+    parseOptionTokens(tokens) {
+        const options = {};
+
+        for (const token of tokens) {
+            const [name, rawValue] = token.split('=');
+            const value = rawValue.toLowerCase();
+
+            if (['1', 'true', 'yes', 'on'].includes(value)) {
+                options[name] = true;
+            } else if (['0', 'false', 'no', 'off'].includes(value)) {
+                options[name] = false;
+            } else if (!isNaN(Number(value))) {
+                options[name] = Number(value);
+            } else {
+                options[name] = rawValue;
+            }
+        }
+
+        return options;
     }
     
     /**
@@ -30,6 +237,75 @@ export default class URLProcessor {
         return extractedUrls.filter(url => this.isValidUrl(url));
     }
     
+    /**
+     * Finds the links of a document together with their positions, so the document can be rewritten
+     * without touching its formatting. Markdown images and links inside code spans and blocks are left out.
+     * @param {string} text - Document content
+     * @param {string} type - "html", "markdown" or "text"
+     * @returns {Array} - Array of { url, kind, start, end, insertAt, attributeAt } sorted by position:
+     *                    start/end is the URL as written, insertAt is where an "archived" link can follow
+     *                    the original link, attributeAt (HTML only) is where attributes can be added to <a>
+     */
+    findDocumentLinks(text, type) {
+        const links = [];
+        const taken = [];
+
+        const isTaken = (start, end) => taken.some(([from, to]) => start < to && end > from);
+        const addLink = (link) => {
+            if (!this.isValidUrl(link.url) || isTaken(link.start, link.end)) return;
+            taken.push([link.start, link.end]);
+            links.push(link);
+        };
+
+        if (type === 'html') {
+            for (const match of text.matchAll(HTML_ANCHOR)) {
+                const rawUrl = [match[1], match[2], match[3]].find(value => value !== undefined);
+                const start = match.index + match[0].indexOf(rawUrl, match[0].search(/href/i));
+                const closing = text.toLowerCase().indexOf('</a>', match.index + match[0].length);
+
+                addLink({
+                    url: rawUrl.trim().replace(/&amp;/g, '&'),
+                    kind: 'html',
+                    start,
+                    end: start + rawUrl.length,
+                    insertAt: closing === -1 ? match.index + match[0].length : closing + 4,
+                    attributeAt: match.index + 2
+                });
+            }
+
+            return links.sort((a, b) => a.start - b.start);
+        }
+
+        if (type === 'markdown') {
+            // Code is shown as written and images aren't links, so neither must change
+            for (const match of text.matchAll(MARKDOWN_SKIPPED)) {
+                taken.push([match.index, match.index + match[0].length]);
+            }
+
+            const addMatches = (pattern, kind) => {
+                for (const match of text.matchAll(pattern)) {
+                    if (isTaken(match.index, match.index + match[0].length)) continue;
+
+                    const start = match.index + match[0].indexOf(match[1]);
+                    addLink({ url: match[1], kind, start, end: start + match[1].length, insertAt: match.index + match[0].length });
+                    taken.push([match.index, match.index + match[0].length]);
+                }
+            };
+
+            addMatches(MARKDOWN_INLINE_LINK, 'markdown-link');
+            addMatches(MARKDOWN_REFERENCE, 'markdown-reference');
+            addMatches(MARKDOWN_AUTOLINK, 'markdown-autolink');
+        }
+
+        // Bare URLs in text and Markdown; trailing punctuation belongs to the sentence, not the URL
+        for (const match of text.matchAll(BARE_URL)) {
+            const url = match[0].replace(/[.,;:!?'"*_]+$/, '');
+            addLink({ url, kind: 'bare', start: match.index, end: match.index + url.length, insertAt: match.index + url.length });
+        }
+
+        return links.sort((a, b) => a.start - b.start);
+    }
+
     /**
      * Validates if a string is a proper URL
      * @param {string} url - URL to validate
@@ -51,27 +327,148 @@ export default class URLProcessor {
     }
     
     /**
-     * Sanitizes a URL (removes trailing slashes, etc.)
-     * @param {string} url - URL to sanitize
-     * @returns {string} - Sanitized URL
+     * Builds a rejection for diagnoseLine
+     * @param {string} reason - Key of REJECT_REASONS
+     * @param {string|null} message - Specific message (defaults to the description of the reason)
+     * @param {Array} fixes - Suggested fixes
+     * @returns {Object} - { reason, message, fixes }
+     * @private
      */
-    sanitizeUrl(url) {
-        try {
-            // Parse URL
-            const urlObj = new URL(url);
-            
-            // Remove trailing slash from pathname if present
-            if (urlObj.pathname.length > 1 && urlObj.pathname.endsWith('/')) {
-                urlObj.pathname = urlObj.pathname.slice(0, -1);
+    _rejection(reason, message, fixes) {
+        return { reason, message: message || REJECT_REASONS[reason], fixes };
+    }
+
+    /**
+     * Adds https:// (or // for protocol-relative URLs) to a bare domain
+     * @param {string} text - Text without a scheme, e.g. "example.com/page" or "//example.com"
+     * @returns {string|null} - The URL with a scheme, or null if the text isn't a bare domain
+     * @private
+     */
+    _withScheme(text) {
+        let url = null;
+        if (text.startsWith('//')) {
+            url = `https:${text}`;
+        } else if (BARE_DOMAIN.test(text)) {
+            url = `https://${text}`;
+        }
+
+        return url && this.isValidUrl(url) ? url : null;
+    }
+
+    /**
+     * Parses include/exclude filter rules, one per line: "<include|exclude> <type> <pattern>"
+     * e.g. "exclude domain facebook.com", "exclude glob *login*", "exclude extension zip,pdf",
+     * "exclude regex [?&](q|search)=" or "include domain example.com". Blank lines and "#" comments are skipped.
+     * @param {string} text - Rule text
+     * @returns {Object} - { rules, errors } where errors are { line, text, message }
+     */
+    parseFilterRules(text) {
+        const rules = [];
+        const errors = [];
+
+        String(text || '').split('\n').forEach((rawLine, index) => {
+            const line = rawLine.trim();
+            if (!line || line.startsWith('#')) return;
+
+            const match = line.match(/^(\S+)\s+(\S+)\s+(.+)$/);
+            const action = match ? match[1].toLowerCase() : '';
+            const type = match ? match[2].toLowerCase().replace(/^ext$/, 'extension') : '';
+
+            if (!match || !['include', 'exclude'].includes(action)) {
+                errors.push({ line: index + 1, text: line, message: 'Expected "include" or "exclude", a rule type and a pattern' });
+                return;
             }
-            
-            return urlObj.toString();
+
+            if (!FILTER_RULE_TYPES.includes(type)) {
+                errors.push({ line: index + 1, text: line, message: `Unknown rule type "${match[2]}" (use ${FILTER_RULE_TYPES.join(', ')})` });
+                return;
+            }
+
+            try {
+                rules.push({ action, type, pattern: match[3].trim(), line: index + 1, ...this._compileFilterRule(type, match[3].trim()) });
+            } catch (error) {
+                errors.push({ line: index + 1, text: line, message: error.message });
+            }
+        });
+
+        return { rules, errors };
+    }
+
+    /**
+     * Checks whether a URL matches a filter rule
+     * @param {string} url - URL to check
+     * @param {Object} rule - Rule from parseFilterRules
+     * @returns {boolean} - Whether the rule matches
+     */
+    matchesFilterRule(url, rule) {
+        let urlObj;
+        try {
+            urlObj = new URL(url);
         } catch (e) {
-            // If URL parsing fails, return original
-            return url;
+            urlObj = null;
+        }
+
+        switch (rule.type) {
+            case 'domain': {
+                // A domain rule also covers its subdomains
+                const host = urlObj ? urlObj.hostname : '';
+                return host === rule.domain || host.endsWith(`.${rule.domain}`);
+            }
+            case 'extension': {
+                const lastSegment = urlObj ? urlObj.pathname.split('/').pop().toLowerCase() : '';
+                const dot = lastSegment.lastIndexOf('.');
+                return dot !== -1 && rule.extensions.includes(lastSegment.slice(dot + 1));
+            }
+            case 'glob':
+            case 'regex':
+            default:
+                return rule.matcher.test(url);
         }
     }
-    
+
+    /**
+     * Applies include/exclude rules to a list of URLs
+     * With include rules, a URL must match at least one of them; any matching exclude rule then removes it
+     * @param {Array} urls - URLs to filter
+     * @param {Array} rules - Rules from parseFilterRules
+     * @returns {Object} - { urls, removed, ruleCounts, notIncluded } where removed is [{ url, rule }]
+     *                     (rule is null for URLs no include rule matched) and ruleCounts is [{ rule, count }]:
+     *                     the URLs each include rule matches, or the URLs each exclude rule removes
+     *                     (a URL removed by two exclude rules counts for both)
+     */
+    filterUrls(urls, rules) {
+        const includes = rules.filter(rule => rule.action === 'include');
+        const counts = new Map(rules.map(rule => [rule, 0]));
+        const kept = [];
+        const removed = [];
+
+        for (const url of urls) {
+            const matchingIncludes = includes.filter(rule => this.matchesFilterRule(url, rule));
+            matchingIncludes.forEach(rule => counts.set(rule, counts.get(rule) + 1));
+
+            if (includes.length && !matchingIncludes.length) {
+                removed.push({ url, rule: null });
+                continue;
+            }
+
+            const matchingExcludes = rules.filter(rule => rule.action === 'exclude' && this.matchesFilterRule(url, rule));
+            matchingExcludes.forEach(rule => counts.set(rule, counts.get(rule) + 1));
+
+            if (matchingExcludes.length) {
+                removed.push({ url, rule: matchingExcludes[0] });
+            } else {
+                kept.push(url);
+            }
+        }
+
+        return {
+            urls: kept,
+            removed,
+            ruleCounts: rules.map(rule => ({ rule, count: counts.get(rule) })),
+            notIncluded: removed.filter(item => !item.rule).length
+        };
+    }
+
     /**
      * Checks for duplicate URLs in an array
      * @param {Array} urls - Array of URLs to check
@@ -105,25 +502,191 @@ export default class URLProcessor {
     }
     
     /**
-     * Normalizes a URL for comparison (lowercase, remove www., etc.)
+     * Normalizes a URL for comparison (canonical form without www.)
      * @param {string} url - URL to normalize
      * @returns {string} - Normalized URL for comparison
      */
     normalizeUrlForComparison(url) {
         try {
-            const urlObj = new URL(url);
-            
-            // Remove 'www.' from hostname if present
-            let hostname = urlObj.hostname.toLowerCase();
-            if (hostname.startsWith('www.')) {
-                hostname = hostname.substring(4);
-            }
-            
-            // Build a normalized URL for comparison
-            return `${urlObj.protocol}//${hostname}${urlObj.pathname}${urlObj.search}`;
+            new URL(url);
         } catch (e) {
             // If URL parsing fails, just lowercase the URL
             return url.toLowerCase();
         }
+
+        return this.canonicalizeUrl(url, { ...this.canonicalRules, dropFragment: true, stripWww: true });
+    }
+
+    /**
+     * Replaces the canonicalization rules
+     * @param {Object} rules - Rules to change (missing ones keep their defaults, see DEFAULT_CANONICAL_RULES)
+     */
+    setCanonicalRules(rules = {}) {
+        const merged = { ...DEFAULT_CANONICAL_RULES, ...(rules || {}) };
+
+        // Parameter names are matched case-insensitively
+        merged.trackingParams = (merged.trackingParams || [])
+            .map(name => String(name).trim().toLowerCase())
+            .filter(Boolean);
+
+        this.canonicalRules = merged;
+    }
+
+    /**
+     * Gets the current canonicalization rules
+     * @returns {Object} - Copy of the rules
+     */
+    getCanonicalRules() {
+        return { ...this.canonicalRules, trackingParams: [...this.canonicalRules.trackingParams] };
+    }
+
+    /**
+     * Rewrites a URL into its canonical form
+     * The query string is edited as raw "name=value" pairs so the encoding of the kept parameters is unchanged
+     * @param {string} url - URL to canonicalize
+     * @param {Object} rules - Rules to apply (defaults to the current rules)
+     * @returns {string} - Canonical URL, or the URL unchanged if it can't be parsed
+     */
+    canonicalizeUrl(url, rules = this.canonicalRules) {
+        let urlObj;
+        try {
+            // Parsing lowercases the host, converts IDN hosts to punycode and drops default ports
+            urlObj = new URL(url);
+        } catch (e) {
+            return url;
+        }
+
+        if (!['http:', 'https:'].includes(urlObj.protocol)) {
+            return urlObj.toString();
+        }
+
+        if (rules.scheme === 'https' || rules.scheme === 'http') {
+            urlObj.protocol = `${rules.scheme}:`;
+        }
+
+        if (rules.stripWww && urlObj.hostname.startsWith('www.')) {
+            urlObj.hostname = urlObj.hostname.substring(4);
+        }
+
+        if (rules.trailingSlash === 'remove' && urlObj.pathname.length > 1 && urlObj.pathname.endsWith('/')) {
+            urlObj.pathname = urlObj.pathname.replace(/\/+$/, '') || '/';
+        } else if (rules.trailingSlash === 'add' && !urlObj.pathname.endsWith('/')) {
+            // Leave file-like paths such as /report.pdf alone
+            const lastSegment = urlObj.pathname.split('/').pop();
+            if (!lastSegment.includes('.')) urlObj.pathname += '/';
+        }
+
+        let params = urlObj.search.slice(1).split('&').filter(Boolean);
+
+        if (rules.stripTracking) {
+            params = params.filter(param => !this._isTrackingParam(this._paramName(param), rules.trackingParams));
+        }
+
+        if (rules.sortQuery) {
+            // Sort by name only, so repeated parameters keep their relative order
+            params = params
+                .map((param, index) => ({ param, index, name: this._paramName(param) }))
+                .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : a.index - b.index))
+                .map(item => item.param);
+        }
+
+        urlObj.search = params.length ? `?${params.join('&')}` : '';
+
+        if (rules.dropFragment) {
+            urlObj.hash = '';
+        }
+
+        return urlObj.toString();
+    }
+
+    /**
+     * Canonicalizes a list of URLs for the preview shown before archiving
+     * @param {Array} urls - URLs as entered
+     * @returns {Array} - Array of { url, canonical, changed }
+     */
+    previewCanonicalization(urls) {
+        return urls.map(url => {
+            const canonical = this.canonicalizeUrl(url);
+            return { url, canonical, changed: canonical !== url };
+        });
+    }
+
+    /**
+     * Gets the decoded, lowercased name of a raw query parameter
+     * @param {string} param - Raw "name=value" pair
+     * @returns {string} - Parameter name
+     * @private
+     */
+    _paramName(param) {
+        const name = param.split('=')[0].replace(/\+/g, ' ');
+
+        try {
+            return decodeURIComponent(name).toLowerCase();
+        } catch (e) {
+            return name.toLowerCase();
+        }
+    }
+
+    /**
+     * Checks a parameter name against the tracking parameter list
+     * @param {string} name - Lowercased parameter name
+     * @param {Array} patterns - Names to strip; a trailing "*" matches any suffix (e.g. "utm_*")
+     * @returns {boolean} - Whether the parameter is a tracking parameter
+     * @private
+     */
+    _isTrackingParam(name, patterns = []) {
+        return patterns.some(pattern => (pattern.endsWith('*')
+            ? name.startsWith(pattern.slice(0, -1))
+            : name === pattern));
+    }
+
+    /**
+     * Prepares the matching data of a filter rule
+     * @param {string} type - Rule type
+     * @param {string} pattern - Rule pattern
+     * @returns {Object} - { domain }, { extensions } or { matcher } depending on the type
+     * @private
+     */
+    _compileFilterRule(type, pattern) {
+        switch (type) {
+            case 'domain': {
+                // Accept "example.com", "*.example.com" or a full URL; IDN domains are compared as punycode
+                const name = pattern.replace(/^\*?\./, '');
+                try {
+                    const host = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(name) ? name : `http://${name}`).hostname;
+                    return { domain: host.replace(/\.$/, '') };
+                } catch (error) {
+                    throw new Error(`Invalid domain "${pattern}"`);
+                }
+            }
+            case 'extension':
+                return {
+                    extensions: pattern.split(/[\s,]+/)
+                        .map(extension => extension.replace(/^\*?\./, '').toLowerCase())
+                        .filter(Boolean)
+                };
+            case 'glob':
+                return { matcher: this._globToRegExp(pattern) };
+            case 'regex':
+            default:
+                // An invalid pattern throws a SyntaxError that names the problem
+                return { matcher: new RegExp(pattern, 'i') };
+        }
+    }
+
+    /**
+     * Converts a glob to a regular expression matching the whole URL
+     * "*" matches any run of characters, "?" matches one character
+     * @param {string} glob - Glob pattern, e.g. "*login*" or "https://example.com/tag/*"
+     * @returns {RegExp} - Case-insensitive regular expression
+     * @private
+     */
+    _globToRegExp(glob) {
+        const source = glob
+            .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+            .replace(/\*/g, '.*')
+            .replace(/\?/g, '.');
+
+        return new RegExp(`^${source}$`, 'i');
     }
 }
@@ -0,0 +1,192 @@
+/**
+ * WatchListStore module
+ * Saves watch lists (URLs re-archived on a cadence) and their run history.
+ * Uses localStorage in the browser; the command line passes a file-backed storage with the same interface.
+ */
+import WatchSchedule from './watchSchedule.js';
+import FreshnessPolicy from './freshnessPolicy.js';
+
+// localStorage key holding all watch lists as JSON
+const STORAGE_KEY = 'wayback-archiver:watch-lists';
+
+// Runs kept per watch list, newest first
+const MAX_HISTORY = 30;
+
+export default class WatchListStore {
+    /**
+     * Constructor
+     * @param {Object} options - Store options
+     * @param {Storage} options.storage - Storage implementation (defaults to localStorage)
+     * @param {string} options.key - Storage key
+     */
+    constructor(options = {}) {
+        this.storage = options.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.key = options.key || STORAGE_KEY;
+    }
+
+    /**
+     * Checks whether watch lists can be saved in this environment
+     * @returns {boolean} - Whether a storage is available
+     */
+    isAvailable() {
+        return Boolean(this.storage);
+    }
+
+    /**
+     * Lists the saved watch lists
+     * @returns {Array} - Watch lists sorted by name
+     */
+    list() {
+        return Object.values(this._read()).sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Gets a saved watch list
+     * @param {string} name - Watch list name
+     * @returns {Object|null} - The watch list, or null if there is no such list
+     */
+    get(name) {
+        return this._read()[name] || null;
+    }
+
+    /**
+     * Saves a watch list, replacing the URLs and settings of a list with the same name
+     * The run history of a replaced list is kept
+     * @param {Object} watchList - Watch list to save
+     * @param {string} watchList.name - Name
+     * @param {Array} watchList.urls - URLs to archive on every run
+     * @param {string} watchList.cadence - "hourly", "daily", "weekly" or a cron expression
+     * @param {string} watchList.freshness - Freshness rule; empty to skip URLs captured inside the cadence window
+     * @param {number} watchList.concurrency - URLs processed at the same time (1-8)
+     * @param {boolean} watchList.detectChanges - Compare each capture with the previous one by CDX digest
+     * @param {string} watchList.skipUnchanged - Don't save URLs whose captures show no change for this long (e.g. "30d")
+     * @param {Object} watchList.captureOptions - SPN2 capture options for all URLs
+     * @param {Object} watchList.urlCaptureOptions - Capture options by URL
+     * @returns {Object} - The saved watch list
+     * @throws {Error} - If the name, URLs, cadence, freshness rule or unchanged period are invalid
+     */
+    save(watchList) {
+        const name = String(watchList.name || '').trim();
+        if (!name) {
+            throw new Error('A watch list needs a name');
+        }
+        if (!watchList.urls || !watchList.urls.length) {
+            throw new Error('A watch list needs at least one URL');
+        }
+
+        const schedule = WatchSchedule.parse(watchList.cadence);
+        const freshness = String(watchList.freshness || '').trim();
+        if (freshness) {
+            FreshnessPolicy.parse(freshness);
+        }
+
+        const skipUnchanged = String(watchList.skipUnchanged || '').trim().toLowerCase();
+        if (skipUnchanged && FreshnessPolicy.parseAge(skipUnchanged) === null) {
+            throw new Error(`Invalid unchanged period "${watchList.skipUnchanged}". Use an age like 30d or 12h.`);
+        }
+
+        const lists = this._read();
+        const existing = lists[name];
+        const now = Date.now();
+
+        const nextRunAt = schedule.nextRun(existing ? existing.lastRunAt : null, now);
+        if (!nextRunAt) {
+            throw new Error(`The cadence "${watchList.cadence}" never matches a date`);
+        }
+
+        lists[name] = {
+            name,
+            urls: [...watchList.urls],
+            cadence: schedule.toString(),
+            freshness,
+            concurrency: watchList.concurrency || 1,
+            detectChanges: Boolean(watchList.detectChanges || skipUnchanged),
+            skipUnchanged,
+            captureOptions: watchList.captureOptions || {},
+            urlCaptureOptions: watchList.urlCaptureOptions || {},
+            enabled: existing ? existing.enabled : true,
+            createdAt: existing ? existing.createdAt : now,
+            updatedAt: now,
+            lastRunAt: existing ? existing.lastRunAt : null,
+            nextRunAt,
+            history: existing ? existing.history : []
+        };
+        this._write(lists);
+
+        return lists[name];
+    }
+
+    /**
+     * Updates fields of a watch list without validating them again
+     * @param {string} name - Watch list name
+     * @param {Object} changes - Fields to change (e.g. enabled, nextRunAt)
+     * @returns {Object|null} - The updated watch list, or null if there is no such list
+     */
+    update(name, changes) {
+        const lists = this._read();
+        if (!lists[name]) return null;
+
+        lists[name] = { ...lists[name], ...changes, updatedAt: Date.now() };
+        this._write(lists);
+
+        return lists[name];
+    }
+
+    /**
+     * Adds a finished run to the history of a watch list
+     * @param {string} name - Watch list name
+     * @param {Object} run - { startedAt, finishedAt, freshness, summary, results }
+     * @returns {Object|null} - The updated watch list, or null if the list was deleted meanwhile
+     */
+    addRun(name, run) {
+        const lists = this._read();
+        const watchList = lists[name];
+        if (!watchList) return null;
+
+        watchList.history = [run, ...watchList.history].slice(0, MAX_HISTORY);
+        watchList.updatedAt = Date.now();
+        this._write(lists);
+
+        return watchList;
+    }
+
+    /**
+     * Deletes a watch list and its history
+     * @param {string} name - Watch list name
+     */
+    delete(name) {
+        const lists = this._read();
+        delete lists[name];
+        this._write(lists);
+    }
+
+    /**
+     * Reads all watch lists from storage
+     * @returns {Object} - Watch lists keyed by name (empty if storage is missing or unreadable)
+     * @private
+     */
+    _read() {
+        if (!this.storage) return {};
+
+        try {
+            const lists = JSON.parse(this.storage.getItem(this.key) || '{}');
+            return lists && typeof lists === 'object' ? lists : {};
+        } catch (error) {
+            console.warn('Ignoring unreadable watch lists:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Writes all watch lists to storage
+     * @param {Object} lists - Watch lists keyed by name
+     * @private
+     */
+    _write(lists) {
+        if (!this.storage) {
+            throw new Error('Watch lists can\'t be saved in this browser');
+        }
+
+        this.storage.setItem(this.key, JSON.stringify(lists));
+    }
+}
@@ -0,0 +1,262 @@
+/**
+ * WatchSchedule module
+ * Parses the cadence of a watch list ("hourly", "daily", "weekly" or a 5-field cron expression)
+ * and computes when the list runs next
+ */
+
+// Fixed cadences, repeated from the last run
+const INTERVALS = {
+    hourly: 60 * 60 * 1000,
+    daily: 24 * 60 * 60 * 1000,
+    weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+// Cron fields in order: name, lowest and highest value, and names accepted instead of numbers
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+    { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+// Cron searches give up after this many years without a match (e.g. "0 0 31 2 *")
+const MAX_SEARCH_YEARS = 5;
+
+// Share of the cadence window in which an existing capture counts as current.
+// The rest absorbs the duration of the previous run, whose captures would otherwise fall inside the window.
+const WINDOW_SHARE = 0.9;
+
+export default class WatchSchedule {
+    /**
+     * Constructor
+     * @param {Object} options - Schedule options
+     * @param {string} options.text - The cadence as entered
+     * @param {number} options.interval - Interval in ms for hourly, daily and weekly cadences
+     * @param {Array} options.cron - Allowed values per cron field (Sets), for cron cadences
+     * @param {boolean} options.anyDayOfMonth - Whether the day-of-month field is "*"
+     * @param {boolean} options.anyDayOfWeek - Whether the day-of-week field is "*"
+     */
+    constructor(options = {}) {
+        this.text = options.text || 'daily';
+        this.interval = options.interval || null;
+        this.cron = options.cron || null;
+        this.anyDayOfMonth = options.anyDayOfMonth !== false;
+        this.anyDayOfWeek = options.anyDayOfWeek !== false;
+    }
+
+    /**
+     * Creates a schedule from its text form
+     * @param {string} text - "hourly", "daily", "weekly" or a cron expression such as "0 9 * * 1-5"
+     * @returns {WatchSchedule} - The parsed schedule
+     * @throws {Error} - If the cadence is invalid
+     */
+    static parse(text) {
+        const value = String(text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+        if (INTERVALS[value]) {
+            return new WatchSchedule({ text: value, interval: INTERVALS[value] });
+        }
+
+        const fields = value.split(' ');
+        if (fields.length !== 5) {
+            throw new Error(`Invalid cadence "${text}". Use hourly, daily, weekly or a cron expression like "0 9 * * 1-5".`);
+        }
+
+        const cron = fields.map((field, index) => WatchSchedule._parseCronField(field, CRON_FIELDS[index]));
+
+        // Sunday may be written as 0 or 7
+        if (cron[4].has(7)) {
+            cron[4].delete(7);
+            cron[4].add(0);
+        }
+
+        return new WatchSchedule({
+            text: value,
+            cron,
+            anyDayOfMonth: fields[2] === '*',
+            anyDayOfWeek: fields[4] === '*'
+        });
+    }
+
+    /**
+     * Parses one cron field: "*", numbers, names, ranges ("1-5"), lists ("1,15") and steps ("9-17/2", or "/15" after "*")
+     * @param {string} field - Field text
+     * @param {Object} definition - Entry of CRON_FIELDS
+     * @returns {Set} - Allowed values
+     * @throws {Error} - If the field is invalid
+     * @private
+     */
+    static _parseCronField(field, definition) {
+        const values = new Set();
+
+        const toNumber = (token) => {
+            const nameIndex = definition.names ? definition.names.indexOf(token) : -1;
+            const number = nameIndex >= 0 ? nameIndex + (definition.name === 'month' ? 1 : 0) : Number(token);
+
+            if (!/^\w+$/.test(token) || !Number.isInteger(number) || number < definition.min || number > definition.max) {
+                throw new Error(`Invalid ${definition.name} "${token}" in cadence (use ${definition.min}-${definition.max})`);
+            }
+            return number;
+        };
+
+        for (const part of field.split(',')) {
+            const [range, stepText] = part.split('/');
+            const step = stepText === undefined ? 1 : Number(stepText);
+
+            if (!Number.isInteger(step) || step < 1) {
+                throw new Error(`Invalid step "${stepText}" in the ${definition.name} field of the cadence`);
+            }
+
+            let start;
+            let end;
+            if (range === '*') {
+                start = definition.min;
+                end = definition.max;
+            } else if (range.includes('-')) {
+                [start, end] = range.split('-').map(toNumber);
+            } else {
+                start = toNumber(range);
+                end = stepText === undefined ? start : definition.max;
+            }
+
+            if (start > end) {
+                throw new Error(`Invalid range "${range}" in the ${definition.name} field of the cadence`);
+            }
+
+            for (let value = start; value <= end; value += step) {
+                values.add(value);
+            }
+        }
+
+        return values;
+    }
+
+    /**
+     * Computes when a watch list runs next
+     * Fixed cadences repeat from the last run (a new list runs right away); cron cadences follow the clock
+     * @param {number|null} lastRunAt - Start of the last run in ms, or null if the list never ran
+     * @param {number} now - Current time in ms (for testing)
+     * @returns {number|null} - Time of the next run in ms, or null if a cron expression never matches
+     */
+    nextRun(lastRunAt = null, now = Date.now()) {
+        if (this.interval) {
+            return lastRunAt ? lastRunAt + this.interval : now;
+        }
+
+        return this._nextCronMatch(Math.max(lastRunAt || 0, now));
+    }
+
+    /**
+     * Gets the cadence window: the time between a run and the next one
+     * @param {number} at - Time of the run in ms
+     * @returns {number} - Window length in ms
+     */
+    getWindow(at = Date.now()) {
+        if (this.interval) return this.interval;
+
+        const next = this._nextCronMatch(at);
+        return next ? next - at : INTERVALS.daily;
+    }
+
+    /**
+     * Gets the freshness rule that skips URLs captured inside the cadence window
+     * @param {number} at - Time of the run in ms
+     * @returns {string} - Max-age rule in the text form of FreshnessPolicy.parse, e.g. "22h"
+     */
+    toFreshnessRule(at = Date.now()) {
+        const minutes = Math.max(1, Math.floor(this.getWindow(at) * WINDOW_SHARE / 60000));
+
+        if (minutes % (24 * 60) === 0) return `${minutes / (24 * 60)}d`;
+        if (minutes % 60 === 0) return `${minutes / 60}h`;
+        return `${minutes}m`;
+    }
+
+    /**
+     * Describes the schedule for display
+     * @returns {string} - Human-readable description
+     */
+    describe() {
+        switch (this.text) {
+            case 'hourly':
+                return 'Every hour';
+            case 'daily':
+                return 'Every day';
+            case 'weekly':
+                return 'Every week';
+            default:
+                return `Cron: ${this.text}`;
+        }
+    }
+
+    /**
+     * Gets the text form of the schedule (the inverse of parse)
+     * @returns {string} - e.g. "daily" or "0 9 * * 1-5"
+     */
+    toString() {
+        return this.text;
+    }
+
+    /**
+     * Finds the first minute after a time that matches the cron expression (in local time)
+     * @param {number} after - Time in ms
+     * @returns {number|null} - Matching time in ms, or null if there is none within MAX_SEARCH_YEARS
+     * @private
+     */
+    _nextCronMatch(after) {
+        const [minutes, hours, daysOfMonth, months, daysOfWeek] = this.cron;
+
+        const date = new Date(after);
+        date.setSeconds(0, 0);
+        date.setMinutes(date.getMinutes() + 1);
+
+        const limit = new Date(date).setFullYear(date.getFullYear() + MAX_SEARCH_YEARS);
+
+        while (date.getTime() <= limit) {
+            if (!months.has(date.getMonth() + 1)) {
+                date.setMonth(date.getMonth() + 1, 1);
+                date.setHours(0, 0);
+                continue;
+            }
+
+            if (!this._matchesDay(date, daysOfMonth, daysOfWeek)) {
+                date.setDate(date.getDate() + 1);
+                date.setHours(0, 0);
+                continue;
+            }
+
+            if (!hours.has(date.getHours())) {
+                date.setHours(date.getHours() + 1, 0);
+                continue;
+            }
+
+            if (!minutes.has(date.getMinutes())) {
+                date.setMinutes(date.getMinutes() + 1);
+                continue;
+            }
+
+            return date.getTime();
+        }
+
+        return null;
+    }
+
+    /**
+     * Checks the day fields; like cron, a day matches either field when both are restricted
+     * @param {Date} date - Day to check
+     * @param {Set} daysOfMonth - Allowed days of the month
+     * @param {Set} daysOfWeek - Allowed days of the week
+     * @returns {boolean} - Whether the day matches
+     * @private
+     */
+    _matchesDay(date, daysOfMonth, daysOfWeek) {
+        const dayOfMonth = daysOfMonth.has(date.getDate());
+        const dayOfWeek = daysOfWeek.has(date.getDay());
+
+        if (this.anyDayOfMonth || this.anyDayOfWeek) {
+            return dayOfMonth && dayOfWeek;
+        }
+
+        return dayOfMonth || dayOfWeek;
+    }
+}
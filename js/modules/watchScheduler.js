@@ -0,0 +1,228 @@
+/**
+ * WatchScheduler module
+ * Runs saved watch lists when their cadence says so. It has no DOM dependencies,
+ * so it runs both in the open page and in the command-line daemon.
+ */
+import StatusTracker from './statusTracker.js';
+import ArchiveWorkflow from './archiveWorkflow.js';
+import WatchSchedule from './watchSchedule.js';
+
+// How often due watch lists are looked for
+const CHECK_INTERVAL = 60 * 1000;
+
+export default class WatchScheduler {
+    /**
+     * Constructor
+     * @param {Object} options - Scheduler options
+     * @param {WatchListStore} options.store - Saved watch lists
+     * @param {WaybackAPI} options.waybackAPI - Client used for lookups and save requests
+     * @param {FileHandler} options.fileHandler - Used to format capture options in details
+     * @param {number} options.checkInterval - Time between checks for due lists in ms
+     */
+    constructor(options = {}) {
+        this.store = options.store;
+        this.waybackAPI = options.waybackAPI;
+        this.fileHandler = options.fileHandler;
+        this.checkInterval = options.checkInterval || CHECK_INTERVAL;
+
+        this.timer = null;
+        this.checking = false;
+        this.stopping = false;
+
+        // Name and tracker of the watch list that is running right now (null when idle)
+        this.activeList = null;
+        this.activeTracker = null;
+
+        this.callbacks = {
+            onRunStart: null,
+            onRunComplete: null,
+            onResult: null
+        };
+    }
+
+    /**
+     * Sets a callback for when a watch list starts running
+     * @param {Function} callback - Function taking the watch list
+     */
+    setRunStartCallback(callback) {
+        this.callbacks.onRunStart = callback;
+    }
+
+    /**
+     * Sets a callback for when a watch list run is finished
+     * @param {Function} callback - Function taking the updated watch list and the run
+     */
+    setRunCompleteCallback(callback) {
+        this.callbacks.onRunComplete = callback;
+    }
+
+    /**
+     * Sets a callback for each URL result of a watch list run
+     * @param {Function} callback - Function taking the watch list name and the result
+     */
+    setResultCallback(callback) {
+        this.callbacks.onResult = callback;
+    }
+
+    /**
+     * Starts checking for due watch lists (right away, then every checkInterval)
+     */
+    start() {
+        if (this.timer) return;
+
+        this.stopping = false;
+        this.timer = setInterval(() => this.runDueLists(), this.checkInterval);
+        this.runDueLists();
+    }
+
+    /**
+     * Stops checking and stops the running watch list after the URLs in progress
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.stopping = true;
+
+        if (this.activeTracker) {
+            this.activeTracker.stop();
+        }
+    }
+
+    /**
+     * Checks whether a watch list should run
+     * @param {Object} watchList - Watch list from the store
+     * @param {number} now - Current time in ms (for testing)
+     * @returns {boolean} - Whether the list is enabled and its next run is due
+     */
+    isDue(watchList, now = Date.now()) {
+        return watchList.enabled && Boolean(watchList.nextRunAt) && watchList.nextRunAt <= now;
+    }
+
+    /**
+     * Runs every due watch list, one after another
+     * Lists run one at a time so they never compete with each other for the request budget
+     * @returns {Promise<Array>} - The finished runs
+     */
+    async runDueLists() {
+        if (this.checking) return [];
+        this.checking = true;
+
+        const runs = [];
+        try {
+            for (const watchList of this.store.list()) {
+                if (this.stopping) break;
+
+                // Read again, the list may have changed while another list was running
+                const current = this.store.get(watchList.name);
+                if (current && this.isDue(current)) {
+                    runs.push(await this.runList(current.name));
+                }
+            }
+        } catch (error) {
+            console.error('Error running watch lists:', error);
+        } finally {
+            this.checking = false;
+        }
+
+        return runs;
+    }
+
+    /**
+     * Runs a watch list now and records the run in its history
+     * @param {string} name - Watch list name
+     * @returns {Promise<Object|null>} - The run, or null if there is no such list
+     */
+    async runList(name) {
+        const watchList = this.store.get(name);
+        if (!watchList) return null;
+
+        const schedule = WatchSchedule.parse(watchList.cadence);
+        const startedAt = Date.now();
+
+        // Move the next run forward first, so another page or process doesn't start the same run
+        this.store.update(name, {
+            lastRunAt: startedAt,
+            nextRunAt: schedule.nextRun(startedAt, startedAt)
+        });
+
+        // Without a rule of its own, a list skips URLs captured inside its cadence window
+        const freshness = watchList.freshness || schedule.toFreshnessRule(startedAt);
+
+        const statusTracker = new StatusTracker();
+        const workflow = new ArchiveWorkflow({
+            waybackAPI: this.waybackAPI,
+            statusTracker,
+            fileHandler: this.fileHandler
+        });
+
+        workflow.configure({
+            freshness,
+            detectChanges: watchList.detectChanges,
+            skipUnchanged: watchList.skipUnchanged,
+            captureOptions: watchList.captureOptions,
+            urlCaptureOptions: watchList.urlCaptureOptions
+        });
+        workflow.setResultCallback(result => this._notify('onResult', name, result));
+
+        // Nobody is around to resume a scheduled run, so a run paused because the Wayback Machine
+        // stopped responding ends here; the URLs it didn't get to are tried on the next run
+        statusTracker.on('job-paused', () => statusTracker.stop());
+
+        this.activeList = name;
+        this.activeTracker = statusTracker;
+        this._notify('onRunStart', watchList);
+
+        statusTracker.initialize(watchList.urls);
+        try {
+            await workflow.run(watchList.urls, watchList.concurrency);
+        } catch (error) {
+            console.error(`Error running watch list "${name}":`, error);
+        } finally {
+            statusTracker.complete();
+            this.activeList = null;
+            this.activeTracker = null;
+        }
+
+        const summary = statusTracker.getStatusSummary();
+        const run = {
+            startedAt,
+            finishedAt: Date.now(),
+            freshness,
+            summary: {
+                total: summary.total,
+                success: summary.success,
+                warning: summary.warning,
+                error: summary.error,
+                isComplete: summary.isComplete
+            },
+            results: statusTracker.getResults().map(result => ({
+                url: result.url,
+                status: result.success ? 'success' : (result.warning ? 'warning' : 'error'),
+                archiveUrl: result.archiveUrl || '',
+                timestamp: result.timestamp || '',
+                message: result.message || '',
+                errorClass: result.errorClass || '',
+                change: result.change || '',
+                digest: result.digest || ''
+            }))
+        };
+
+        const updated = this.store.addRun(name, run);
+        this._notify('onRunComplete', updated || watchList, run);
+
+        return run;
+    }
+
+    /**
+     * Calls a callback if it is set
+     * @param {string} name - Callback name in this.callbacks
+     * @param {...*} args - Arguments for the callback
+     * @private
+     */
+    _notify(name, ...args) {
+        const callback = this.callbacks[name];
+        if (typeof callback === 'function') {
+            callback(...args);
+        }
+    }
+}
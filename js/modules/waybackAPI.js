@@ -3,16 +3,109 @@
  * Handles all interactions with the Wayback Machine API
  * with better handling for recent archives and encoding issues
  */
+
+// Descriptions of the Save Page Now 2 `status_ext` error codes
+const SPN_ERROR_MESSAGES = {
+    'error:bad-gateway': 'Bad gateway for the target URL.',
+    'error:bad-request': 'The Wayback Machine rejected the save request.',
+    'error:bandwidth-limit-exceeded': 'The target server has exceeded its bandwidth limit.',
+    'error:blocked': 'The target site is blocking the Wayback Machine.',
+    'error:blocked-client-ip': 'Your IP address has been blocked by the Wayback Machine.',
+    'error:blocked-url': 'This URL is excluded from the Wayback Machine.',
+    'error:browsing-timeout': 'The capture browser timed out loading the page.',
+    'error:capture-location-error': 'The capture server could not be located.',
+    'error:cannot-fetch': 'The page could not be fetched.',
+    'error:celery': 'Internal Save Page Now error.',
+    'error:filesize-limit': 'The file is too large to archive.',
+    'error:ftp-access-denied': 'FTP access to the file was denied.',
+    'error:gateway-timeout': 'The target server timed out (gateway timeout).',
+    'error:http-version-not-supported': 'The target server does not support this HTTP version.',
+    'error:internal-server-error': 'The target server returned an internal error.',
+    'error:invalid-host-resolution': 'The host name could not be resolved.',
+    'error:invalid-server-response': 'The target server returned an invalid response.',
+    'error:invalid-ssl-cert': 'The target site has an invalid SSL certificate.',
+    'error:job-failed': 'The capture job failed.',
+    'error:method-not-allowed': 'The target server does not allow this request method.',
+    'error:network-authentication-required': 'The target server requires network authentication.',
+    'error:no-access': 'The page is not accessible (login or paywall).',
+    'error:no-browsers-available': 'No capture browsers are available right now. Try again later.',
+    'error:not-found': 'The page was not found (404).',
+    'error:not-implemented': 'The target server does not implement this request.',
+    'error:protocol-error': 'A protocol error occurred while fetching the page.',
+    'error:proxy-error': 'A proxy error occurred while fetching the page.',
+    'error:read-timeout': 'The target server timed out while sending the page.',
+    'error:service-unavailable': 'The target server is unavailable (503).',
+    'error:soft-time-limit-exceeded': 'The capture took too long and was stopped.',
+    'error:too-many-daily-captures': 'This URL has been captured too many times today.',
+    'error:too-many-redirects': 'The page redirects too many times.',
+    'error:too-many-requests': 'Too many requests to the target server.',
+    'error:unauthorized': 'The target server requires authorization (401).',
+    'error:user-session-limit': 'You have reached the limit of concurrent captures.'
+};
+
+// Endpoints of the public Wayback Machine, used unless overridden in the constructor
+const DEFAULT_ENDPOINTS = {
+    availability: 'https://archive.org/wayback/available',
+    cdx: 'https://web.archive.org/cdx/search/cdx',
+    save: 'https://web.archive.org/save',
+    replay: 'https://web.archive.org/web'
+};
+
+// Save Page Now 2 capture flags accepted in captureOptions, with their value types
+const CAPTURE_OPTIONS = {
+    capture_outlinks: 'boolean', // Also capture the pages linked from this page
+    capture_all: 'boolean', // Keep the capture even if the page returns 4xx/5xx
+    capture_screenshot: 'boolean', // Save a PNG screenshot of the page
+    skip_first_archive: 'boolean', // Don't check whether this is the first capture (faster)
+    force_get: 'boolean', // Fetch with a plain GET instead of a browser
+    delay_wb_availability: 'boolean', // Make the capture available after ~12 hours (reduces load)
+    js_behavior_timeout: 'number' // Seconds to run JavaScript behaviours (0-30)
+};
+
+// Fields requested from the CDX server, in column order
+const CDX_FIELDS = ['urlkey', 'timestamp', 'original', 'mimetype', 'statuscode', 'digest', 'length'];
+
 export default class WaybackAPI {
+    /**
+     * Constructor
+     * @param {Object} options - Client options
+     * @param {string} options.apiKey - SPN2 API key ("accesskey:secret")
+     * @param {number} options.timeout - Request timeout in ms
+     * @param {boolean} options.normalizeUrls - Whether to normalize URLs before lookups
+     * @param {Function} options.canonicalizeUrl - Normalizer used for lookups, e.g. URLProcessor.canonicalizeUrl
+     *                                             (defaults to removing the fragment)
+     * @param {Function} options.fetch - Transport with the signature of window.fetch (defaults to the global fetch)
+     * @param {Object} options.endpoints - Overrides for the availability, cdx, save and replay base URLs
+     * @param {string} options.corsProxy - Optional CORS proxy prefix for CDX requests
+     * @param {RequestScheduler} options.scheduler - Optional scheduler that paces and retries every request
+     */
     constructor(options = {}) {
         this.apiKey = options.apiKey || null;
         this.timeout = options.timeout || 10000; // Default timeout of 10 seconds
 
         // Add new property to control URL normalization
         this.normalizeUrls = options.normalizeUrls !== undefined ? options.normalizeUrls : true;
+        this.canonicalizeUrl = options.canonicalizeUrl || null;
+
+        // Transport used for every request (lets callers add proxies, auth headers, logging or mocks)
+        this.transport = options.fetch || ((resource, init) => fetch(resource, init));
 
-        // CDX API endpoint for more direct archive searching
-        this.cdxUrl = 'https://web.archive.org/cdx/search/cdx';
+        // Rate limiter shared by all requests (null sends requests immediately)
+        this.scheduler = options.scheduler || null;
+
+        // Base URLs for the availability, CDX, Save Page Now and replay endpoints
+        this.endpoints = { ...DEFAULT_ENDPOINTS, ...(options.endpoints || {}) };
+
+        // Optional CORS proxy prefix for endpoints that don't send CORS headers
+        // e.g. "https://proxy.example.com/" or "https://proxy.example.com/?url={url}"
+        this.corsProxy = options.corsProxy || '';
+
+        // Set once a CDX request is blocked in the browser (no CORS proxy), so lookups stop trying the CDX server
+        this.cdxBlocked = false;
+
+        // Save Page Now 2 capture job polling settings
+        this.pollInterval = options.pollInterval || 5000; // Delay between job status checks
+        this.maxPollTime = options.maxPollTime || 120000; // Give up polling after 2 minutes
     }
 
     /**
@@ -23,6 +116,94 @@ export default class WaybackAPI {
         this.apiKey = apiKey;
     }
 
+    /**
+     * Sets the CORS proxy prefix used for CDX requests
+     * @param {string} corsProxy - Proxy prefix (empty string to disable)
+     */
+    setCorsProxy(corsProxy) {
+        this.corsProxy = corsProxy || '';
+        this.cdxBlocked = false;
+    }
+
+    /**
+     * Sets the transport used for all requests
+     * @param {Function} transport - Function with the signature of window.fetch
+     */
+    setTransport(transport) {
+        this.transport = transport;
+        this.cdxBlocked = false;
+    }
+
+    /**
+     * Overrides one or more endpoint base URLs (availability, cdx, save, replay)
+     * @param {Object} endpoints - Endpoint base URLs to override
+     */
+    setEndpoints(endpoints) {
+        this.endpoints = { ...this.endpoints, ...endpoints };
+    }
+
+    /**
+     * Gets the replay URL of a specific capture
+     * @param {string} timestamp - Capture timestamp (YYYYMMDDHHMMSS)
+     * @param {string} url - Original URL
+     * @returns {string} - Replay URL
+     */
+    getReplayUrl(timestamp, url) {
+        return `${this.endpoints.replay}/${timestamp}/${url}`;
+    }
+
+    /**
+     * Gets the URL of the capture calendar (all captures) for a URL
+     * @param {string} url - Original URL
+     * @returns {string} - Calendar URL
+     */
+    getCalendarUrl(url) {
+        return `${this.endpoints.replay}/*/${url}`;
+    }
+
+    /**
+     * Gets the URL for archiving a page manually in the browser
+     * @param {string} url - URL to archive
+     * @returns {string} - Manual Save Page Now URL
+     */
+    getManualSaveUrl(url) {
+        return `${this.endpoints.save}/${url}`;
+    }
+
+    /**
+     * Sends a request through the scheduler (if any) and the configured transport
+     * @param {string} resource - URL to request
+     * @param {Object} init - Fetch options
+     * @param {string} bucket - Scheduler budget to charge ("save" or "lookup")
+     * @returns {Promise<Response>} - The response; rejects with an AbortError on timeout
+     * @private
+     */
+    async _fetch(resource, init = {}, bucket = 'lookup') {
+        if (this.scheduler) {
+            return this.scheduler.schedule(bucket, () => this._send(resource, init));
+        }
+
+        return this._send(resource, init);
+    }
+
+    /**
+     * Sends a single request through the transport with the client timeout applied
+     * @param {string} resource - URL to request
+     * @param {Object} init - Fetch options
+     * @returns {Promise<Response>} - The response; rejects with an AbortError on timeout
+     * @private
+     */
+    async _send(resource, init) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+        try {
+            return await this.transport(resource, { ...init, signal: controller.signal });
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
     /**
      * Sets the timeout for API requests
      * @param {number} timeout - Timeout in milliseconds
@@ -39,6 +220,9 @@ export default class WaybackAPI {
     normalizeUrl(url) {
         if (!this.normalizeUrls) return url;
 
+        // Use the same canonical form as the rest of the app when one is configured
+        if (this.canonicalizeUrl) return this.canonicalizeUrl(url);
+
         try {
             // Parse the URL
             const parsedUrl = new URL(url);
@@ -55,21 +239,33 @@ export default class WaybackAPI {
     }
 
     /**
-     * Checks if a URL is already archived using the availability API
+     * Checks if a URL is already archived
+     * The newest CDX row is the primary lookup, since it carries the status code, mimetype and digest of the capture.
+     * The availability API is only asked when the CDX lookup fails, and is used alone once the CDX server
+     * turned out to be blocked by CORS (browser without a proxy); its hits have no status code, mimetype or digest.
      * @param {string} url - The URL to check
      * @returns {Promise<Object>} - Promise resolving to archive status info
      */
     async checkIfArchived(url) {
-        // Try the standard availability API first
+        if (this.cdxBlocked) {
+            return this._checkViaAvailabilityApi(url);
+        }
+
+        const cdxResult = await this._checkViaCdxApi(url);
+
+        // A clean answer (with or without a capture) needs no second lookup
+        if (!cdxResult.error) {
+            return cdxResult;
+        }
+
         const availabilityResult = await this._checkViaAvailabilityApi(url);
 
-        // If it's archived, return immediately
-        if (availabilityResult.isArchived) {
+        // A clean answer from the availability API beats a failed CDX lookup
+        if (!availabilityResult.error) {
             return availabilityResult;
         }
 
-        // If not found, try the CDX API as a fallback for more recent archives
-        return this._checkViaCdxApi(url);
+        return cdxResult;
     }
 
     /**
@@ -80,20 +276,15 @@ export default class WaybackAPI {
      */
     async _checkViaAvailabilityApi(url) {
         const normalizedUrl = this.normalizeUrl(url);
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
 
         try {
-            const response = await fetch(`https://archive.org/wayback/available?url=${encodeURIComponent(normalizedUrl)}`, {
-                signal: controller.signal,
+            const response = await this._fetch(`${this.endpoints.availability}?url=${encodeURIComponent(normalizedUrl)}`, {
                 headers: {
                     'Cache-Control': 'no-cache',
                     'Pragma': 'no-cache'
                 }
             });
 
-            clearTimeout(timeoutId);
-
             if (!response.ok) {
                 throw new Error(`HTTP error ${response.status}`);
             }
@@ -126,15 +317,13 @@ export default class WaybackAPI {
 
             return archiveInfo;
         } catch (error) {
-            clearTimeout(timeoutId);
-
             if (error.name === 'AbortError') {
                 console.error("Timeout while checking archive status via availability API for:", url);
                 return {
                     isArchived: false,
                     url: url,
                     error: 'Request timed out. The Wayback Machine API is responding slowly.',
-                    checkUrl: `https://web.archive.org/web/*/${url}`,
+                    checkUrl: this.getCalendarUrl(url),
                     timeout: true,
                     source: 'availability_api'
                 };
@@ -145,7 +334,7 @@ export default class WaybackAPI {
                 isArchived: false,
                 url: url,
                 error: error.message,
-                checkUrl: `https://web.archive.org/web/*/${url}`,
+                checkUrl: this.getCalendarUrl(url),
                 source: 'availability_api'
             };
         }
@@ -158,95 +347,220 @@ export default class WaybackAPI {
      * @private
      */
     async _checkViaCdxApi(url) {
-        const normalizedUrl = this.normalizeUrl(url);
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
-
         try {
-            // Configure CDX API to get the most recent capture
-            const params = new URLSearchParams({
-                url: normalizedUrl,
-                output: 'json',
-                limit: 1,            // Just get the most recent capture
-                fl: 'timestamp,original,statuscode',  // Fields we want
-                collapse: 'timestamp:6', // Collapse by year/month
-                filter: '!statuscode:5..'  // Filter out 5xx errors
+            // limit=-1 with fastLatest returns only the most recent capture
+            const { captures } = await this.queryCdx(url, {
+                limit: -1,
+                fastLatest: true,
+                filter: '!statuscode:5..' // Filter out 5xx errors
             });
 
-            // Due to CORS issues, we can't directly use the CDX API in browser environments
-            // Instead, we'll try to use the alternative availability API with a timestamp parameter
-            // This is a workaround because CDX API doesn't support CORS and we can't use no-cors mode
-            // for JSON responses (they would be opaque)
-
-            // Try to use a more permissive endpoint from archive.org
-            const response = await fetch(`https://archive.org/wayback/available?url=${encodeURIComponent(normalizedUrl)}&timestamp=20000101`, {
-                signal: controller.signal,
-                headers: {
-                    'Cache-Control': 'no-cache',
-                    'Pragma': 'no-cache'
-                }
-            });
-
-            clearTimeout(timeoutId);
-
-            if (!response.ok) {
-                throw new Error(`HTTP error ${response.status}`);
-            }
-
-            const data = await response.json();
-            console.log("Availability API with timestamp response:", data);
-
-            const isArchived = data &&
-                data.archived_snapshots &&
-                data.archived_snapshots.closest &&
-                data.archived_snapshots.closest.available === true;
-
-            if (isArchived) {
-                // Extract archive URL and date
-                const archiveUrl = data.archived_snapshots.closest.url;
-                const timestamp = data.archived_snapshots.closest.timestamp;
+            const latest = captures[captures.length - 1];
 
+            if (!latest) {
                 return {
-                    isArchived: true,
+                    isArchived: false,
                     url: url,
-                    archiveUrl: archiveUrl,
-                    timestamp: timestamp,
-                    formattedDate: this._formatTimestamp(timestamp),
-                    source: 'availability_api_with_timestamp'
+                    checkUrl: this.getCalendarUrl(url),
+                    source: 'cdx_api'
                 };
             }
 
-            // If not found or no valid data, return a not-archived result
             return {
-                isArchived: false,
+                isArchived: true,
                 url: url,
-                checkUrl: `https://web.archive.org/web/*/${url}`,
-                source: 'availability_api_with_timestamp'
+                archiveUrl: latest.archiveUrl,
+                timestamp: latest.timestamp,
+                formattedDate: latest.formattedDate,
+                statusCode: latest.statusCode,
+                mimetype: latest.mimetype,
+                digest: latest.digest,
+                source: 'cdx_api'
             };
         } catch (error) {
-            clearTimeout(timeoutId);
-
             if (error.name === 'AbortError') {
-                console.error("Timeout while checking archive status via alternative API for:", url);
+                console.error("Timeout while checking archive status via CDX API for:", url);
                 return {
                     isArchived: false,
                     url: url,
-                    error: 'Request timed out. The alternative API is responding slowly.',
-                    checkUrl: `https://web.archive.org/web/*/${url}`,
+                    error: 'Request timed out. The CDX API is responding slowly.',
+                    checkUrl: this.getCalendarUrl(url),
                     timeout: true,
-                    source: 'availability_api_with_timestamp'
+                    source: 'cdx_api'
                 };
             }
 
-            console.error("Error checking archive status via alternative API:", error);
+            // Without a proxy the browser rejects every CDX request with a TypeError (no CORS headers)
+            if (error instanceof TypeError && !this.corsProxy && this._isBrowser()) {
+                this.cdxBlocked = true;
+            }
+
+            console.error("Error checking archive status via CDX API:", error);
             return {
                 isArchived: false,
                 url: url,
                 error: error.message,
-                checkUrl: `https://web.archive.org/web/*/${url}`,
-                source: 'availability_api_with_timestamp'
+                checkUrl: this.getCalendarUrl(url),
+                source: 'cdx_api'
+            };
+        }
+    }
+
+    /**
+     * Queries the CDX server for captures of a URL
+     * @param {string} url - The URL (or URL prefix/pattern, see matchType) to look up
+     * @param {Object} options - CDX query options
+     * @param {number} options.limit - Maximum number of rows (negative values count from the newest capture)
+     * @param {string|Date} options.from - Earliest timestamp (1-14 digits, e.g. "2020" or "20200115") or Date
+     * @param {string|Date} options.to - Latest timestamp (1-14 digits) or Date
+     * @param {string|Array} options.filter - Filter(s) such as "statuscode:200" or "!mimetype:image.*"
+     * @param {string|Array} options.collapse - Collapse field(s) such as "digest" or "timestamp:8"
+     * @param {string} options.matchType - One of "exact", "prefix", "host" or "domain"
+     * @param {boolean} options.fastLatest - Lets the server answer negative limits from the end of the index
+     * @param {boolean} options.showResumeKey - Ask the server for a key to fetch the next page
+     * @param {string} options.resumeKey - Key returned by a previous query to continue from
+     * @returns {Promise<Object>} - Object with captures (oldest first) and the resumeKey for the next page (or null)
+     */
+    async queryCdx(url, options = {}) {
+        const params = new URLSearchParams({
+            url: this.normalizeUrl(url),
+            output: 'json',
+            fl: CDX_FIELDS.join(',')
+        });
+
+        if (options.limit !== undefined) params.set('limit', options.limit);
+        if (options.from) params.set('from', this._toTimestamp(options.from));
+        if (options.to) params.set('to', this._toTimestamp(options.to));
+        if (options.matchType) params.set('matchType', options.matchType);
+        if (options.fastLatest) params.set('fastLatest', 'true');
+        if (options.showResumeKey) params.set('showResumeKey', 'true');
+        if (options.resumeKey) params.set('resumeKey', options.resumeKey);
+
+        // filter and collapse may be repeated
+        for (const filter of [].concat(options.filter || [])) {
+            params.append('filter', filter);
+        }
+        for (const collapse of [].concat(options.collapse || [])) {
+            params.append('collapse', collapse);
+        }
+
+        const response = await this._fetch(this._withCorsProxy(`${this.endpoints.cdx}?${params.toString()}`), {
+            headers: {
+                'Cache-Control': 'no-cache',
+                'Pragma': 'no-cache'
+            }
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP error ${response.status}`);
+        }
+
+        // The CDX server answers an empty body (not "[]") when nothing matches
+        const text = await response.text();
+        const rows = text.trim() ? JSON.parse(text) : [];
+
+        return this._parseCdxRows(rows);
+    }
+
+    /**
+     * Queries the CDX server page by page until no resume key is returned
+     * @param {string} url - The URL to look up
+     * @param {Object} options - CDX query options (see queryCdx)
+     * @param {number} options.pageSize - Rows to request per page
+     * @param {number} options.maxPages - Safety limit on the number of pages fetched
+     * @returns {Promise<Object>} - Object with the captures (oldest first) and, when maxPages ran out
+     *                              before the last page, the resumeKey to continue from (otherwise null)
+     */
+    async queryCdxAll(url, options = {}) {
+        const { pageSize = 5000, maxPages = 20, ...queryOptions } = options;
+        const captures = [];
+        let resumeKey = null;
+
+        for (let page = 0; page < maxPages; page++) {
+            const result = await this.queryCdx(url, {
+                ...queryOptions,
+                limit: pageSize,
+                showResumeKey: true,
+                resumeKey: resumeKey || undefined
+            });
+
+            captures.push(...result.captures);
+            resumeKey = result.resumeKey;
+
+            if (!resumeKey) break;
+        }
+
+        return { captures, resumeKey };
+    }
+
+    /**
+     * Converts CDX JSON rows into capture objects
+     * @param {Array} rows - Parsed CDX JSON (header row first, optional [] + [resumeKey] at the end)
+     * @returns {Object} - Object with captures and resumeKey
+     * @private
+     */
+    _parseCdxRows(rows) {
+        if (!Array.isArray(rows) || rows.length === 0) {
+            return { captures: [], resumeKey: null };
+        }
+
+        const [header, ...body] = rows;
+        let resumeKey = null;
+
+        // With showResumeKey the last two rows are an empty separator and the key
+        const separatorIndex = body.findIndex(row => row.length === 0);
+        if (separatorIndex !== -1) {
+            const keyRow = body[separatorIndex + 1];
+            resumeKey = keyRow && keyRow[0] ? keyRow[0] : null;
+            body.length = separatorIndex;
+        }
+
+        const captures = body.map(row => {
+            const fields = {};
+            header.forEach((name, index) => {
+                fields[name] = row[index];
+            });
+
+            return {
+                urlKey: fields.urlkey,
+                timestamp: fields.timestamp,
+                formattedDate: this._formatTimestamp(fields.timestamp),
+                originalUrl: fields.original,
+                mimetype: fields.mimetype,
+                statusCode: fields.statuscode,
+                digest: fields.digest,
+                length: fields.length ? Number(fields.length) : null,
+                archiveUrl: this.getReplayUrl(fields.timestamp, fields.original)
             };
+        });
+
+        return { captures, resumeKey };
+    }
+
+    /**
+     * Whether the client runs in a browser, where cross-origin requests are subject to CORS
+     * @returns {boolean} - True in a browser, false in Node
+     * @private
+     */
+    _isBrowser() {
+        return typeof window !== 'undefined';
+    }
+
+    /**
+     * Routes a request URL through the configured CORS proxy, if any
+     * A proxy containing "{url}" gets the encoded target substituted, otherwise the target is appended
+     * @param {string} requestUrl - The URL to request
+     * @returns {string} - The URL to actually fetch
+     * @private
+     */
+    _withCorsProxy(requestUrl) {
+        if (!this.corsProxy) return requestUrl;
+
+        if (this.corsProxy.includes('{url}')) {
+            return this.corsProxy.replace('{url}', encodeURIComponent(requestUrl));
         }
+
+        return `${this.corsProxy}${requestUrl}`;
     }
 
     /**
@@ -269,49 +583,94 @@ export default class WaybackAPI {
     }
 
     /**
-     * Archives a URL using the Wayback Machine
-     * @param {string} url - The URL to archive
-     * @returns {Promise<Object>} - Promise resolving to archive results
+     * Converts a Date (or an existing timestamp string) into a Wayback Machine timestamp
+     * @param {string|Date} value - Date or timestamp
+     * @returns {string} - Timestamp in YYYYMMDDHHMMSS format
+     * @private
      */
-    async archiveUrl(url) {
-        // Create an AbortController to handle timeouts
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+    _toTimestamp(value) {
+        if (!(value instanceof Date)) return String(value);
 
+        return value.toISOString().replace(/[-:T]/g, '').slice(0, 14);
+    }
+
+    /**
+     * Archives a URL using the Save Page Now 2 (SPN2) API
+     * @param {string} url - The URL to archive
+     * @param {Object} options - Save options
+     * @param {string} options.ifNotArchivedWithin - Let SPN2 skip the capture if one exists within this time delta (seconds or e.g. "3d 5h")
+     * @param {Object} options.captureOptions - SPN2 capture flags keyed by their API names (see CAPTURE_OPTIONS)
+     * @returns {Promise<Object>} - Promise resolving to the save request result (including the SPN2 job ID)
+     */
+    async archiveUrl(url, options = {}) {
         try {
-            // Prepare fetch options
+            // SPN2 expects a form-encoded POST and answers with JSON when asked to
             const fetchOptions = {
-                method: 'GET',
-                mode: 'no-cors',
-                signal: controller.signal,
+                method: 'POST',
                 headers: {
+                    'Accept': 'application/json',
+                    'Content-Type': 'application/x-www-form-urlencoded',
                     'Cache-Control': 'no-cache',
                     'Pragma': 'no-cache'
-                }
+                },
+                body: this._buildSaveParams(url, options).toString()
             };
 
-            // Add authorization header if API key is provided
+            // Add authorization header if API key is provided (format: "accesskey:secret")
             if (this.apiKey) {
                 fetchOptions.headers['Authorization'] = `LOW ${this.apiKey}`;
             }
 
-            // Use no-cors mode (this will make the request but won't give access to the response details)
-            await fetch(`https://web.archive.org/save/${encodeURIComponent(url)}`, fetchOptions);
+            let response;
+            try {
+                response = await this._fetch(this.endpoints.save, fetchOptions, 'save');
+            } catch (networkError) {
+                // Outside a browser there is no CORS: the request failed (DNS, reset, offline) and SPN2 may
+                // even have accepted it, so report the failure instead of submitting the URL a second time
+                if (networkError.name === 'AbortError' || !this._isBrowser()) {
+                    throw networkError;
+                }
 
-            // Clear the timeout as the request completed
-            clearTimeout(timeoutId);
+                // In a browser a TypeError here usually means the response was blocked (CORS),
+                // so fall back to the fire-and-forget request used before SPN2
+                console.warn('SPN2 request failed, falling back to an opaque save request:', networkError);
+                return this._archiveViaOpaqueRequest(url);
+            }
+
+            let data = null;
+            try {
+                data = await response.json();
+            } catch (parseError) {
+                data = null;
+            }
+
+            console.log("SPN2 save response:", data);
+
+            // SPN2 reports refused captures as { status: 'error', status_ext, message }
+            if (!response.ok || !data || data.status === 'error' || !data.job_id) {
+                const statusExt = data && data.status_ext ? data.status_ext : null;
+                const message = (data && data.message) ||
+                    (statusExt ? this.describeSpnError(statusExt) : `HTTP error ${response.status}`);
+
+                return {
+                    success: false,
+                    url: url,
+                    error: message,
+                    statusExt: statusExt,
+                    httpStatus: response.status,
+                    manualUrl: this.getManualSaveUrl(url)
+                };
+            }
 
-            // Return a manual archive URL since we can't check the actual response with no-cors
             return {
                 success: true,
                 url: url,
-                archiveUrl: `https://web.archive.org/web/*/${url}`,
-                manualUrl: `https://web.archive.org/save/${url}`
+                jobId: data.job_id,
+                message: data.message || null,
+                archiveUrl: this.getCalendarUrl(url),
+                manualUrl: this.getManualSaveUrl(url)
             };
         } catch (error) {
-            // Clear the timeout as the request completed or errored
-            clearTimeout(timeoutId);
-
             // Check if it's a timeout error
             if (error.name === 'AbortError') {
                 console.error("Timeout while archiving URL:", url);
@@ -319,7 +678,7 @@ export default class WaybackAPI {
                     success: false,
                     url: url,
                     error: 'Request timed out. The archiving process took too long.',
-                    manualUrl: `https://web.archive.org/save/${url}`,
+                    manualUrl: this.getManualSaveUrl(url),
                     timeout: true
                 };
             }
@@ -329,9 +688,204 @@ export default class WaybackAPI {
                 success: false,
                 url: url,
                 error: error.message,
-                manualUrl: `https://web.archive.org/save/${url}`
+                manualUrl: this.getManualSaveUrl(url),
+                // fetch() rejects with a TypeError when the request never got a response
+                network: error instanceof TypeError
+            };
+        }
+    }
+
+    /**
+     * Builds the form parameters of an SPN2 save request
+     * @param {string} url - The URL to archive
+     * @param {Object} options - Save options (see archiveUrl)
+     * @returns {URLSearchParams} - Form parameters
+     * @private
+     */
+    _buildSaveParams(url, options) {
+        const params = new URLSearchParams({ url });
+
+        if (options.ifNotArchivedWithin) {
+            params.set('if_not_archived_within', options.ifNotArchivedWithin);
+        }
+
+        const captureOptions = this.normalizeCaptureOptions(options.captureOptions);
+        for (const [name, value] of Object.entries(captureOptions)) {
+            params.set(name, CAPTURE_OPTIONS[name] === 'boolean' ? '1' : String(value));
+        }
+
+        return params;
+    }
+
+    /**
+     * Drops unknown, disabled or invalid SPN2 capture options
+     * @param {Object} captureOptions - Capture flags keyed by their API names
+     * @returns {Object} - Only the options that will be sent (booleans true, numbers in range)
+     */
+    normalizeCaptureOptions(captureOptions = {}) {
+        const normalized = {};
+
+        for (const [name, value] of Object.entries(captureOptions || {})) {
+            const type = CAPTURE_OPTIONS[name];
+
+            if (!type) {
+                console.warn(`Ignoring unknown capture option "${name}"`);
+            } else if (type === 'boolean' && value === true) {
+                normalized[name] = true;
+            } else if (type === 'number' && Number.isFinite(Number(value)) && Number(value) > 0) {
+                // js_behavior_timeout is capped at 30 seconds by SPN2
+                normalized[name] = Math.min(30, Math.round(Number(value)));
+            }
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Sends a save request in no-cors mode when the SPN2 response cannot be read
+     * @param {string} url - The URL to archive
+     * @returns {Promise<Object>} - Save result without a job ID (must be verified separately)
+     * @private
+     */
+    async _archiveViaOpaqueRequest(url) {
+        try {
+            const fetchOptions = {
+                method: 'GET',
+                mode: 'no-cors',
+                headers: {
+                    'Cache-Control': 'no-cache',
+                    'Pragma': 'no-cache'
+                }
+            };
+
+            if (this.apiKey) {
+                fetchOptions.headers['Authorization'] = `LOW ${this.apiKey}`;
+            }
+
+            // This will make the request but won't give access to the response details
+            await this._fetch(`${this.endpoints.save}/${encodeURIComponent(url)}`, fetchOptions, 'save');
+
+            return {
+                success: true,
+                url: url,
+                jobId: null,
+                opaque: true,
+                archiveUrl: this.getCalendarUrl(url),
+                manualUrl: this.getManualSaveUrl(url)
             };
+        } catch (error) {
+            console.error("Error during opaque archiving request:", error);
+            return {
+                success: false,
+                url: url,
+                error: error.name === 'AbortError'
+                    ? 'Request timed out. The archiving process took too long.'
+                    : error.message,
+                manualUrl: this.getManualSaveUrl(url),
+                timeout: error.name === 'AbortError',
+                // fetch() rejects with a TypeError when the request never got a response
+                network: error instanceof TypeError
+            };
+        }
+    }
+
+    /**
+     * Gets the current status of an SPN2 capture job
+     * @param {string} jobId - The job ID returned by archiveUrl
+     * @returns {Promise<Object>} - Raw SPN2 status object ({ status: 'pending'|'success'|'error', ... })
+     */
+    async getCaptureStatus(jobId) {
+        const headers = {
+            'Accept': 'application/json',
+            'Cache-Control': 'no-cache',
+            'Pragma': 'no-cache'
+        };
+
+        if (this.apiKey) {
+            headers['Authorization'] = `LOW ${this.apiKey}`;
         }
+
+        const response = await this._fetch(`${this.endpoints.save}/status/${encodeURIComponent(jobId)}`, { headers });
+
+        if (!response.ok) {
+            throw new Error(`HTTP error ${response.status}`);
+        }
+
+        return response.json();
+    }
+
+    /**
+     * Polls an SPN2 capture job until it succeeds, fails, or the wait time runs out
+     * @param {string} jobId - The job ID returned by archiveUrl
+     * @param {Object} options - Polling options
+     * @param {number} options.interval - Delay between status checks in ms
+     * @param {number} options.maxWait - Maximum total time to wait in ms
+     * @returns {Promise<Object>} - Capture result with status 'success', 'error' or 'pending'
+     */
+    async waitForCapture(jobId, options = {}) {
+        const interval = options.interval || this.pollInterval;
+        const maxWait = options.maxWait || this.maxPollTime;
+        const startTime = Date.now();
+        const details = [];
+        let lastStatus = null;
+
+        while (Date.now() - startTime < maxWait) {
+            try {
+                lastStatus = await this.getCaptureStatus(jobId);
+            } catch (error) {
+                // A failed status request doesn't mean the capture failed; keep polling
+                details.push(`Status check failed: ${error.message}`);
+                lastStatus = null;
+            }
+
+            if (lastStatus && lastStatus.status === 'success') {
+                const originalUrl = lastStatus.original_url;
+                details.push(`Capture finished in ${lastStatus.duration_sec || '?'}s.`);
+
+                return {
+                    status: 'success',
+                    jobId: jobId,
+                    url: originalUrl,
+                    screenshotUrl: lastStatus.screenshot || null,
+                    timestamp: lastStatus.timestamp,
+                    formattedDate: this._formatTimestamp(lastStatus.timestamp),
+                    archiveUrl: this.getReplayUrl(lastStatus.timestamp, originalUrl),
+                    details: details
+                };
+            }
+
+            if (lastStatus && lastStatus.status === 'error') {
+                const statusExt = lastStatus.status_ext || 'error:unknown';
+                details.push(`Capture failed: ${statusExt}`);
+
+                return {
+                    status: 'error',
+                    jobId: jobId,
+                    statusExt: statusExt,
+                    message: lastStatus.message || this.describeSpnError(statusExt),
+                    details: details
+                };
+            }
+
+            await new Promise(resolve => setTimeout(resolve, interval));
+        }
+
+        details.push(`Capture still pending after ${Math.round(maxWait / 1000)}s.`);
+
+        return {
+            status: 'pending',
+            jobId: jobId,
+            details: details
+        };
+    }
+
+    /**
+     * Returns a readable description for an SPN2 status_ext error code
+     * @param {string} statusExt - Error code such as "error:not-found"
+     * @returns {string} - Description of the error
+     */
+    describeSpnError(statusExt) {
+        return SPN_ERROR_MESSAGES[statusExt] || `Save Page Now error (${statusExt})`;
     }
 
     /**
@@ -391,83 +945,28 @@ export default class WaybackAPI {
             url: url,
             verified: false,
             details: verificationDetails,
-            manualUrl: `https://web.archive.org/web/*/${url}`,
+            manualUrl: this.getCalendarUrl(url),
             timeoutIssues: timeoutCount > 0,
             message: "Archive request was sent but verification failed. Check manually later."
         };
     }
 
     /**
-     * Gets the most recent archives for a URL (last 10 captures)
+     * Gets the capture history of a URL from the CDX server
      * @param {string} url - The URL to get history for
-     * @returns {Promise<Object>} - Promise resolving to archive history
+     * @param {Object} options - Optional bounds for the history
+     * @param {string|Date} options.from - Only include captures from this date on
+     * @param {string|Date} options.to - Only include captures up to this date
+     * @returns {Promise<Object>} - Promise resolving to the captures (newest first) and timeline statistics.
+     *                              `truncated` is set when the page limit was reached: the newest captures are
+     *                              then missing and the counts cover only the captures loaded (see `resumeKey`)
      */
-    async getArchiveHistory(url) {
-        const normalizedUrl = this.normalizeUrl(url);
-
-        // Due to CORS limitations, we can't use the CDX API directly in a browser environment
-        // Instead, we'll use multiple calls to the availability API with different timestamps
-        // to simulate getting archive history
-
-        const timestamps = [
-            '20250101', // Current year
-            '20240101', // Last year
-            '20230101', // Two years ago
-            '20220101', // Three years ago
-            '20210101'  // Four years ago
-        ];
-
-        const captures = [];
-
+    async getArchiveHistory(url, options = {}) {
         try {
-            for (const timestamp of timestamps) {
-                const controller = new AbortController();
-                const timeoutId = setTimeout(() => controller.abort(), this.timeout);
-
-                try {
-                    const response = await fetch(`https://archive.org/wayback/available?url=${encodeURIComponent(normalizedUrl)}&timestamp=${timestamp}`, {
-                        signal: controller.signal,
-                        headers: {
-                            'Cache-Control': 'no-cache',
-                            'Pragma': 'no-cache'
-                        }
-                    });
-
-                    clearTimeout(timeoutId);
-
-                    if (!response.ok) {
-                        continue; // Skip to next timestamp if this one fails
-                    }
-
-                    const data = await response.json();
-
-                    const isArchived = data &&
-                        data.archived_snapshots &&
-                        data.archived_snapshots.closest &&
-                        data.archived_snapshots.closest.available === true;
-
-                    if (isArchived) {
-                        const archiveTimestamp = data.archived_snapshots.closest.timestamp;
-
-                        // Check if we already have this exact timestamp (avoid duplicates)
-                        const isDuplicate = captures.some(capture => capture.timestamp === archiveTimestamp);
-
-                        if (!isDuplicate) {
-                            captures.push({
-                                timestamp: archiveTimestamp,
-                                formattedDate: this._formatTimestamp(archiveTimestamp),
-                                originalUrl: normalizedUrl,
-                                statusCode: '200', // We don't have this info from the availability API
-                                archiveUrl: data.archived_snapshots.closest.url
-                            });
-                        }
-                    }
-                } catch (error) {
-                    clearTimeout(timeoutId);
-                    console.warn(`Error checking archive for timestamp ${timestamp}:`, error);
-                    // Continue with next timestamp
-                }
-            }
+            const { captures, resumeKey } = await this.queryCdxAll(url, {
+                from: options.from,
+                to: options.to
+            });
 
             // Sort captures by timestamp in descending order (newest first)
             captures.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
@@ -476,7 +975,10 @@ export default class WaybackAPI {
                 success: true,
                 url: url,
                 captureCount: captures.length,
-                captures: captures
+                captures: captures,
+                truncated: resumeKey !== null,
+                resumeKey: resumeKey,
+                ...this._summarizeCaptures(captures)
             };
         } catch (error) {
             console.error("Error fetching archive history:", error);
@@ -487,4 +989,100 @@ export default class WaybackAPI {
             };
         }
     }
+
+    /**
+     * Compares a capture with the capture before it by their CDX digests (hashes of the captured content)
+     * @param {string} url - The captured URL
+     * @param {string} timestamp - Timestamp of the capture (YYYYMMDDHHMMSS)
+     * @returns {Promise<Object>} - { change, digest, previousDigest, previousTimestamp }; change is "changed",
+     *                              "unchanged", "first" (no earlier capture) or "unknown" (capture not indexed yet)
+     */
+    async compareWithPreviousCapture(url, timestamp) {
+        // The two newest captures up to and including this one, oldest first
+        const { captures } = await this.queryCdx(url, {
+            to: timestamp,
+            limit: -2,
+            fastLatest: true
+        });
+
+        const capture = captures[captures.length - 1];
+        if (!capture || capture.timestamp !== timestamp) {
+            return { change: 'unknown', digest: null, previousDigest: null, previousTimestamp: null };
+        }
+
+        const previous = captures.length > 1 ? captures[0] : null;
+        if (!previous) {
+            return { change: 'first', digest: capture.digest, previousDigest: null, previousTimestamp: null };
+        }
+
+        return {
+            change: capture.digest === previous.digest ? 'unchanged' : 'changed',
+            digest: capture.digest,
+            previousDigest: previous.digest,
+            previousTimestamp: previous.timestamp
+        };
+    }
+
+    /**
+     * Checks whether the captures of a URL show no change since a date
+     * That holds when the capture in effect at that date and every capture after it share one digest,
+     * and at least one capture was made after the date
+     * @param {string} url - The URL to check
+     * @param {Date} since - Start of the period
+     * @returns {Promise<Object>} - { unchanged, digest, baseline } where baseline is the capture in effect at `since` (or null)
+     */
+    async checkUnchangedSince(url, since) {
+        const sinceTimestamp = this._toTimestamp(since);
+
+        const before = await this.queryCdx(url, {
+            to: sinceTimestamp,
+            limit: -1,
+            fastLatest: true,
+            filter: '!statuscode:5..'
+        });
+
+        const baseline = before.captures[before.captures.length - 1] || null;
+        if (!baseline) {
+            return { unchanged: false, digest: null, baseline: null };
+        }
+
+        // Collapsing on the digest leaves one row per run of identical captures
+        const { captures } = await this.queryCdx(url, {
+            from: sinceTimestamp,
+            filter: '!statuscode:5..',
+            collapse: 'digest'
+        });
+
+        return {
+            unchanged: captures.length > 0 && captures.every(capture => capture.digest === baseline.digest),
+            digest: baseline.digest,
+            baseline
+        };
+    }
+
+    /**
+     * Builds per-year and per-month capture counts for a capture list
+     * @param {Array} captures - Captures sorted newest first
+     * @returns {Object} - byYear and byMonth counts plus the first and last capture
+     * @private
+     */
+    _summarizeCaptures(captures) {
+        const byYear = {};
+        const byMonth = {};
+
+        for (const capture of captures) {
+            const year = capture.timestamp.slice(0, 4);
+            const month = `${year}-${capture.timestamp.slice(4, 6)}`;
+
+            byYear[year] = (byYear[year] || 0) + 1;
+            byMonth[month] = (byMonth[month] || 0) + 1;
+        }
+
+        return {
+            byYear,
+            byMonth,
+            firstCapture: captures.length ? captures[captures.length - 1] : null,
+            lastCapture: captures.length ? captures[0] : null
+        };
+    }
 }
\ No newline at end of file
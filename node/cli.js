@@ -0,0 +1,825 @@
+/**
+ * CommandLine module
+ * Runs the archiving workflow of the browser app under Node: reads URLs from a file or stdin,
+ * draws progress on stderr and writes the results to a file or stdout
+ */
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+
+import WaybackAPI from '../js/modules/waybackAPI.js';
+import URLProcessor from '../js/modules/urlProcessor.js';
+import FileHandler from '../js/modules/fileHandler.js';
+import StatusTracker from '../js/modules/statusTracker.js';
+import RequestScheduler from '../js/modules/requestScheduler.js';
+import ArchiveWorkflow from '../js/modules/archiveWorkflow.js';
+import ProgressBar from './progressBar.js';
+import JobServer from './jobServer.js';
+import FileJobStore from './fileJobStore.js';
+import FileStorage from './fileStorage.js';
+import WatchListStore from '../js/modules/watchListStore.js';
+import WatchScheduler from '../js/modules/watchScheduler.js';
+import WatchSchedule from '../js/modules/watchSchedule.js';
+
+// Exit codes, so cron jobs and pipelines can tell what happened
+export const EXIT_CODES = {
+    ok: 0, // Every URL is archived
+    failed: 1, // At least one URL failed, or an input line or entry was skipped because it can't be archived
+    usage: 2, // Bad arguments or no usable input
+    unverified: 3, // No failures, but some captures couldn't be verified (or are missing in check-only mode)
+    interrupted: 130 // Stopped with Ctrl+C before all URLs were done
+};
+
+// How long a job waits before trying again after pausing because the Wayback Machine stopped responding
+const PAUSE_RETRY_DELAY = 60 * 1000;
+
+// Result format for --out, chosen by file extension unless --format is given
+const FORMAT_BY_EXTENSION = {
+    '.csv': 'csv',
+    '.json': 'json',
+    '.jsonl': 'jsonl',
+    '.ndjson': 'jsonl',
+    '.md': 'markdown',
+    '.html': 'html',
+    '.htm': 'html'
+};
+
+// Subcommands of "watch" and the number of arguments after the subcommand (name, file)
+const WATCH_COMMANDS = {
+    add: 2,
+    list: 0,
+    history: 1,
+    remove: 1,
+    enable: 1,
+    disable: 1,
+    run: 1,
+    daemon: 0
+};
+
+// Input files read line by line, so per-URL capture options and the parse report work as in the browser
+const LINE_INPUT_EXTENSIONS = ['', '.txt', '.list'];
+
+// Options accepted by node:util parseArgs
+const OPTIONS = {
+    concurrency: { type: 'string', short: 'c', default: '1' },
+    freshness: { type: 'string', short: 'f' },
+    cadence: { type: 'string', default: 'daily' },
+    'detect-changes': { type: 'boolean', default: false },
+    'skip-unchanged': { type: 'string' },
+    out: { type: 'string', short: 'o' },
+    format: { type: 'string' },
+    'api-key': { type: 'string' },
+    capture: { type: 'string', multiple: true, default: [] },
+    timeout: { type: 'string', default: '15000' },
+    port: { type: 'string', short: 'p', default: '8787' },
+    host: { type: 'string', default: '127.0.0.1' },
+    'data-dir': { type: 'string', default: 'wayback-jobs' },
+    quiet: { type: 'boolean', short: 'q', default: false },
+    verbose: { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false },
+    version: { type: 'boolean', default: false }
+};
+
+const USAGE = `Usage: wayback-archiver archive [file] [options]
+       wayback-archiver serve [options]
+       wayback-archiver watch add <name> [file] --cadence <cadence> [options]
+       wayback-archiver watch list | history <name> | remove <name> | enable <name> | disable <name>
+       wayback-archiver watch run [name] | daemon
+
+archive: Archives every URL of a file (or of stdin when the file is "-" or missing) in the Wayback
+Machine. Text files list one URL per line and may add capture options after the URL. CSV, JSON, HAR
+and bookmark files are detected like in the browser app.
+
+serve: Runs a local HTTP service that archives jobs submitted to POST /jobs (see the README).
+
+watch: Saves URL lists that are re-archived on a cadence (hourly, daily, weekly or a cron expression
+such as "0 9 * * 1-5"). "watch run" runs the lists that are due (or the named list now) and exits,
+e.g. from cron; "watch daemon" keeps running and starts each list when it is due.
+
+Options:
+  -c, --concurrency <n>     URLs processed at the same time, 1-8 (default 1)
+  -f, --freshness <rule>    any (skip archived URLs), always, check-only, or a max capture age
+                            such as 30d, 12h or 2w (default any; for watch lists: captures inside
+                            the cadence window are skipped)
+      --cadence <cadence>   watch add: hourly, daily, weekly or a cron expression (default daily)
+      --detect-changes      Compare each capture with the previous one (changed, unchanged or
+                            first capture) by its CDX digest
+      --skip-unchanged <age>
+                            Don't save URLs whose captures show no change for this long, e.g. 30d
+                            (implies --detect-changes)
+  -o, --out <file>          Write the results to a file instead of stdout
+      --format <format>     csv, json, jsonl, markdown or html (default: from --out, else jsonl)
+      --api-key <key>       Save Page Now key as accesskey:secret (default: $WAYBACK_API_KEY)
+      --capture <opt=value> Capture option for every URL, e.g. --capture capture_outlinks=1 (repeatable)
+      --timeout <ms>        Request timeout (default 15000)
+  -p, --port <port>         serve: port to listen on (default 8787)
+      --host <host>         serve: interface to listen on (default 127.0.0.1)
+      --data-dir <dir>      serve and watch: directory where jobs and watch lists are saved
+                            (default ./wayback-jobs)
+  -q, --quiet               No progress output
+      --verbose             Also print the log messages of the archiving modules
+  -h, --help                Show this help
+      --version             Show the version
+
+Exit codes: 0 all archived, 1 some failed or input skipped, 2 usage error, 3 some unverified, 130 interrupted`;
+
+export default class CommandLine {
+    /**
+     * Constructor
+     * @param {Object} options - Streams and environment (default to the current process)
+     * @param {stream.Readable} options.stdin - Input when no file is given
+     * @param {stream.Writable} options.stdout - Results when --out isn't given
+     * @param {stream.Writable} options.stderr - Progress, warnings and the summary
+     * @param {Object} options.env - Environment variables
+     * @param {Function} options.fetch - Transport for the Wayback API (defaults to the global fetch)
+     */
+    constructor(options = {}) {
+        this.stdin = options.stdin || process.stdin;
+        this.stdout = options.stdout || process.stdout;
+        this.stderr = options.stderr || process.stderr;
+        this.env = options.env || process.env;
+        this.fetch = options.fetch || null;
+
+        this.urlProcessor = new URLProcessor();
+        this.fileHandler = new FileHandler(this.urlProcessor);
+        this.statusTracker = new StatusTracker();
+    }
+
+    /**
+     * Runs the command line
+     * @param {Array} argv - Arguments without the node and script paths
+     * @returns {Promise<number>} - Exit code (see EXIT_CODES)
+     */
+    async run(argv) {
+        let parsed;
+        try {
+            parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+        } catch (error) {
+            return this.usageError(error.message);
+        }
+
+        const { values, positionals } = parsed;
+
+        if (values.help) {
+            this.stdout.write(`${USAGE}\n`);
+            return EXIT_CODES.ok;
+        }
+
+        if (values.version) {
+            this.stdout.write(`${await this.getVersion()}\n`);
+            return EXIT_CODES.ok;
+        }
+
+        const [command, input, ...extra] = positionals;
+        if (!['archive', 'serve', 'watch'].includes(command)) {
+            return this.usageError(command ? `Unknown command "${command}"` : 'Missing command');
+        }
+
+        if (command === 'watch' && !Object.hasOwn(WATCH_COMMANDS, input)) {
+            return this.usageError(input ? `Unknown watch command "${input}"` : 'Missing watch command');
+        }
+
+        const argumentCounts = { archive: 0, serve: -1, watch: WATCH_COMMANDS[input] };
+        const unexpected = argumentCounts[command] < 0 ? input : extra[argumentCounts[command]];
+        if (unexpected !== undefined) {
+            return this.usageError(`Unexpected argument "${unexpected}"`);
+        }
+
+        let settings;
+        try {
+            settings = this.parseSettings(values);
+        } catch (error) {
+            return this.usageError(error.message);
+        }
+
+        if (command === 'serve') {
+            return this.serve(settings, values);
+        }
+
+        if (command === 'watch') {
+            return this.watch(input, extra, settings, values);
+        }
+
+        let job;
+        try {
+            job = await this.loadUrls(input);
+        } catch (error) {
+            this.stderr.write(`wayback-archiver: ${error.message}\n`);
+            return EXIT_CODES.usage;
+        }
+
+        if (!job.urls.length) {
+            this.stderr.write('wayback-archiver: No valid URLs found.\n');
+            return EXIT_CODES.usage;
+        }
+
+        return this.archive(job, settings, values);
+    }
+
+    /**
+     * Converts the parsed options into job settings
+     * @param {Object} values - Option values from parseArgs
+     * @returns {Object} - { concurrency, freshness, detectChanges, skipUnchanged, format, timeout, apiKey, captureOptions }
+     * @throws {Error} - If an option value is invalid
+     */
+    parseSettings(values) {
+        const concurrency = parseInt(values.concurrency, 10);
+        if (isNaN(concurrency) || concurrency < 1 || concurrency > 8) {
+            throw new Error('--concurrency must be a number from 1 to 8');
+        }
+
+        const timeout = parseInt(values.timeout, 10);
+        if (isNaN(timeout) || timeout <= 0) {
+            throw new Error('--timeout must be a positive number of milliseconds');
+        }
+
+        const format = values.format || FORMAT_BY_EXTENSION[path.extname(values.out || '').toLowerCase()] || 'jsonl';
+        if (!Object.values(FORMAT_BY_EXTENSION).includes(format)) {
+            throw new Error(`Unknown format "${format}" (use csv, json, jsonl, markdown or html)`);
+        }
+
+        const invalidCapture = values.capture.find(token => !/^[a-z_]+=\S+$/i.test(token));
+        if (invalidCapture) {
+            throw new Error(`--capture expects name=value, got "${invalidCapture}"`);
+        }
+
+        return {
+            concurrency,
+            freshness: values.freshness || 'any',
+            detectChanges: values['detect-changes'],
+            skipUnchanged: values['skip-unchanged'] || '',
+            format,
+            timeout,
+            apiKey: values['api-key'] || this.env.WAYBACK_API_KEY || null,
+            captureOptions: this.urlProcessor.parseOptionTokens(values.capture)
+        };
+    }
+
+    /**
+     * Reads the input and extracts its URLs in canonical form, without duplicates
+     * @param {string|undefined} input - File path, "-" or undefined for stdin
+     * @returns {Promise<Object>} - { urls, urlCaptureOptions, urlMetadata, rejected } (rejected: number of skipped
+     *                              input lines or entries)
+     */
+    async loadUrls(input) {
+        const fromStdin = !input || input === '-';
+
+        if (fromStdin && this.stdin.isTTY) {
+            throw new Error('No input: give a file or pipe URLs into stdin (see --help)');
+        }
+
+        const content = fromStdin ? await this.readStream(this.stdin) : await readFile(input, 'utf8');
+        const sourceName = fromStdin ? 'stdin' : path.basename(input);
+
+        let entries;
+        let metadata = {};
+        let rejected = 0;
+
+        if (LINE_INPUT_EXTENSIONS.includes(path.extname(sourceName).toLowerCase())) {
+            // Report the lines that can't be archived instead of silently dropping them
+            const report = this.urlProcessor.parseTextWithReport(content);
+            for (const line of report.rejected) {
+                const fix = line.fixes.length ? ` (try: ${line.fixes[0].lines.join(' ')})` : '';
+                this.stderr.write(`${sourceName}:${line.line}: skipped "${line.text}": ${line.message}${fix}\n`);
+            }
+
+            entries = report.entries;
+            rejected = report.rejected.length;
+        } else {
+            const importResult = await this.fileHandler.extractUrls(content, sourceName);
+            for (const text of importResult.rejected) {
+                const { message, fixes } = this.urlProcessor.diagnoseLine(text);
+                const fix = fixes.length ? ` (try: ${fixes[0].lines.join(' ')})` : '';
+                this.stderr.write(`${sourceName}: skipped "${text}": ${message}${fix}\n`);
+            }
+
+            entries = importResult.urls.map(url => ({ url, captureOptions: null }));
+            metadata = importResult.metadata;
+            rejected = importResult.rejected.length;
+        }
+
+        const urlCaptureOptions = {};
+        const urlMetadata = {};
+
+        const canonicalUrls = entries.map(entry => {
+            const url = this.urlProcessor.canonicalizeUrl(entry.url);
+
+            if (entry.captureOptions) {
+                urlCaptureOptions[url] = { ...urlCaptureOptions[url], ...entry.captureOptions };
+            }
+            if (metadata[entry.url] && !urlMetadata[url]) {
+                urlMetadata[url] = metadata[entry.url];
+            }
+
+            return url;
+        });
+
+        const duplicateCheck = this.urlProcessor.findDuplicates(canonicalUrls);
+        if (duplicateCheck.hasDuplicates) {
+            this.stderr.write(`Skipping ${duplicateCheck.duplicates.length} duplicate URL(s).\n`);
+        }
+
+        return { urls: duplicateCheck.uniqueUrls, urlCaptureOptions, urlMetadata, rejected };
+    }
+
+    /**
+     * Archives the URLs of a job and writes the results
+     * @param {Object} job - { urls, urlCaptureOptions, urlMetadata, rejected } from loadUrls
+     * @param {Object} settings - Settings from parseSettings
+     * @param {Object} values - Option values from parseArgs (out, quiet, verbose)
+     * @returns {Promise<number>} - Exit code (see EXIT_CODES)
+     */
+    async archive(job, settings, values) {
+        const scheduler = new RequestScheduler();
+        scheduler.setThrottleCallback(({ until }) => this.statusTracker.recordThrottle(until));
+
+        const waybackAPI = new WaybackAPI({
+            apiKey: settings.apiKey,
+            timeout: settings.timeout,
+            fetch: this.fetch || undefined,
+            canonicalizeUrl: url => this.urlProcessor.canonicalizeUrl(url),
+            scheduler
+        });
+
+        const workflow = new ArchiveWorkflow({
+            waybackAPI,
+            statusTracker: this.statusTracker,
+            fileHandler: this.fileHandler
+        });
+
+        try {
+            workflow.configure({
+                freshness: settings.freshness,
+                detectChanges: settings.detectChanges,
+                skipUnchanged: settings.skipUnchanged,
+                captureOptions: settings.captureOptions,
+                urlCaptureOptions: job.urlCaptureOptions,
+                urlMetadata: job.urlMetadata
+            });
+        } catch (error) {
+            return this.usageError(error.message);
+        }
+
+        const progressBar = values.quiet ? null : new ProgressBar({
+            stream: this.stderr,
+            formatTime: ms => this.statusTracker.formatTime(ms)
+        });
+
+        // The "progress" event follows every ETA update, so the bar is redrawn with the newest estimate
+        let eta = null;
+        const unsubscribers = [
+            this.statusTracker.on('eta', ({ remaining }) => {
+                eta = remaining;
+            })
+        ];
+
+        if (progressBar) {
+            unsubscribers.push(
+                this.statusTracker.on('url-finished', ({ result }) => {
+                    progressBar.log(result, this.statusTracker.getStatusSummary());
+                }),
+                this.statusTracker.on('progress', () => {
+                    progressBar.update(this.statusTracker.getStatusSummary(), eta);
+                })
+            );
+        }
+
+        // Nobody can press Resume here, so a job paused because the Wayback Machine stopped responding tries again later
+        let resumeTimer = null;
+        unsubscribers.push(this.statusTracker.on('job-paused', () => {
+            if (progressBar) progressBar.clear();
+            if (!values.quiet) {
+                this.stderr.write(`The Wayback Machine isn't responding; trying again in ${this.statusTracker.formatTime(PAUSE_RETRY_DELAY)}...\n`);
+            }
+            resumeTimer = setTimeout(() => this.statusTracker.resume(), PAUSE_RETRY_DELAY);
+        }));
+
+        this.statusTracker.initialize(job.urls);
+
+        // The first Ctrl+C lets the URLs in progress finish and still writes their results, the second quits
+        const onInterrupt = () => {
+            if (this.statusTracker.shouldStop) {
+                process.exit(EXIT_CODES.interrupted);
+            }
+
+            this.statusTracker.stop();
+            if (progressBar) progressBar.clear();
+            this.stderr.write('Stopping after the URLs in progress (press Ctrl+C again to quit now)...\n');
+        };
+        process.on('SIGINT', onInterrupt);
+
+        const restoreConsole = this.redirectConsole(values.verbose);
+
+        try {
+            await workflow.run(job.urls, settings.concurrency);
+        } finally {
+            restoreConsole();
+            process.removeListener('SIGINT', onInterrupt);
+            clearTimeout(resumeTimer);
+        }
+
+        this.statusTracker.complete();
+        unsubscribers.forEach(unsubscribe => unsubscribe());
+        if (progressBar) progressBar.done();
+
+        await this.writeResults(this.statusTracker.getResults(), settings.format, values.out);
+
+        const summary = this.statusTracker.getStatusSummary();
+        if (!values.quiet) {
+            this.stderr.write(`Done: ${summary.success} archived, ${summary.warning} unverified, ${summary.error} failed` +
+                `${summary.isComplete ? '' : `, ${summary.total - summary.processed} not processed`}` +
+                `${job.rejected ? `, ${job.rejected} input entr${job.rejected === 1 ? 'y' : 'ies'} skipped` : ''}` +
+                ` (elapsed: ${this.statusTracker.formatTime(summary.elapsedTime)}).\n`);
+            if (summary.stats.medianTime !== null) {
+                this.stderr.write(`${this.formatStats(summary.stats)}\n`);
+            }
+        }
+
+        // Skipped input lines and entries are URLs that were never archived, so a pipeline must see them as failures
+        return this.getExitCode({ ...summary, rejected: job.rejected || 0 });
+    }
+
+    /**
+     * Runs the job server until the process gets SIGINT or SIGTERM
+     * @param {Object} settings - Settings from parseSettings (apiKey, timeout)
+     * @param {Object} values - Option values from parseArgs (port, host, data-dir, verbose)
+     * @returns {Promise<number>} - Exit code (see EXIT_CODES)
+     */
+    async serve(settings, values) {
+        const port = parseInt(values.port, 10);
+        if (isNaN(port) || port < 0 || port > 65535) {
+            return this.usageError('--port must be a number from 0 to 65535');
+        }
+
+        const server = new JobServer({
+            store: new FileJobStore({ directory: values['data-dir'] }),
+            apiKey: settings.apiKey,
+            timeout: settings.timeout,
+            fetch: this.fetch || undefined
+        });
+
+        const restoreConsole = this.redirectConsole(values.verbose);
+
+        try {
+            const address = await server.start(port, values.host);
+            this.stderr.write(`Job server listening on http://${values.host}:${address.port}/jobs ` +
+                `(jobs saved in ${path.resolve(values['data-dir'])}). Press Ctrl+C to stop.\n`);
+
+            // Jobs still running at shutdown are resumed on the next start
+            await new Promise((resolve) => {
+                process.once('SIGINT', resolve);
+                process.once('SIGTERM', resolve);
+            });
+
+            this.stderr.write('Stopping after the URLs in progress (press Ctrl+C again to quit now)...\n');
+            await server.close();
+        } catch (error) {
+            this.stderr.write(`wayback-archiver: ${error.message}\n`);
+            return EXIT_CODES.failed;
+        } finally {
+            restoreConsole();
+        }
+
+        return EXIT_CODES.ok;
+    }
+
+    /**
+     * Runs a watch list command
+     * @param {string} subcommand - Key of WATCH_COMMANDS
+     * @param {Array} args - Arguments after the subcommand ([name, file])
+     * @param {Object} settings - Settings from parseSettings
+     * @param {Object} values - Option values from parseArgs
+     * @returns {Promise<number>} - Exit code (see EXIT_CODES)
+     */
+    async watch(subcommand, args, settings, values) {
+        const [name, input] = args;
+        const store = new WatchListStore({
+            storage: new FileStorage(path.join(values['data-dir'], 'watch-lists.json'))
+        });
+
+        if (['add', 'history', 'remove', 'enable', 'disable'].includes(subcommand) && !name) {
+            return this.usageError(`watch ${subcommand} needs the name of a watch list`);
+        }
+
+        if (name && !['add', 'run'].includes(subcommand) && !store.get(name)) {
+            this.stderr.write(`wayback-archiver: No watch list named "${name}".\n`);
+            return EXIT_CODES.usage;
+        }
+
+        switch (subcommand) {
+            case 'add':
+                return this.addWatchList(store, name, input, settings, values);
+            case 'list':
+                this.stdout.write(store.list().map(watchList => this.formatWatchList(watchList)).join('\n') ||
+                    'No watch lists yet. Add one with "wayback-archiver watch add <name> <file>".');
+                this.stdout.write('\n');
+                return EXIT_CODES.ok;
+            case 'history':
+                this.stdout.write(this.formatWatchHistory(store.get(name)));
+                return EXIT_CODES.ok;
+            case 'remove':
+                store.delete(name);
+                this.stderr.write(`Removed watch list "${name}".\n`);
+                return EXIT_CODES.ok;
+            case 'enable':
+            case 'disable':
+                store.update(name, { enabled: subcommand === 'enable' });
+                this.stderr.write(`Watch list "${name}" is ${subcommand}d.\n`);
+                return EXIT_CODES.ok;
+            case 'run':
+            case 'daemon':
+            default:
+                return this.runWatchLists(store, subcommand === 'daemon', name, settings, values);
+        }
+    }
+
+    /**
+     * Saves the URLs of a file (or stdin) as a watch list
+     * @param {WatchListStore} store - Watch list store
+     * @param {string} name - Watch list name
+     * @param {string|undefined} input - File path, "-" or undefined for stdin
+     * @param {Object} settings - Settings from parseSettings
+     * @param {Object} values - Option values from parseArgs (cadence, freshness)
+     * @returns {Promise<number>} - Exit code (see EXIT_CODES)
+     */
+    async addWatchList(store, name, input, settings, values) {
+        let job;
+        try {
+            job = await this.loadUrls(input);
+        } catch (error) {
+            this.stderr.write(`wayback-archiver: ${error.message}\n`);
+            return EXIT_CODES.usage;
+        }
+
+        let watchList;
+        try {
+            watchList = store.save({
+                name,
+                urls: job.urls,
+                cadence: values.cadence,
+                freshness: values.freshness || '',
+                concurrency: settings.concurrency,
+                detectChanges: settings.detectChanges,
+                skipUnchanged: settings.skipUnchanged,
+                captureOptions: settings.captureOptions,
+                urlCaptureOptions: job.urlCaptureOptions
+            });
+        } catch (error) {
+            this.stderr.write(`wayback-archiver: ${error.message}\n`);
+            return EXIT_CODES.usage;
+        }
+
+        this.stderr.write(`Saved watch list "${watchList.name}": ${watchList.urls.length} URL(s), ` +
+            `${WatchSchedule.parse(watchList.cadence).describe().toLowerCase()}, next run ${this.formatDate(watchList.nextRunAt)}.\n`);
+        return EXIT_CODES.ok;
+    }
+
+    /**
+     * Runs watch lists: the due ones (or a named one) once, or as a daemon until SIGINT or SIGTERM
+     * @param {WatchListStore} store - Watch list store
+     * @param {boolean} daemon - Keep running and start each list when it is due
+     * @param {string|undefined} name - Watch list to run now (run only)
+     * @param {Object} settings - Settings from parseSettings (apiKey, timeout)
+     * @param {Object} values - Option values from parseArgs (quiet, verbose)
+     * @returns {Promise<number>} - Exit code (see EXIT_CODES)
+     */
+    async runWatchLists(store, daemon, name, settings, values) {
+        const scheduler = new WatchScheduler({
+            store,
+            waybackAPI: new WaybackAPI({
+                apiKey: settings.apiKey,
+                timeout: settings.timeout,
+                fetch: this.fetch || undefined,
+                canonicalizeUrl: url => this.urlProcessor.canonicalizeUrl(url),
+                scheduler: new RequestScheduler()
+            }),
+            fileHandler: this.fileHandler
+        });
+
+        const runs = [];
+        scheduler.setRunStartCallback((watchList) => {
+            if (!values.quiet) this.stderr.write(`Running watch list "${watchList.name}" (${watchList.urls.length} URLs)...\n`);
+        });
+        scheduler.setResultCallback((listName, result) => {
+            if (values.quiet) return;
+
+            const status = result.success ? 'OK' : (result.warning ? 'WARN' : 'FAIL');
+            const change = result.change ? ` [${result.change === 'first' ? 'first capture' : result.change}]` : '';
+            this.stderr.write(`${listName}: ${status} ${result.url} ${result.archiveUrl || result.errorClass || ''}${change}`.trim() + '\n');
+        });
+        scheduler.setRunCompleteCallback((watchList, run) => {
+            runs.push(run);
+            if (!values.quiet) {
+                this.stderr.write(`Watch list "${watchList.name}": ${run.summary.success} archived, ${run.summary.warning} unverified, ` +
+                    `${run.summary.error} failed. Next run ${this.formatDate(watchList.nextRunAt)}.\n`);
+            }
+        });
+
+        const restoreConsole = this.redirectConsole(values.verbose);
+
+        // The first Ctrl+C (or SIGTERM) lets the URLs in progress finish and records the run, the second quits
+        let stopDaemon = () => {};
+        const stopped = new Promise((resolve) => {
+            stopDaemon = resolve;
+        });
+        const onInterrupt = () => {
+            if (scheduler.stopping) {
+                process.exit(EXIT_CODES.interrupted);
+            }
+
+            scheduler.stop();
+            this.stderr.write('Stopping after the URLs in progress (press Ctrl+C again to quit now)...\n');
+            stopDaemon();
+        };
+        process.on('SIGINT', onInterrupt);
+        process.on('SIGTERM', onInterrupt);
+
+        try {
+            if (daemon) {
+                this.stderr.write(`Watching ${store.list().length} watch list(s). Press Ctrl+C to stop.\n`);
+                scheduler.start();
+                await stopped;
+
+                // Wait for the running list to record its run
+                while (scheduler.checking) {
+                    await new Promise(resolve => setTimeout(resolve, 200));
+                }
+            } else if (name) {
+                await scheduler.runList(name);
+            } else {
+                await scheduler.runDueLists();
+
+                if (!runs.length && !values.quiet) {
+                    this.stderr.write('No watch list is due.\n');
+                }
+            }
+        } finally {
+            restoreConsole();
+            process.removeListener('SIGINT', onInterrupt);
+            process.removeListener('SIGTERM', onInterrupt);
+        }
+
+        // A daemon only ends when it is told to, so earlier failures don't make it fail
+        if (daemon) return EXIT_CODES.ok;
+
+        return this.getExitCode({
+            isComplete: runs.every(run => run.summary.isComplete),
+            error: runs.reduce((count, run) => count + run.summary.error, 0),
+            warning: runs.reduce((count, run) => count + run.summary.warning, 0)
+        });
+    }
+
+    /**
+     * Formats a watch list for "watch list"
+     * @param {Object} watchList - Watch list from the store
+     * @returns {string} - One line describing the list
+     */
+    formatWatchList(watchList) {
+        const lastRun = watchList.history[0];
+        const lastRunText = lastRun
+            ? `last run ${this.formatDate(lastRun.startedAt)} (${lastRun.summary.success} ok, ${lastRun.summary.warning} warn, ${lastRun.summary.error} fail)`
+            : 'never run';
+        const nextRunText = watchList.enabled ? `next run ${this.formatDate(watchList.nextRunAt)}` : 'disabled';
+
+        let changeText = '';
+        if (watchList.skipUnchanged) {
+            changeText = `, skips pages unchanged for ${watchList.skipUnchanged}`;
+        } else if (watchList.detectChanges) {
+            changeText = ', detects changes';
+        }
+
+        return `${watchList.name}: ${watchList.urls.length} URL(s), ${WatchSchedule.parse(watchList.cadence).describe().toLowerCase()}, ` +
+            `freshness ${watchList.freshness || 'cadence window'}${changeText}, ${lastRunText}, ${nextRunText}`;
+    }
+
+    /**
+     * Formats the run history of a watch list, with the archive URL of every URL per run
+     * @param {Object} watchList - Watch list from the store
+     * @returns {string} - History text
+     */
+    formatWatchHistory(watchList) {
+        if (!watchList.history.length) {
+            return `Watch list "${watchList.name}" has not run yet.\n`;
+        }
+
+        return watchList.history.map((run) => {
+            const header = `${this.formatDate(run.startedAt)} (freshness ${run.freshness}): ${run.summary.success} archived, ` +
+                `${run.summary.warning} unverified, ${run.summary.error} failed${run.summary.isComplete ? '' : ', stopped early'}`;
+            const lines = run.results.map((result) => {
+                const change = result.change ? ` [${result.change === 'first' ? 'first capture' : result.change}]` : '';
+                return `  ${result.status.toUpperCase()} ${result.url} ${result.archiveUrl || result.errorClass}${change}`.trimEnd();
+            });
+
+            return [header, ...lines].join('\n');
+        }).join('\n\n') + '\n';
+    }
+
+    /**
+     * Formats throughput statistics for the end of a run
+     * @param {Object} stats - StatusTracker.getStats() result
+     * @returns {string} - e.g. "4.2 URLs/min, 9.0s median and 31.4s p95 per URL, 0.0s throttled, 95% succeeded"
+     */
+    formatStats(stats) {
+        const formatTime = ms => (ms < 60000 ? `${(ms / 1000).toFixed(1)}s` : this.statusTracker.formatTime(ms));
+
+        return `${stats.urlsPerMinute.toFixed(1)} URLs/min, ${formatTime(stats.medianTime)} median and ` +
+            `${formatTime(stats.p95Time)} p95 per URL, ${formatTime(stats.throttledTime)} throttled, ` +
+            `${Math.round(stats.successRate * 100)}% succeeded`;
+    }
+
+    /**
+     * Formats a time for messages
+     * @param {number|null} time - Time in ms
+     * @returns {string} - Local date and time, e.g. "2026-10-19 09:00"
+     */
+    formatDate(time) {
+        if (!time) return 'never';
+
+        const date = new Date(time);
+        const pad = value => String(value).padStart(2, '0');
+
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+
+    /**
+     * Writes the results to a file, or to stdout
+     * @param {Array} results - Results in input order
+     * @param {string} format - Export format
+     * @param {string|undefined} out - Output file path
+     * @returns {Promise<void>}
+     */
+    async writeResults(results, format, out) {
+        const { content } = this.fileHandler.exportResults(results, format);
+
+        if (out) {
+            await writeFile(out, content, 'utf8');
+        } else {
+            this.stdout.write(content.endsWith('\n') || !content ? content : `${content}\n`);
+        }
+    }
+
+    /**
+     * Picks the exit code for a finished run
+     * @param {Object} summary - StatusTracker.getStatusSummary() result, with the number of `rejected` input lines or entries if any
+     * @returns {number} - Exit code (see EXIT_CODES)
+     */
+    getExitCode(summary) {
+        if (!summary.isComplete) return EXIT_CODES.interrupted;
+        if (summary.error > 0 || summary.rejected > 0) return EXIT_CODES.failed;
+        if (summary.warning > 0) return EXIT_CODES.unverified;
+
+        return EXIT_CODES.ok;
+    }
+
+    /**
+     * Sends the console output of the shared modules to stderr, or drops it
+     * Results go to stdout, so nothing else may be written there
+     * @param {boolean} verbose - Keep the messages (on stderr)
+     * @returns {Function} - Restores the original console methods
+     */
+    redirectConsole(verbose) {
+        const methods = ['log', 'info', 'debug', 'warn', 'error'];
+        const original = Object.fromEntries(methods.map(method => [method, console[method]]));
+
+        for (const method of methods) {
+            console[method] = verbose
+                ? (...args) => this.stderr.write(`${args.map(String).join(' ')}\n`)
+                : () => {};
+        }
+
+        return () => Object.assign(console, original);
+    }
+
+    /**
+     * Reads a whole stream as text
+     * @param {stream.Readable} stream - Stream to read
+     * @returns {Promise<string>} - Stream content
+     */
+    async readStream(stream) {
+        const chunks = [];
+        for await (const chunk of stream) {
+            chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+        }
+
+        return Buffer.concat(chunks).toString('utf8');
+    }
+
+    /**
+     * Gets the version from package.json
+     * @returns {Promise<string>} - Version number
+     */
+    async getVersion() {
+        const packageJson = JSON.parse(await readFile(new URL('../package.json', import.meta.url), 'utf8'));
+        return packageJson.version;
+    }
+
+    /**
+     * Reports a usage error
+     * @param {string} message - What was wrong
+     * @returns {number} - EXIT_CODES.usage
+     */
+    usageError(message) {
+        this.stderr.write(`wayback-archiver: ${message}\n\n${USAGE}\n`);
+        return EXIT_CODES.usage;
+    }
+}
@@ -0,0 +1,242 @@
+/**
+ * FileJobStore module
+ * Persists archiving jobs and their per-URL results in a directory, with the same interface
+ * as the IndexedDB JobStore of the browser app, so jobs of the job server survive a restart
+ */
+import { appendFile, mkdir, readdir, readFile, rename, rm, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+// Job IDs as created by createJob; anything else is refused so IDs can't point outside the directory
+const JOB_ID_PATTERN = /^job-\d+-[a-z0-9]+$/;
+
+export default class FileJobStore {
+    /**
+     * Constructor
+     * @param {Object} options - Store options
+     * @param {string} options.directory - Directory holding the job files (created on first write)
+     */
+    constructor(options = {}) {
+        this.directory = options.directory || 'wayback-jobs';
+
+        // Pending URL state writes per job, so appends of parallel workers stay in order
+        this.writeQueues = new Map();
+    }
+
+    /**
+     * Checks whether jobs can be persisted
+     * @returns {boolean} - Always true; errors surface when a write fails
+     */
+    isAvailable() {
+        return true;
+    }
+
+    /**
+     * Creates and stores a new job
+     * @param {Array} urls - URLs of the job, in processing order
+     * @param {Object} settings - Job settings to restore on resume (never include the API key)
+     * @returns {Promise<Object>} - The stored job record
+     */
+    async createJob(urls, settings = {}) {
+        const now = Date.now();
+        const job = {
+            id: `job-${now}-${Math.random().toString(36).slice(2, 8)}`,
+            createdAt: now,
+            updatedAt: now,
+            status: 'running',
+            urls: [...urls],
+            settings: { ...settings }
+        };
+
+        await mkdir(this.directory, { recursive: true });
+        await this._writeJob(job);
+        return job;
+    }
+
+    /**
+     * Updates the status of a job ("running", "stopped" or "completed")
+     * @param {string} jobId - Job ID
+     * @param {string} status - New status
+     * @returns {Promise<void>}
+     */
+    async setJobStatus(jobId, status) {
+        const job = await this._readJob(jobId);
+        if (!job) return;
+
+        job.status = status;
+        job.updatedAt = Date.now();
+        await this._writeJob(job);
+    }
+
+    /**
+     * Records the state of one URL of a job
+     * States are appended to a JSON Lines file; the last line of a URL wins
+     * @param {string} jobId - Job ID
+     * @param {string} url - The URL
+     * @param {string} state - "processing" or "done"
+     * @param {Object} result - Result object for finished URLs
+     * @returns {Promise<void>}
+     */
+    async saveUrlState(jobId, url, state, result = null) {
+        const line = `${JSON.stringify({ url, state, result, updatedAt: Date.now() })}\n`;
+
+        const previous = this.writeQueues.get(jobId) || Promise.resolve();
+        const write = previous.catch(() => {}).then(() => appendFile(this._urlsPath(jobId), line, 'utf8'));
+
+        this.writeQueues.set(jobId, write);
+        try {
+            await write;
+        } finally {
+            if (this.writeQueues.get(jobId) === write) {
+                this.writeQueues.delete(jobId);
+            }
+        }
+    }
+
+    /**
+     * Loads a job together with the results of its finished URLs
+     * @param {string} jobId - Job ID
+     * @returns {Promise<Object|null>} - Job record with `results` and `doneCount`, or null if not found
+     */
+    async getJob(jobId) {
+        const job = await this._readJob(jobId);
+        if (!job) return null;
+
+        const urlStates = new Map();
+        for (const record of await this._readUrlStates(jobId)) {
+            urlStates.set(record.url, record);
+        }
+
+        const results = [...urlStates.values()]
+            .filter(record => record.state === 'done' && record.result)
+            .map(record => record.result);
+
+        return { ...job, results, doneCount: results.length };
+    }
+
+    /**
+     * Lists all stored jobs
+     * @returns {Promise<Array>} - Jobs with `results` and `doneCount`, newest first
+     */
+    async listJobs() {
+        let fileNames;
+        try {
+            fileNames = await readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const jobs = [];
+        for (const fileName of fileNames) {
+            const jobId = path.basename(fileName, '.json');
+            if (!fileName.endsWith('.json') || !JOB_ID_PATTERN.test(jobId)) continue;
+
+            const job = await this.getJob(jobId);
+            if (job) jobs.push(job);
+        }
+
+        return jobs.sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    /**
+     * Lists jobs that did not complete (stopped, or interrupted while running)
+     * @returns {Promise<Array>} - Jobs with `results` and `doneCount`, newest first
+     */
+    async getUnfinishedJobs() {
+        const jobs = await this.listJobs();
+        return jobs.filter(job => job.status !== 'completed');
+    }
+
+    /**
+     * Deletes a job and all of its URL records
+     * @param {string} jobId - Job ID
+     * @returns {Promise<void>}
+     */
+    async deleteJob(jobId) {
+        if (!JOB_ID_PATTERN.test(jobId)) return;
+
+        await rm(this._jobPath(jobId), { force: true });
+        await rm(this._urlsPath(jobId), { force: true });
+    }
+
+    /**
+     * Reads a job record
+     * @param {string} jobId - Job ID
+     * @returns {Promise<Object|null>} - The job record, or null if there is no such job
+     * @private
+     */
+    async _readJob(jobId) {
+        if (!JOB_ID_PATTERN.test(String(jobId))) return null;
+
+        try {
+            return JSON.parse(await readFile(this._jobPath(jobId), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Writes a job record through a temporary file, so a crash never leaves half a record
+     * @param {Object} job - The job record
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _writeJob(job) {
+        const jobPath = this._jobPath(job.id);
+        const temporaryPath = `${jobPath}.tmp`;
+
+        await writeFile(temporaryPath, JSON.stringify(job), 'utf8');
+        await rename(temporaryPath, jobPath);
+    }
+
+    /**
+     * Reads the URL state records of a job
+     * @param {string} jobId - Job ID
+     * @returns {Promise<Array>} - Records in the order they were written
+     * @private
+     */
+    async _readUrlStates(jobId) {
+        let content;
+        try {
+            content = await readFile(this._urlsPath(jobId), 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const records = [];
+        for (const line of content.split('\n')) {
+            if (!line.trim()) continue;
+
+            try {
+                records.push(JSON.parse(line));
+            } catch (error) {
+                // A crash in the middle of an append leaves a partial last line
+                console.warn(`Ignoring unreadable URL state of job ${jobId}`);
+            }
+        }
+
+        return records;
+    }
+
+    /**
+     * Gets the path of a job record
+     * @param {string} jobId - Job ID
+     * @returns {string} - File path
+     * @private
+     */
+    _jobPath(jobId) {
+        return path.join(this.directory, `${jobId}.json`);
+    }
+
+    /**
+     * Gets the path of the URL states of a job
+     * @param {string} jobId - Job ID
+     * @returns {string} - File path
+     * @private
+     */
+    _urlsPath(jobId) {
+        return path.join(this.directory, `${jobId}.urls.jsonl`);
+    }
+}
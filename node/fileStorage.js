@@ -0,0 +1,76 @@
+/**
+ * FileStorage module
+ * Minimal synchronous stand-in for localStorage that keeps its items in a JSON file,
+ * so stores written for the browser, such as the watch list store, work on the command line
+ */
+import { mkdirSync, readFileSync, renameSync, writeFileSync } from 'node:fs';
+import path from 'node:path';
+
+export default class FileStorage {
+    /**
+     * Constructor
+     * @param {string} filePath - JSON file holding the items (created on first write)
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+    }
+
+    /**
+     * Gets an item
+     * The file is read on every call, so changes made by another process are seen
+     * @param {string} key - Item key
+     * @returns {string|null} - The item, or null if it isn't set
+     */
+    getItem(key) {
+        const items = this._read();
+        return Object.prototype.hasOwnProperty.call(items, key) ? items[key] : null;
+    }
+
+    /**
+     * Sets an item
+     * @param {string} key - Item key
+     * @param {string} value - Item value
+     */
+    setItem(key, value) {
+        const items = this._read();
+        items[key] = String(value);
+        this._write(items);
+    }
+
+    /**
+     * Removes an item
+     * @param {string} key - Item key
+     */
+    removeItem(key) {
+        const items = this._read();
+        delete items[key];
+        this._write(items);
+    }
+
+    /**
+     * Reads all items
+     * @returns {Object} - Items by key (empty if the file doesn't exist yet)
+     * @private
+     */
+    _read() {
+        try {
+            return JSON.parse(readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return {};
+            throw error;
+        }
+    }
+
+    /**
+     * Writes all items through a temporary file, so a crash never leaves half a file
+     * @param {Object} items - Items by key
+     * @private
+     */
+    _write(items) {
+        const temporaryPath = `${this.filePath}.tmp`;
+
+        mkdirSync(path.dirname(this.filePath), { recursive: true });
+        writeFileSync(temporaryPath, JSON.stringify(items, null, 2), 'utf8');
+        renameSync(temporaryPath, this.filePath);
+    }
+}
@@ -0,0 +1,713 @@
+/**
+ * JobServer module
+ * Local HTTP service that runs archiving jobs submitted by other tools:
+ *   GET    /jobs              - list jobs
+ *   POST   /jobs              - start a job from { urls | text, concurrency, freshness, detectChanges, skipUnchanged,
+ *                                captureOptions, canonicalRules, filterRules }
+ *   GET    /jobs/:id          - job status and progress summary
+ *   GET    /jobs/:id/results  - results, ?format=csv|json|jsonl|markdown|html and ?filter=all|succeeded|failed
+ *   GET    /jobs/:id/events   - server-sent events with per-URL updates
+ *   POST   /jobs/:id/pause    - hold a running job after the URLs in progress
+ *   POST   /jobs/:id/resume   - continue a paused job with the next pending URL
+ *   DELETE /jobs/:id          - stop a job (?purge=true also deletes it)
+ * Jobs are persisted, and jobs that were running when the server went down are resumed on start.
+ */
+import http from 'node:http';
+
+import WaybackAPI from '../js/modules/waybackAPI.js';
+import URLProcessor from '../js/modules/urlProcessor.js';
+import FileHandler from '../js/modules/fileHandler.js';
+import StatusTracker from '../js/modules/statusTracker.js';
+import RequestScheduler from '../js/modules/requestScheduler.js';
+import FreshnessPolicy from '../js/modules/freshnessPolicy.js';
+import ArchiveWorkflow from '../js/modules/archiveWorkflow.js';
+
+// Largest request body accepted by POST /jobs
+const MAX_BODY_SIZE = 5 * 1024 * 1024;
+
+// Interval of the comments that keep idle event streams open through proxies
+const KEEP_ALIVE_INTERVAL = 15000;
+
+// How long a job waits before trying again after pausing because the Wayback Machine stopped responding
+const PAUSE_RETRY_DELAY = 60 * 1000;
+
+// /jobs, /jobs/:id and /jobs/:id/(results|events|pause|resume)
+const ROUTE_PATTERN = /^\/jobs(?:\/([^/]+)(?:\/(results|events|pause|resume))?)?\/?$/;
+
+export default class JobServer {
+    /**
+     * Constructor
+     * @param {Object} options - Server options
+     * @param {FileJobStore} options.store - Where jobs and results are persisted
+     * @param {string} options.apiKey - Save Page Now key used for every job (never persisted)
+     * @param {number} options.timeout - Request timeout in ms
+     * @param {Function} options.fetch - Transport for the Wayback API (defaults to the global fetch)
+     */
+    constructor(options = {}) {
+        this.store = options.store;
+        this.apiKey = options.apiKey || null;
+        this.timeout = options.timeout || 15000;
+        this.fetch = options.fetch || null;
+
+        // One rate limiter for all jobs, since they share the same Wayback Machine budget
+        this.scheduler = new RequestScheduler();
+        this.scheduler.setThrottleCallback(({ until }) => {
+            for (const run of this.runs.values()) {
+                run.statusTracker.recordThrottle(until);
+            }
+        });
+        this.fileHandler = new FileHandler(new URLProcessor());
+
+        // Jobs running in this process by ID: { job, statusTracker, workflow, clients, purge, done, resumeTimer }
+        this.runs = new Map();
+
+        this.server = null;
+        this.keepAliveTimer = null;
+        this.closing = false;
+    }
+
+    /**
+     * Resumes interrupted jobs and starts listening
+     * @param {number} port - TCP port (0 picks a free one)
+     * @param {string} host - Interface to listen on
+     * @returns {Promise<Object>} - The bound address ({ address, port })
+     */
+    async start(port = 8787, host = '127.0.0.1') {
+        await this.resumeInterruptedJobs();
+
+        this.server = http.createServer((request, response) => this.handleRequest(request, response));
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, resolve);
+        });
+
+        this.keepAliveTimer = setInterval(() => {
+            for (const run of this.runs.values()) {
+                run.clients.forEach(client => client.write(': keep-alive\n\n'));
+            }
+        }, KEEP_ALIVE_INTERVAL);
+        this.keepAliveTimer.unref();
+
+        return this.server.address();
+    }
+
+    /**
+     * Stops listening and closes the event streams
+     * Running jobs keep the "running" status in the store, so the next start resumes them
+     * @returns {Promise<void>}
+     */
+    async close() {
+        this.closing = true;
+        clearInterval(this.keepAliveTimer);
+
+        for (const run of this.runs.values()) {
+            run.statusTracker.stop();
+            run.clients.forEach(client => client.end());
+            run.clients.clear();
+        }
+
+        if (this.server) {
+            await new Promise(resolve => this.server.close(() => resolve()));
+            this.server = null;
+        }
+    }
+
+    /**
+     * Restarts the jobs that were still running when the server stopped
+     * Stopped jobs stay stopped
+     * @returns {Promise<void>}
+     */
+    async resumeInterruptedJobs() {
+        const jobs = await this.store.getUnfinishedJobs();
+
+        for (const job of jobs) {
+            if (job.status !== 'running') continue;
+
+            console.log(`Resuming job ${job.id}: ${job.doneCount} of ${job.urls.length} URLs already done`);
+            this.runJob(job, job.results);
+        }
+    }
+
+    /**
+     * Routes a request to its handler and turns thrown errors into JSON error responses
+     * @param {http.IncomingMessage} request - The request
+     * @param {http.ServerResponse} response - The response
+     * @returns {Promise<void>}
+     */
+    async handleRequest(request, response) {
+        try {
+            const { pathname, searchParams } = new URL(request.url, 'http://localhost');
+            const match = pathname.match(ROUTE_PATTERN);
+
+            if (!match) {
+                throw this._httpError(404, 'Not found');
+            }
+
+            const [, jobId, resource] = match;
+            const route = `${request.method} ${resource || (jobId ? 'job' : 'jobs')}`;
+
+            switch (route) {
+                case 'GET jobs':
+                    return this._sendJson(response, 200, { jobs: await this.listJobs() });
+                case 'POST jobs':
+                    return await this.createJob(request, response);
+                case 'GET job':
+                    return this._sendJson(response, 200, await this.getJob(jobId));
+                case 'DELETE job':
+                    return await this.stopJob(jobId, searchParams.get('purge') === 'true', response);
+                case 'GET results':
+                    return await this.sendResults(jobId, searchParams, response);
+                case 'GET events':
+                    return await this.streamEvents(jobId, request, response);
+                case 'POST pause':
+                    return this._sendJson(response, 200, await this.pauseJob(jobId));
+                case 'POST resume':
+                    return this._sendJson(response, 200, await this.resumeJob(jobId));
+                default:
+                    throw this._httpError(405, `${request.method} is not supported here`);
+            }
+        } catch (error) {
+            if (!error.status) {
+                console.error('Error handling request:', error);
+            }
+
+            if (!response.headersSent) {
+                this._sendJson(response, error.status || 500, {
+                    error: error.status ? error.message : 'Internal server error',
+                    ...(error.details || {})
+                });
+            } else {
+                response.end();
+            }
+        }
+    }
+
+    /**
+     * Lists all jobs with their progress
+     * @returns {Promise<Array>} - Job descriptions, newest first
+     */
+    async listJobs() {
+        const jobs = await this.store.listJobs();
+        return jobs.map((job) => {
+            const run = this.runs.get(job.id);
+            return run ? this.describeJob(run.job, run.statusTracker.getStatusSummary()) : this.describeJob(job);
+        });
+    }
+
+    /**
+     * Validates a POST /jobs request, stores the job and starts it
+     * Lines that aren't usable URLs are returned as `rejected` (as in the parse report of the page)
+     * @param {http.IncomingMessage} request - The request
+     * @param {http.ServerResponse} response - The response
+     * @returns {Promise<void>}
+     */
+    async createJob(request, response) {
+        const payload = await this._readJson(request);
+        const settings = this.parseJobSettings(payload);
+
+        let text = payload.text;
+        if (Array.isArray(payload.urls)) {
+            text = payload.urls.map(String).join('\n');
+        }
+        if (typeof text !== 'string') {
+            throw this._httpError(400, 'Give the URLs as "urls" (an array) or "text" (one URL per line)');
+        }
+
+        const urlProcessor = new URLProcessor({ canonicalRules: settings.canonicalRules });
+        const report = urlProcessor.parseTextWithReport(text);
+
+        const filterRules = urlProcessor.parseFilterRules(settings.filterRules);
+        if (filterRules.errors.length) {
+            throw this._httpError(400, 'Invalid filter rules', { errors: filterRules.errors });
+        }
+
+        // Canonicalize first, so per-URL capture options follow their URL
+        const urlCaptureOptions = {};
+        const canonicalUrls = report.entries.map(entry => {
+            const url = urlProcessor.canonicalizeUrl(entry.url);
+            if (entry.captureOptions) {
+                urlCaptureOptions[url] = { ...urlCaptureOptions[url], ...entry.captureOptions };
+            }
+            return url;
+        });
+
+        const filtered = urlProcessor.filterUrls(canonicalUrls, filterRules.rules);
+        const duplicateCheck = urlProcessor.findDuplicates(filtered.urls);
+
+        if (!duplicateCheck.uniqueUrls.length) {
+            throw this._httpError(400, 'No valid URLs found', { rejected: report.rejected, removed: filtered.removed.length });
+        }
+
+        const job = await this.store.createJob(duplicateCheck.uniqueUrls, { ...settings, urlCaptureOptions });
+        this.runJob(job);
+
+        response.setHeader('Location', `/jobs/${job.id}`);
+        this._sendJson(response, 201, {
+            ...this.describeJob(job),
+            rejected: report.rejected,
+            removed: filtered.removed.length,
+            duplicates: duplicateCheck.duplicates.length
+        });
+    }
+
+    /**
+     * Validates the settings of a new job
+     * @param {Object} payload - Parsed POST /jobs body
+     * @returns {Object} - { concurrency, freshness, detectChanges, skipUnchanged, captureOptions, canonicalRules, filterRules }
+     * @throws {Error} - A 400 error naming the invalid setting
+     */
+    parseJobSettings(payload) {
+        const concurrency = payload.concurrency === undefined ? 1 : Number(payload.concurrency);
+        if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > 8) {
+            throw this._httpError(400, '"concurrency" must be a whole number from 1 to 8');
+        }
+
+        const freshness = payload.freshness === undefined ? 'any' : String(payload.freshness);
+        try {
+            FreshnessPolicy.parse(freshness);
+        } catch (error) {
+            throw this._httpError(400, error.message);
+        }
+
+        if (payload.detectChanges !== undefined && typeof payload.detectChanges !== 'boolean') {
+            throw this._httpError(400, '"detectChanges" must be true or false');
+        }
+
+        const skipUnchanged = payload.skipUnchanged ? String(payload.skipUnchanged).trim().toLowerCase() : '';
+        if (skipUnchanged && FreshnessPolicy.parseAge(skipUnchanged) === null) {
+            throw this._httpError(400, '"skipUnchanged" must be an age such as "30d" or "12h"');
+        }
+
+        for (const name of ['captureOptions', 'canonicalRules']) {
+            const value = payload[name];
+            if (value !== undefined && (value === null || typeof value !== 'object' || Array.isArray(value))) {
+                throw this._httpError(400, `"${name}" must be an object`);
+            }
+        }
+
+        if (payload.filterRules !== undefined && typeof payload.filterRules !== 'string') {
+            throw this._httpError(400, '"filterRules" must be a string with one rule per line');
+        }
+
+        return {
+            concurrency,
+            freshness,
+            detectChanges: Boolean(payload.detectChanges),
+            skipUnchanged,
+            captureOptions: payload.captureOptions || {},
+            canonicalRules: payload.canonicalRules || null,
+            filterRules: payload.filterRules || ''
+        };
+    }
+
+    /**
+     * Runs a stored job in the background and records every URL state in the store
+     * @param {Object} job - Job record from the store
+     * @param {Array} previousResults - Results of URLs that finished before a restart
+     */
+    runJob(job, previousResults = []) {
+        const urlProcessor = new URLProcessor({ canonicalRules: job.settings.canonicalRules });
+        const statusTracker = new StatusTracker();
+
+        // Each job gets its own client, so it looks URLs up with its own canonicalization rules
+        const workflow = new ArchiveWorkflow({
+            waybackAPI: new WaybackAPI({
+                apiKey: this.apiKey,
+                timeout: this.timeout,
+                fetch: this.fetch || undefined,
+                canonicalizeUrl: url => urlProcessor.canonicalizeUrl(url),
+                scheduler: this.scheduler
+            }),
+            statusTracker,
+            fileHandler: this.fileHandler
+        });
+
+        const run = { job, statusTracker, workflow, clients: new Set(), purge: false, done: null, resumeTimer: null };
+        this.runs.set(job.id, run);
+
+        workflow.setUrlStartCallback((url) => {
+            this._broadcast(run, 'url-start', { url });
+            return this._saveUrlState(job.id, url, 'processing');
+        });
+        workflow.setUrlDoneCallback((url, result) => this._saveUrlState(job.id, url, 'done', result));
+        statusTracker.on('phase-changed', ({ url, phase }) => {
+            this._broadcast(run, 'url-phase', { url, phase });
+        });
+        workflow.setResultCallback((result) => {
+            this._broadcast(run, 'url-done', { url: result.url, result, summary: statusTracker.getStatusSummary() });
+        });
+
+        // Clients see pauses as status changes; a pause caused by the Wayback Machine not responding is retried later
+        statusTracker.on('job-paused', ({ reason }) => {
+            this._broadcast(run, 'status', this.describeJob(job, statusTracker.getStatusSummary()));
+
+            if (reason === 'unreachable') {
+                run.resumeTimer = setTimeout(() => {
+                    if (statusTracker.pauseReason === 'unreachable') statusTracker.resume();
+                }, PAUSE_RETRY_DELAY);
+            }
+        });
+        statusTracker.on('job-resumed', () => {
+            clearTimeout(run.resumeTimer);
+            this._broadcast(run, 'status', this.describeJob(job, statusTracker.getStatusSummary()));
+        });
+
+        statusTracker.initialize(job.urls, previousResults);
+        run.done = this._execute(run);
+    }
+
+    /**
+     * Processes the URLs of a running job and records how it ended
+     * @param {Object} run - Run state (see runJob)
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _execute(run) {
+        const { job, statusTracker, workflow } = run;
+
+        try {
+            workflow.configure(job.settings);
+            await workflow.run(job.urls, job.settings.concurrency);
+        } catch (error) {
+            console.error(`Error running job ${job.id}:`, error);
+        }
+
+        clearTimeout(run.resumeTimer);
+        statusTracker.complete();
+
+        // A job stopped by close() stays "running" so it is resumed on the next start
+        if (this.closing) {
+            this.runs.delete(job.id);
+            return;
+        }
+
+        const summary = statusTracker.getStatusSummary();
+        job.status = summary.isComplete ? 'completed' : 'stopped';
+        job.updatedAt = Date.now();
+
+        try {
+            if (run.purge) {
+                await this.store.deleteJob(job.id);
+            } else {
+                await this.store.setJobStatus(job.id, job.status);
+            }
+        } catch (error) {
+            console.error(`Error saving the status of job ${job.id}:`, error);
+        }
+
+        this._broadcast(run, 'status', this.describeJob(job, summary));
+        run.clients.forEach(client => client.end());
+        this.runs.delete(job.id);
+    }
+
+    /**
+     * Gets a job with its progress summary
+     * @param {string} jobId - Job ID
+     * @returns {Promise<Object>} - Job description
+     * @throws {Error} - A 404 error if there is no such job
+     */
+    async getJob(jobId) {
+        const run = this.runs.get(jobId);
+        if (run) {
+            return this.describeJob(run.job, run.statusTracker.getStatusSummary());
+        }
+
+        return this.describeJob(await this._loadJob(jobId));
+    }
+
+    /**
+     * Describes a job for API responses
+     * The per-URL capture options and the URL list are left out, since they can be large.
+     * A running job that is paused has the status "paused".
+     * @param {Object} job - Job record (with `results` for stored jobs)
+     * @param {Object} summary - StatusTracker.getStatusSummary() result (computed from the results if omitted)
+     * @returns {Object} - { id, status, createdAt, updatedAt, settings, summary }
+     */
+    describeJob(job, summary = null) {
+        const { urlCaptureOptions, ...settings } = job.settings;
+
+        if (!summary) {
+            const statusTracker = this._trackerFor(job);
+            summary = {
+                ...statusTracker.getStatusSummary(),
+                isStopped: job.status === 'stopped',
+                elapsedTime: job.updatedAt - job.createdAt
+            };
+        }
+
+        return {
+            id: job.id,
+            status: summary.isPaused ? 'paused' : job.status,
+            createdAt: new Date(job.createdAt).toISOString(),
+            updatedAt: new Date(job.updatedAt).toISOString(),
+            settings,
+            summary
+        };
+    }
+
+    /**
+     * Stops a running job, and optionally deletes it
+     * @param {string} jobId - Job ID
+     * @param {boolean} purge - Also delete the job and its results
+     * @param {http.ServerResponse} response - The response
+     * @returns {Promise<void>}
+     */
+    async stopJob(jobId, purge, response) {
+        const run = this.runs.get(jobId);
+
+        if (run) {
+            // The URLs in progress finish first; the job is saved as "stopped" (or deleted) after that
+            run.purge = run.purge || purge;
+            run.statusTracker.stop();
+
+            const description = { ...this.describeJob(run.job, run.statusTracker.getStatusSummary()), status: 'stopping' };
+            this._broadcast(run, 'status', description);
+            return this._sendJson(response, 202, description);
+        }
+
+        const job = await this._loadJob(jobId);
+
+        if (purge) {
+            await this.store.deleteJob(job.id);
+            response.writeHead(204);
+            return response.end();
+        }
+
+        this._sendJson(response, 200, this.describeJob(job));
+    }
+
+    /**
+     * Pauses a running job; the URLs in progress finish, the others wait for a resume
+     * @param {string} jobId - Job ID
+     * @returns {Promise<Object>} - Job description
+     * @throws {Error} - A 404 error if there is no such job, a 409 error if it isn't running
+     */
+    async pauseJob(jobId) {
+        const run = await this._runningJob(jobId);
+
+        run.statusTracker.pause('user');
+        return this.describeJob(run.job, run.statusTracker.getStatusSummary());
+    }
+
+    /**
+     * Resumes a paused job with the next pending URL
+     * @param {string} jobId - Job ID
+     * @returns {Promise<Object>} - Job description
+     * @throws {Error} - A 404 error if there is no such job, a 409 error if it isn't running
+     */
+    async resumeJob(jobId) {
+        const run = await this._runningJob(jobId);
+
+        run.statusTracker.resume();
+        return this.describeJob(run.job, run.statusTracker.getStatusSummary());
+    }
+
+    /**
+     * Gets the run of a job that is running in this process
+     * @param {string} jobId - Job ID
+     * @returns {Promise<Object>} - Run state (see runJob)
+     * @throws {Error} - A 404 error if there is no such job, a 409 error if it isn't running
+     * @private
+     */
+    async _runningJob(jobId) {
+        const run = this.runs.get(jobId);
+        if (run && !run.statusTracker.shouldStop) {
+            return run;
+        }
+
+        const job = run ? run.job : await this._loadJob(jobId);
+        throw this._httpError(409, `Job ${job.id} isn't running`);
+    }
+
+    /**
+     * Sends the results of a job in one of the export formats
+     * @param {string} jobId - Job ID
+     * @param {URLSearchParams} searchParams - format (default json) and filter (default all)
+     * @param {http.ServerResponse} response - The response
+     * @returns {Promise<void>}
+     */
+    async sendResults(jobId, searchParams, response) {
+        const run = this.runs.get(jobId);
+        const statusTracker = run ? run.statusTracker : this._trackerFor(await this._loadJob(jobId));
+
+        const filter = searchParams.get('filter') || 'all';
+        if (!['all', 'succeeded', 'failed'].includes(filter)) {
+            throw this._httpError(400, `Unknown filter "${filter}" (use all, succeeded or failed)`);
+        }
+
+        let exported;
+        try {
+            const results = this.fileHandler.filterResults(statusTracker.getResults(), filter);
+            exported = this.fileHandler.exportResults(results, searchParams.get('format') || 'json');
+        } catch (error) {
+            throw this._httpError(400, error.message);
+        }
+
+        response.writeHead(200, { 'Content-Type': `${exported.mimeType}; charset=utf-8` });
+        response.end(exported.content);
+    }
+
+    /**
+     * Streams server-sent events for a job:
+     * "job" with the current state on connect, "url-start", "url-phase" and "url-done" for every URL,
+     * and "status" when the job is stopping or has ended (the stream closes after the final one)
+     * @param {string} jobId - Job ID
+     * @param {http.IncomingMessage} request - The request
+     * @param {http.ServerResponse} response - The response
+     * @returns {Promise<void>}
+     */
+    async streamEvents(jobId, request, response) {
+        const run = this.runs.get(jobId);
+        const description = run
+            ? this.describeJob(run.job, run.statusTracker.getStatusSummary())
+            : this.describeJob(await this._loadJob(jobId));
+
+        response.writeHead(200, {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive'
+        });
+        response.write(this._formatEvent('job', description));
+
+        // Finished jobs have nothing more to send
+        if (!run) {
+            response.end();
+            return;
+        }
+
+        run.clients.add(response);
+        request.on('close', () => run.clients.delete(response));
+    }
+
+    /**
+     * Loads a stored job
+     * @param {string} jobId - Job ID
+     * @returns {Promise<Object>} - Job record with results
+     * @throws {Error} - A 404 error if there is no such job
+     * @private
+     */
+    async _loadJob(jobId) {
+        const job = await this.store.getJob(jobId);
+        if (!job) {
+            throw this._httpError(404, `Job ${jobId} not found`);
+        }
+
+        return job;
+    }
+
+    /**
+     * Builds a status tracker holding the stored results of a job
+     * @param {Object} job - Job record with results
+     * @returns {StatusTracker} - Tracker for summaries and ordered results
+     * @private
+     */
+    _trackerFor(job) {
+        const statusTracker = new StatusTracker();
+        statusTracker.initialize(job.urls, job.results || []);
+        statusTracker.complete();
+
+        return statusTracker;
+    }
+
+    /**
+     * Records the state of a URL; a failing write is logged but never stops the job
+     * @param {string} jobId - Job ID
+     * @param {string} url - The URL
+     * @param {string} state - "processing" or "done"
+     * @param {Object} result - Result object for finished URLs
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _saveUrlState(jobId, url, state, result = null) {
+        try {
+            await this.store.saveUrlState(jobId, url, state, result);
+        } catch (error) {
+            console.error(`Error saving URL state of job ${jobId}:`, error);
+        }
+    }
+
+    /**
+     * Sends an event to every stream of a job
+     * @param {Object} run - Run state (see runJob)
+     * @param {string} event - Event name
+     * @param {Object} data - Event data (sent as JSON)
+     * @private
+     */
+    _broadcast(run, event, data) {
+        const message = this._formatEvent(event, data);
+        run.clients.forEach(client => client.write(message));
+    }
+
+    /**
+     * Formats a server-sent event
+     * @param {string} event - Event name
+     * @param {Object} data - Event data (sent as JSON on a single line)
+     * @returns {string} - The event
+     * @private
+     */
+    _formatEvent(event, data) {
+        return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    }
+
+    /**
+     * Reads and parses a JSON request body
+     * @param {http.IncomingMessage} request - The request
+     * @returns {Promise<Object>} - The parsed body
+     * @throws {Error} - A 413 error for oversized bodies, a 400 error for invalid JSON
+     * @private
+     */
+    async _readJson(request) {
+        const chunks = [];
+        let size = 0;
+
+        for await (const chunk of request) {
+            size += chunk.length;
+            if (size > MAX_BODY_SIZE) {
+                throw this._httpError(413, `Request body is larger than ${MAX_BODY_SIZE} bytes`);
+            }
+            chunks.push(chunk);
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        } catch (error) {
+            throw this._httpError(400, `Invalid JSON: ${error.message}`);
+        }
+
+        if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+            throw this._httpError(400, 'The request body must be a JSON object');
+        }
+
+        return payload;
+    }
+
+    /**
+     * Sends a JSON response
+     * @param {http.ServerResponse} response - The response
+     * @param {number} status - HTTP status
+     * @param {Object} body - Response body
+     * @private
+     */
+    _sendJson(response, status, body) {
+        response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+        response.end(`${JSON.stringify(body, null, 2)}\n`);
+    }
+
+    /**
+     * Creates an error that is answered with an HTTP status
+     * @param {number} status - HTTP status
+     * @param {string} message - Error message
+     * @param {Object} details - Extra fields for the error response
+     * @returns {Error} - The error
+     * @private
+     */
+    _httpError(status, message, details = null) {
+        const error = new Error(message);
+        error.status = status;
+        error.details = details;
+
+        return error;
+    }
+}
@@ -0,0 +1,87 @@
+/**
+ * ProgressBar module
+ * Draws archiving progress on a terminal, or writes one line per finished URL when the output isn't a terminal
+ */
+
+// Width of the bar in characters
+const BAR_WIDTH = 30;
+
+export default class ProgressBar {
+    /**
+     * Constructor
+     * @param {Object} options - Progress bar options
+     * @param {stream.Writable} options.stream - Where to draw (defaults to stderr, so stdout stays free for results)
+     * @param {Function} options.formatTime - Formats milliseconds for the ETA, e.g. StatusTracker.formatTime
+     */
+    constructor(options = {}) {
+        this.stream = options.stream || process.stderr;
+        this.formatTime = options.formatTime || (ms => `${Math.round(ms / 1000)}s`);
+
+        // Redraw a single line on terminals; log files get one line per URL instead
+        this.interactive = Boolean(this.stream.isTTY);
+        this.lastLine = '';
+    }
+
+    /**
+     * Draws the current progress
+     * @param {Object} summary - StatusTracker.getStatusSummary() result
+     * @param {number|null} eta - Estimated time remaining in ms (null while unknown)
+     */
+    update(summary, eta = null) {
+        if (!this.interactive) return;
+
+        const ratio = summary.total ? summary.processed / summary.total : 0;
+        const filled = Math.round(ratio * BAR_WIDTH);
+        const bar = `${'#'.repeat(filled)}${'-'.repeat(BAR_WIDTH - filled)}`;
+        const etaText = eta ? ` ETA ${this.formatTime(eta)}` : '';
+
+        const line = `[${bar}] ${summary.progress}% ${summary.processed}/${summary.total}` +
+            ` ok ${summary.success} warn ${summary.warning} fail ${summary.error}${etaText}`;
+
+        // Pad with spaces so a shorter line fully covers the previous one
+        this.stream.write(`\r${line.padEnd(this.lastLine.length)}`);
+        this.lastLine = line;
+    }
+
+    /**
+     * Reports a finished URL
+     * On terminals the line is printed above the bar, otherwise it is the only output
+     * @param {Object} result - Result from the status tracker
+     * @param {Object} summary - StatusTracker.getStatusSummary() result
+     */
+    log(result, summary) {
+        let status = 'FAIL';
+        if (result.success) {
+            status = 'OK';
+        } else if (result.warning) {
+            status = 'WARN';
+        }
+
+        const target = result.archiveUrl || result.errorClass || result.message || '';
+        const change = result.change ? ` [${result.change === 'first' ? 'first capture' : result.change}]` : '';
+        const line = `[${summary.processed}/${summary.total}] ${status} ${result.url} ${target}${change}`.trim();
+
+        this.clear();
+        this.stream.write(`${line}\n`);
+    }
+
+    /**
+     * Removes the bar so other output can be written on its line
+     */
+    clear() {
+        if (!this.interactive || !this.lastLine) return;
+
+        this.stream.write(`\r${' '.repeat(this.lastLine.length)}\r`);
+        this.lastLine = '';
+    }
+
+    /**
+     * Finishes the bar and moves to a new line
+     */
+    done() {
+        if (this.interactive && this.lastLine) {
+            this.stream.write('\n');
+            this.lastLine = '';
+        }
+    }
+}
@@ -0,0 +1,79 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import CsvParser from '../js/modules/csvParser.js';
+
+describe('CsvParser', () => {
+    const parser = new CsvParser();
+
+    describe('parse', () => {
+        it('splits rows and fields', () => {
+            assert.deepEqual(parser.parse('a,b,c\n1,2,3'), [['a', 'b', 'c'], ['1', '2', '3']]);
+        });
+
+        it('reads quoted fields with delimiters, doubled quotes and line breaks', () => {
+            const rows = parser.parse('url,note\r\n"https://a.com/?x=1,2","He said ""hi""\r\nthen left"\r\n');
+
+            assert.deepEqual(rows, [
+                ['url', 'note'],
+                ['https://a.com/?x=1,2', 'He said "hi"\r\nthen left']
+            ]);
+        });
+
+        it('treats CRLF, LF and CR as one line break each', () => {
+            assert.deepEqual(parser.parse('a\r\nb\nc\rd'), [['a'], ['b'], ['c'], ['d']]);
+        });
+
+        it('keeps empty fields and skips blank lines', () => {
+            assert.deepEqual(parser.parse('a,,c\n\n,\n1,2,'), [['a', '', 'c'], ['1', '2', '']]);
+        });
+
+        it('strips a byte order mark', () => {
+            assert.deepEqual(parser.parse('\uFEFFurl\nhttps://a.com'), [['url'], ['https://a.com']]);
+        });
+
+        it('detects semicolon and tab delimiters', () => {
+            assert.deepEqual(parser.parse('a;b\n1;"2;3"'), [['a', 'b'], ['1', '2;3']]);
+            assert.deepEqual(parser.parse('a\tb\n1\t2'), [['a', 'b'], ['1', '2']]);
+        });
+
+        it('uses a given delimiter', () => {
+            assert.deepEqual(parser.parse('a;b,c', { delimiter: ',' }), [['a;b', 'c']]);
+        });
+    });
+
+    describe('detectDelimiter', () => {
+        it('ignores delimiters inside quotes', () => {
+            assert.equal(parser.detectDelimiter('"a,b,c";d;e\n1;2;3'), ';');
+        });
+
+        it('defaults to a comma', () => {
+            assert.equal(parser.detectDelimiter('url'), ',');
+        });
+    });
+
+    describe('guessUrlColumn and hasHeaderRow', () => {
+        const rows = parser.parse('Title,Link\nHome,https://a.com\nDocs,https://a.com/docs');
+
+        it('picks the column with the most URLs', () => {
+            assert.equal(parser.guessUrlColumn(rows), 1);
+        });
+
+        it('recognizes a header row', () => {
+            assert.equal(parser.hasHeaderRow(rows, 1), true);
+            assert.equal(parser.hasHeaderRow(rows.slice(1), 1), false);
+        });
+    });
+
+    describe('formatRow', () => {
+        it('quotes only fields that need it', () => {
+            assert.equal(parser.formatRow(['a', 'b,c', 'say "hi"', 'x\ny', null, undefined, 3]),
+                'a,"b,c","say ""hi""","x\ny",,,3');
+        });
+
+        it('round-trips through parse', () => {
+            const fields = ['https://a.com/?q=1,2', 'quote "x"', 'line\r\nbreak'];
+            assert.deepEqual(parser.parse(parser.formatRow(fields)), [fields]);
+        });
+    });
+});
@@ -0,0 +1,110 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DOMParser } from '@xmldom/xmldom';
+
+import FeedParser from '../js/modules/feedParser.js';
+
+describe('FeedParser', () => {
+    const parser = new FeedParser({ DOMParser });
+
+    describe('isFeed', () => {
+        it('recognizes XML documents and feed roots', () => {
+            assert.equal(parser.isFeed('\uFEFF<?xml version="1.0"?><urlset/>'), true);
+            assert.equal(parser.isFeed('<rss version="2.0">'), true);
+            assert.equal(parser.isFeed('https://a.com/sitemap.xml'), false);
+        });
+    });
+
+    describe('parse', () => {
+        it('reads sitemap locations with their modification dates', () => {
+            const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+    <url><loc> https://a.com/ </loc><lastmod>2024-05-01</lastmod></url>
+    <url><loc>https://a.com/about</loc><lastmod>not a date</lastmod></url>
+    <url><lastmod>2024-05-01</lastmod></url>
+</urlset>`;
+
+            const result = parser.parse(xml);
+
+            assert.equal(result.type, 'sitemap');
+            assert.deepEqual(result.entries.map(entry => entry.url), ['https://a.com/', 'https://a.com/about']);
+            assert.equal(result.entries[0].lastmod.toISOString(), '2024-05-01T00:00:00.000Z');
+            assert.equal(result.entries[1].lastmod, null);
+        });
+
+        it('lists the child sitemaps of a sitemap index', () => {
+            const xml = `<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+    <sitemap><loc>https://a.com/sitemap-1.xml</loc></sitemap>
+    <sitemap><loc>https://a.com/sitemap-2.xml</loc></sitemap>
+</sitemapindex>`;
+
+            const result = parser.parse(xml);
+
+            assert.equal(result.type, 'sitemapindex');
+            assert.deepEqual(result.entries, []);
+            assert.deepEqual(result.sitemaps.map(sitemap => sitemap.url), ['https://a.com/sitemap-1.xml', 'https://a.com/sitemap-2.xml']);
+        });
+
+        it('reads RSS 2.0 links and permalink guids', () => {
+            const xml = `<rss version="2.0"><channel>
+    <item><link>https://a.com/1</link><pubDate>Wed, 01 May 2024 10:00:00 GMT</pubDate></item>
+    <item><guid>https://a.com/2</guid></item>
+    <item><guid isPermaLink="false">tag:a.com,2024:3</guid></item>
+</channel></rss>`;
+
+            const result = parser.parse(xml);
+
+            assert.equal(result.type, 'rss');
+            assert.deepEqual(result.entries.map(entry => entry.url), ['https://a.com/1', 'https://a.com/2']);
+            assert.equal(result.entries[0].lastmod.toISOString(), '2024-05-01T10:00:00.000Z');
+        });
+
+        it('reads RSS 1.0 (RDF) items with Dublin Core dates', () => {
+            const xml = `<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#" xmlns="http://purl.org/rss/1.0/"
+    xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <channel><title>T</title></channel>
+    <item><link>https://a.com/rdf</link><dc:date>2024-05-02T00:00:00Z</dc:date></item>
+</rdf:RDF>`;
+
+            const result = parser.parse(xml);
+
+            assert.equal(result.type, 'rss');
+            assert.equal(result.entries[0].url, 'https://a.com/rdf');
+            assert.equal(result.entries[0].lastmod.toISOString(), '2024-05-02T00:00:00.000Z');
+        });
+
+        it('reads Atom alternate links and falls back to URL ids', () => {
+            const xml = `<feed xmlns="http://www.w3.org/2005/Atom">
+    <entry>
+        <link rel="self" href="https://a.com/self"/>
+        <link rel="alternate" href="https://a.com/post"/>
+        <updated>2024-05-03T00:00:00Z</updated>
+    </entry>
+    <entry><id>https://a.com/by-id</id></entry>
+    <entry><id>tag:a.com,2024:1</id></entry>
+</feed>`;
+
+            const result = parser.parse(xml);
+
+            assert.equal(result.type, 'atom');
+            assert.deepEqual(result.entries.map(entry => entry.url), ['https://a.com/post', 'https://a.com/by-id']);
+        });
+
+        it('rejects other XML documents', () => {
+            assert.throws(() => parser.parse('<html><body/></html>'), /Unsupported XML document <html>/);
+        });
+    });
+
+    describe('filterByDate', () => {
+        it('keeps entries changed since the date and entries without one', () => {
+            const entries = [
+                { url: 'old', lastmod: new Date('2024-01-01') },
+                { url: 'new', lastmod: new Date('2024-06-01') },
+                { url: 'undated', lastmod: null }
+            ];
+
+            assert.deepEqual(parser.filterByDate(entries, new Date('2024-03-01')).map(entry => entry.url), ['new', 'undated']);
+            assert.equal(parser.filterByDate(entries, null), entries);
+        });
+    });
+});
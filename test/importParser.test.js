@@ -0,0 +1,121 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DOMParser } from '@xmldom/xmldom';
+
+import ImportParser from '../js/modules/importParser.js';
+
+describe('ImportParser', () => {
+    const parser = new ImportParser({ DOMParser });
+
+    describe('detectFormat', () => {
+        it('recognizes each format', () => {
+            assert.equal(parser.detectFormat('<!DOCTYPE NETSCAPE-Bookmark-file-1>\n<DL>'), 'bookmarks');
+            assert.equal(parser.detectFormat('<?xml version="1.0"?>\n<opml version="2.0">'), 'opml');
+            assert.equal(parser.detectFormat('{"log":{"entries":[]}}'), 'har');
+            assert.equal(parser.detectFormat('\uFEFF ["https://a.com"]'), 'json');
+        });
+
+        it('uses the file name for bookmarks without a doctype', () => {
+            const html = '<DL><DT><A HREF="https://a.com">A</A></DL>';
+
+            assert.equal(parser.detectFormat(html, 'bookmarks.html'), 'bookmarks');
+            assert.equal(parser.detectFormat(html, 'notes.txt'), null);
+        });
+
+        it('returns null for plain text and broken JSON', () => {
+            assert.equal(parser.detectFormat('https://a.com\nhttps://b.com'), null);
+            assert.equal(parser.detectFormat('[not json'), null);
+        });
+    });
+
+    describe('parseBookmarks', () => {
+        it('reads URLs, titles, nested folders and tags', () => {
+            const html = `<!DOCTYPE NETSCAPE-Bookmark-file-1>
+<DL><p>
+    <DT><H3>Work</H3>
+    <DL><p>
+        <DT><H3>Docs &amp; specs</H3>
+        <DL><p>
+            <DT><A HREF="https://a.com/?x=1&amp;y=2" TAGS="ref, spec">RFC &#8220;4180&#8221;</A>
+        </DL><p>
+        <DT><A HREF='https://b.com'>B</A>
+    </DL><p>
+    <DT><A HREF=https://c.com/>C</A>
+</DL>`;
+
+            assert.deepEqual(parser.parseBookmarks(html), [
+                { url: 'https://a.com/?x=1&y=2', title: 'RFC “4180”', folder: 'Work/Docs & specs', tags: ['ref', 'spec'] },
+                { url: 'https://b.com', title: 'B', folder: 'Work', tags: [] },
+                { url: 'https://c.com/', title: 'C', folder: '', tags: [] }
+            ]);
+        });
+
+        it('keeps out-of-range character references as written', () => {
+            const [entry] = parser.parseBookmarks('<DT><A HREF="https://x.com/&#99999999;">t</A>');
+            assert.equal(entry.url, 'https://x.com/&#99999999;');
+        });
+    });
+
+    describe('parseOpml', () => {
+        it('reads reading lists and subscription lists with their folders', () => {
+            const xml = `<?xml version="1.0"?>
+<opml version="2.0"><body>
+    <outline text="News">
+        <outline text="Feed" type="rss" xmlUrl="https://a.com/feed.xml" category="daily,tech"/>
+    </outline>
+    <outline title="Article" url="https://b.com/post"/>
+    <outline text="Site" htmlUrl="https://c.com/" xmlUrl="https://c.com/rss"/>
+</body></opml>`;
+
+            assert.deepEqual(parser.parseOpml(xml), [
+                { url: 'https://a.com/feed.xml', title: 'Feed', folder: 'News', tags: ['daily', 'tech'] },
+                { url: 'https://b.com/post', title: 'Article', folder: '', tags: [] },
+                { url: 'https://c.com/', title: 'Site', folder: '', tags: [] }
+            ]);
+        });
+    });
+
+    describe('parseHar', () => {
+        it('uses the page title as the folder', () => {
+            const har = {
+                log: {
+                    pages: [{ id: 'page_1', title: 'Home' }],
+                    entries: [
+                        { pageref: 'page_1', request: { url: 'https://a.com/app.js' } },
+                        { request: { url: 'https://cdn.com/x.png' } },
+                        { request: {} }
+                    ]
+                }
+            };
+
+            assert.deepEqual(parser.parse(JSON.stringify(har), 'har'), [
+                { url: 'https://a.com/app.js', title: '', folder: 'Home', tags: [] },
+                { url: 'https://cdn.com/x.png', title: '', folder: '', tags: [] }
+            ]);
+        });
+    });
+
+    describe('parseJson', () => {
+        it('accepts strings and objects with any of the URL keys', () => {
+            const data = {
+                items: [
+                    'https://a.com',
+                    { href: 'https://b.com', name: 'B', tags: 'x, y' },
+                    { link: 'https://c.com', title: 'C', folder: 'F', tags: ['z', 1] },
+                    { title: 'no url' },
+                    null
+                ]
+            };
+
+            assert.deepEqual(parser.parseJson(data), [
+                { url: 'https://a.com', title: '', folder: '', tags: [] },
+                { url: 'https://b.com', title: 'B', folder: '', tags: ['x', 'y'] },
+                { url: 'https://c.com', title: 'C', folder: 'F', tags: ['z', '1'] }
+            ]);
+        });
+
+        it('rejects JSON without a list', () => {
+            assert.throws(() => parser.parseJson({ links: [] }), /Expected a JSON array/);
+        });
+    });
+});
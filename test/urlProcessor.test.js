@@ -0,0 +1,142 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import URLProcessor from '../js/modules/urlProcessor.js';
+
+describe('URLProcessor', () => {
+    describe('canonicalizeUrl', () => {
+        const processor = new URLProcessor();
+
+        it('strips tracking parameters, sorts the query and drops the fragment', () => {
+            assert.equal(
+                processor.canonicalizeUrl('https://Example.com:443/a?utm_source=x&b=2&fbclid=y&a=1#top'),
+                'https://example.com/a?a=1&b=2'
+            );
+        });
+
+        it('matches tracking parameter names case-insensitively', () => {
+            assert.equal(processor.canonicalizeUrl('https://a.com/?UTM_Campaign=x&GCLID=y'), 'https://a.com/');
+        });
+
+        it('keeps the order and encoding of repeated parameters', () => {
+            assert.equal(
+                processor.canonicalizeUrl('https://a.com/?tag=b%20c&x=1&tag=a+b'),
+                'https://a.com/?tag=b%20c&tag=a+b&x=1'
+            );
+        });
+
+        it('converts IDN hosts to punycode', () => {
+            assert.equal(processor.canonicalizeUrl('https://bücher.example/'), 'https://xn--bcher-kva.example/');
+        });
+
+        it('applies the scheme, trailing slash and www rules', () => {
+            const rules = { ...processor.getCanonicalRules(), scheme: 'https', trailingSlash: 'add', stripWww: true };
+
+            assert.equal(processor.canonicalizeUrl('http://www.a.com/docs', rules), 'https://a.com/docs/');
+            assert.equal(processor.canonicalizeUrl('http://a.com/report.pdf', rules), 'https://a.com/report.pdf');
+            assert.equal(processor.canonicalizeUrl('https://a.com/docs///', { ...rules, trailingSlash: 'remove' }), 'https://a.com/docs');
+        });
+
+        it('leaves other schemes and unparsable URLs alone', () => {
+            assert.equal(processor.canonicalizeUrl('not a url'), 'not a url');
+            assert.equal(processor.canonicalizeUrl('mailto:a@b.com?utm_source=x'), 'mailto:a@b.com?utm_source=x');
+        });
+
+        it('uses custom tracking parameters with wildcards', () => {
+            const custom = new URLProcessor({ canonicalRules: { trackingParams: ['ref', 'pk_*'] } });
+
+            assert.equal(custom.canonicalizeUrl('https://a.com/?ref=x&pk_kwd=y&utm_source=z'), 'https://a.com/?utm_source=z');
+        });
+
+        it('can keep the query as entered', () => {
+            const plain = new URLProcessor({ canonicalRules: { stripTracking: false, sortQuery: false } });
+
+            assert.equal(plain.canonicalizeUrl('https://a.com/?utm_source=x&b=1&a=2'), 'https://a.com/?utm_source=x&b=1&a=2');
+        });
+    });
+
+    describe('findDuplicates', () => {
+        it('treats canonical equivalents as duplicates and keeps the first one', () => {
+            const processor = new URLProcessor();
+            const result = processor.findDuplicates([
+                'https://www.a.com/?b=1&a=2',
+                'https://a.com/?a=2&b=1&utm_medium=email',
+                'https://a.com/other'
+            ]);
+
+            assert.deepEqual(result.uniqueUrls, ['https://www.a.com/?b=1&a=2', 'https://a.com/other']);
+            assert.deepEqual(result.duplicates, [{
+                originalUrl: 'https://a.com/?a=2&b=1&utm_medium=email',
+                duplicateOf: 'https://www.a.com/?b=1&a=2'
+            }]);
+        });
+    });
+
+    describe('filter rules', () => {
+        const processor = new URLProcessor();
+        const urls = [
+            'https://example.com/blog/post',
+            'https://shop.example.com/cart',
+            'https://example.com/files/report.PDF',
+            'https://example.com/search?q=x',
+            'https://facebook.com/page',
+            'https://other.org/'
+        ];
+
+        it('parses rules and reports invalid lines', () => {
+            const { rules, errors } = processor.parseFilterRules([
+                '# comment',
+                'include domain *.example.com',
+                'exclude ext .pdf, zip',
+                'exclude glob *cart*',
+                'keep domain a.com',
+                'exclude color red',
+                'exclude regex ([',
+                ''
+            ].join('\n'));
+
+            assert.deepEqual(rules.map(rule => [rule.action, rule.type, rule.line]), [
+                ['include', 'domain', 2],
+                ['exclude', 'extension', 3],
+                ['exclude', 'glob', 4]
+            ]);
+            assert.equal(rules[0].domain, 'example.com');
+            assert.deepEqual(rules[1].extensions, ['pdf', 'zip']);
+            assert.deepEqual(errors.map(error => error.line), [5, 6, 7]);
+            assert.match(errors[1].message, /Unknown rule type "color"/);
+        });
+
+        it('matches domains with their subdomains only', () => {
+            const [rule] = processor.parseFilterRules('exclude domain example.com').rules;
+
+            assert.equal(processor.matchesFilterRule('https://shop.example.com/', rule), true);
+            assert.equal(processor.matchesFilterRule('https://notexample.com/', rule), false);
+        });
+
+        it('matches globs against the whole URL', () => {
+            const [rule] = processor.parseFilterRules('exclude glob https://example.com/blog/*').rules;
+
+            assert.equal(processor.matchesFilterRule('https://example.com/blog/post', rule), true);
+            assert.equal(processor.matchesFilterRule('https://example.com/blogroll', rule), false);
+        });
+
+        it('applies include rules first, then exclude rules, and counts what each rule matched', () => {
+            const { rules } = processor.parseFilterRules([
+                'include domain example.com',
+                'exclude extension pdf',
+                'exclude regex [?&]q='
+            ].join('\n'));
+
+            const result = processor.filterUrls(urls, rules);
+
+            assert.deepEqual(result.urls, ['https://example.com/blog/post', 'https://shop.example.com/cart']);
+            assert.equal(result.notIncluded, 2);
+            assert.deepEqual(result.ruleCounts.map(item => item.count), [4, 1, 1]);
+            assert.deepEqual(result.removed.map(item => item.rule && item.rule.type), ['extension', 'regex', null, null]);
+        });
+
+        it('keeps everything without rules', () => {
+            assert.deepEqual(processor.filterUrls(urls, []).urls, urls);
+        });
+    });
+});
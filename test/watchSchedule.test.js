@@ -0,0 +1,99 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import WatchSchedule from '../js/modules/watchSchedule.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Cron cadences follow the local clock, so test times are built in local time
+const at = (year, month, day, hours = 0, minutes = 0) => new Date(year, month - 1, day, hours, minutes).getTime();
+
+describe('WatchSchedule', () => {
+    describe('parse', () => {
+        it('accepts the fixed cadences in any case', () => {
+            assert.equal(WatchSchedule.parse('Hourly').interval, HOUR);
+            assert.equal(WatchSchedule.parse(' daily ').interval, DAY);
+            assert.equal(WatchSchedule.parse('WEEKLY').interval, 7 * DAY);
+        });
+
+        it('expands ranges, lists, steps and names', () => {
+            const schedule = WatchSchedule.parse('*/15 9-17/4 1,15 jan-mar mon-fri');
+            const [minutes, hours, days, months, weekdays] = schedule.cron;
+
+            assert.deepEqual([...minutes], [0, 15, 30, 45]);
+            assert.deepEqual([...hours], [9, 13, 17]);
+            assert.deepEqual([...days], [1, 15]);
+            assert.deepEqual([...months], [1, 2, 3]);
+            assert.deepEqual([...weekdays], [1, 2, 3, 4, 5]);
+        });
+
+        it('treats 7 as Sunday', () => {
+            assert.deepEqual([...WatchSchedule.parse('0 0 * * 7').cron[4]], [0]);
+        });
+
+        it('keeps the text form', () => {
+            assert.equal(WatchSchedule.parse('0  9 * *   1-5').toString(), '0 9 * * 1-5');
+        });
+
+        it('rejects invalid cadences', () => {
+            assert.throws(() => WatchSchedule.parse('monthly'), /Invalid cadence/);
+            assert.throws(() => WatchSchedule.parse('60 * * * *'), /Invalid minute "60"/);
+            assert.throws(() => WatchSchedule.parse('0 0 * * 1/0'), /Invalid step/);
+            assert.throws(() => WatchSchedule.parse('0 17-9 * * *'), /Invalid range/);
+        });
+    });
+
+    describe('nextRun', () => {
+        it('repeats fixed cadences from the last run and runs new lists right away', () => {
+            const schedule = WatchSchedule.parse('daily');
+            const now = at(2025, 3, 10, 12);
+
+            assert.equal(schedule.nextRun(null, now), now);
+            assert.equal(schedule.nextRun(at(2025, 3, 10, 8), now), at(2025, 3, 11, 8));
+        });
+
+        it('finds the next matching minute of a cron expression', () => {
+            const schedule = WatchSchedule.parse('30 9 * * 1-5');
+
+            // Friday 10:00 -> Monday 9:30
+            assert.equal(schedule.nextRun(null, at(2025, 3, 7, 10)), at(2025, 3, 10, 9, 30));
+            // Monday 9:00 -> the same day
+            assert.equal(schedule.nextRun(null, at(2025, 3, 10, 9)), at(2025, 3, 10, 9, 30));
+        });
+
+        it('never returns the current minute again', () => {
+            const schedule = WatchSchedule.parse('0 * * * *');
+            assert.equal(schedule.nextRun(at(2025, 3, 10, 9), at(2025, 3, 10, 9)), at(2025, 3, 10, 10));
+        });
+
+        it('matches either day field when both are restricted, like cron', () => {
+            const schedule = WatchSchedule.parse('0 0 13 * 5');
+
+            // Saturday the 1st -> Friday the 7th comes before the 13th
+            assert.equal(schedule.nextRun(null, at(2025, 3, 1, 12)), at(2025, 3, 7));
+        });
+
+        it('gives up on dates that never exist', () => {
+            assert.equal(WatchSchedule.parse('0 0 31 2 *').nextRun(null, at(2025, 1, 1)), null);
+        });
+    });
+
+    describe('toFreshnessRule', () => {
+        it('covers most of the cadence window', () => {
+            assert.equal(WatchSchedule.parse('daily').toFreshnessRule(), '1296m');
+            assert.equal(WatchSchedule.parse('weekly').toFreshnessRule(), '9072m');
+            assert.equal(WatchSchedule.parse('hourly').toFreshnessRule(), '54m');
+        });
+
+        it('uses the gap to the next cron match', () => {
+            const schedule = WatchSchedule.parse('0 */10 * * *');
+            assert.equal(schedule.toFreshnessRule(at(2025, 3, 10, 10)), '9h');
+        });
+    });
+
+    it('describes the cadence', () => {
+        assert.equal(WatchSchedule.parse('hourly').describe(), 'Every hour');
+        assert.equal(WatchSchedule.parse('0 9 * * 1').describe(), 'Cron: 0 9 * * 1');
+    });
+});